@@ -0,0 +1,110 @@
+import crypto from 'crypto';
+import IdempotencyKey from '../models/IdempotencyKey.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const MAX_KEY_LENGTH = 255;
+
+const getRetentionMs = () =>
+  (Number(process.env.IDEMPOTENCY_TTL_HOURS) || 24) * HOUR_MS;
+
+const hashRequest = (req) =>
+  crypto
+    .createHash('sha256')
+    .update(`${req.method} ${req.baseUrl}${req.path} `)
+    .update(JSON.stringify(req.body ?? {}))
+    .digest('hex');
+
+/**
+ * Honours the Idempotency-Key header (per tenant). Mount after the middleware
+ * that sets req.tenantId (protect / shopMiddleware).
+ * - first request: runs normally and stores the response when it succeeds
+ * - same key + same body: replays the stored response
+ * - same key + different body: 422
+ * - same key while the first one is still running: 409
+ * Errors (4xx/5xx) release the key: the client can retry, with the body
+ * corrected or not, without getting the old error back.
+ */
+export const idempotency = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (!key) return next();
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({ message: 'Idempotency-Key inválida.' });
+  }
+  if (!req.tenantId) {
+    return res
+      .status(500)
+      .json({ message: 'Idempotência requer identificação da empresa.' });
+  }
+
+  const requestHash = hashRequest(req);
+  const filter = { tenantId: req.tenantId, key };
+
+  try {
+    await IdempotencyKey.create({
+      ...filter,
+      method: req.method,
+      path: `${req.baseUrl}${req.path}`,
+      requestHash,
+      expiresAt: new Date(Date.now() + getRetentionMs()),
+    });
+  } catch (err) {
+    if (err.code !== 11000) return next(err);
+
+    let existing;
+    try {
+      existing = await IdempotencyKey.findOne(filter);
+    } catch (lookupErr) {
+      return next(lookupErr);
+    }
+    if (!existing) {
+      // Expired between the insert and the lookup: treat as a new request
+      return idempotency(req, res, next);
+    }
+    if (existing.requestHash !== requestHash) {
+      return res.status(422).json({
+        message:
+          'Idempotency-Key já utilizada com outra requisição. Gere uma nova chave.',
+      });
+    }
+    if (existing.status === 'processing') {
+      return res.status(409).json({
+        message: 'Requisição anterior com esta chave ainda em processamento.',
+      });
+    }
+
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(existing.responseStatus).json(existing.responseBody);
+  }
+
+  // Capture the first response
+  let captured = false;
+  const originalJson = res.json.bind(res);
+  res.json = (body) => {
+    captured = true;
+    const succeeded = res.statusCode >= 200 && res.statusCode < 300;
+    const persist = succeeded
+      ? IdempotencyKey.updateOne(filter, {
+          $set: {
+            status: 'completed',
+            responseStatus: res.statusCode,
+            // Plain JSON (applies the models' toJSON transforms)
+            responseBody: JSON.parse(JSON.stringify(body ?? null)),
+          },
+        })
+      : IdempotencyKey.deleteOne(filter);
+    persist
+      .catch((err) =>
+        console.error('Idempotency-Key persist error:', err.message)
+      )
+      .finally(() => originalJson(body));
+    return res;
+  };
+
+  // Handler ended without a JSON response (crash, aborted connection)
+  res.on('close', () => {
+    if (!captured) IdempotencyKey.deleteOne(filter).catch(() => {});
+  });
+
+  next();
+};
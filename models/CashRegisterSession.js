@@ -0,0 +1,74 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+const RegisterUserSchema = new Schema(
+  {
+    userId: String,
+    userName: String,
+  },
+  { _id: false }
+);
+
+// Sangria (drop) / Suprimento (addition) during the shift
+const RegisterMovementSchema = new Schema({
+  type: { type: String, required: true, enum: ['drop', 'addition'] },
+  amount: { type: Number, required: true },
+  reason: String,
+  userId: String,
+  userName: String,
+  timestamp: { type: Date, default: Date.now },
+});
+
+const RegisterSummarySchema = new Schema(
+  {
+    openingFloat: { type: Number, default: 0 },
+    cashSales: { type: Number, default: 0 }, // Dinheiro recebido em TicketSales
+    receivables: { type: Number, default: 0 }, // Parcelas de crediário recebidas em dinheiro
+    otherIncome: { type: Number, default: 0 }, // Outras entradas em dinheiro
+    otherExpense: { type: Number, default: 0 }, // Saídas em dinheiro (ex: reembolsos)
+    additions: { type: Number, default: 0 },
+    drops: { type: Number, default: 0 },
+    salesCount: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
+const CashRegisterSessionSchema = new Schema({
+  tenantId: { type: String, required: true, index: true }, // Isolation
+  status: {
+    type: String,
+    required: true,
+    enum: ['open', 'closed'],
+    default: 'open',
+  },
+  openingFloat: { type: Number, required: true, default: 0 }, // Fundo de troco
+  openedAt: { type: Date, default: Date.now },
+  openedBy: RegisterUserSchema,
+  movements: [RegisterMovementSchema],
+  // Closing (Fechamento)
+  closedAt: Date,
+  closedBy: RegisterUserSchema,
+  expectedCash: Number,
+  countedCash: Number,
+  difference: Number, // countedCash - expectedCash (sobra > 0, falta < 0)
+  summary: RegisterSummarySchema,
+  notes: String,
+});
+
+// Only one open register per tenant
+CashRegisterSessionSchema.index(
+  { tenantId: 1, status: 1 },
+  { unique: true, partialFilterExpression: { status: 'open' } }
+);
+
+CashRegisterSessionSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.__v;
+    delete ret.tenantId;
+  },
+});
+
+export default mongoose.model('CashRegisterSession', CashRegisterSessionSchema);
@@ -10,6 +10,12 @@ const InstallmentSchema = new Schema(
     status: { type: String, default: 'Pendente' },
     financialAccountId: String,
     paymentMethodId: String,
+    // Crediário: what was actually received when the installment was settled
+    paidAmount: Number,
+    fine: Number,
+    interest: Number,
+    paymentMethod: String,
+    cashRegisterSessionId: String, // Recebida em dinheiro no caixa
   },
   { _id: false }
 );
@@ -27,6 +33,12 @@ const CashTransactionSchema = new Schema({
   serviceOrderId: String,
   purchaseId: String,
   saleId: String,
+  returnId: String,
+  customerId: String, // Crediário (contas a receber do cliente)
+  giftCardId: String, // Vale-presente / crédito em loja
+  ecommerceOrderId: String,
+  stocktakeId: String, // Perda/sobra de inventário
+  cashRegisterSessionId: String, // Movimento físico de dinheiro no caixa (PDV)
   // Financial Links
   financialAccountId: String,
   paymentMethodId: String,
@@ -0,0 +1,35 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+// Commission paid out for a seller and period (payable in CashTransaction)
+const CommissionPayoutSchema = new Schema({
+  tenantId: { type: String, required: true, index: true }, // Isolation
+  userId: { type: String, required: true },
+  userName: String,
+  periodStart: { type: Date, required: true },
+  periodEnd: { type: Date, required: true },
+  base: Number,
+  amount: { type: Number, required: true },
+  ruleId: { type: String, ref: 'CommissionRule' },
+  transactionId: { type: String, ref: 'CashTransaction' },
+  createdBy: String,
+  timestamp: { type: Date, default: Date.now },
+});
+
+// One payout per seller and period
+CommissionPayoutSchema.index(
+  { tenantId: 1, userId: 1, periodStart: 1, periodEnd: 1 },
+  { unique: true }
+);
+
+CommissionPayoutSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.__v;
+    delete ret.tenantId;
+  },
+});
+
+export default mongoose.model('CommissionPayout', CommissionPayoutSchema);
@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+// Tier reached by the seller's base in the period (replaces the default rates)
+const CommissionTierSchema = new Schema(
+  {
+    minAmount: { type: Number, required: true },
+    productRate: { type: Number, required: true },
+    serviceRate: { type: Number, required: true },
+  },
+  { _id: false }
+);
+
+// Commission rule per user (priority) or per role
+const CommissionRuleSchema = new Schema({
+  tenantId: { type: String, required: true, index: true }, // Isolation
+  name: { type: String, required: true },
+  scope: { type: String, required: true, enum: ['user', 'role'] },
+  userId: String, // scope = user
+  role: { type: String, enum: ['owner', 'manager', 'technician'] }, // scope = role
+  base: {
+    type: String,
+    required: true,
+    enum: ['revenue', 'margin'],
+    default: 'revenue',
+  },
+  productRate: { type: Number, default: 0 }, // %
+  serviceRate: { type: Number, default: 0 }, // %
+  tiers: [CommissionTierSchema],
+  active: { type: Boolean, default: true },
+});
+
+CommissionRuleSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.__v;
+    delete ret.tenantId;
+  },
+});
+
+export default mongoose.model('CommissionRule', CommissionRuleSchema);
@@ -0,0 +1,23 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+// Atomic sequence per tenant and document series (ex: "sale:202512")
+const CounterSchema = new Schema({
+  tenantId: { type: String, required: true }, // Isolation
+  key: { type: String, required: true },
+  seq: { type: Number, default: 0 },
+});
+
+CounterSchema.index({ tenantId: 1, key: 1 }, { unique: true });
+
+CounterSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.__v;
+    delete ret.tenantId;
+  },
+});
+
+export default mongoose.model('Counter', CounterSchema);
@@ -6,6 +6,11 @@ const CustomerSchema = new Schema({
   name: { type: String, required: true },
   phone: { type: String, required: true }, // Phone is now a specific field, not the _id
   cnpjCpf: { type: String },
+  storeCredit: { type: Number, default: 0 }, // Crédito em loja (devoluções)
+  creditLimit: { type: Number }, // Limite do crediário (vazio = padrão da loja)
+  // Bumped by every crediário sale: concurrent sales of the same customer
+  // conflict on this write, so the limit check is never raced
+  creditRevision: { type: Number, default: 0 },
 });
 
 // Ensure Phone is unique ONLY within the same tenant
@@ -17,6 +22,7 @@ CustomerSchema.set('toJSON', {
     ret.id = ret._id;
     delete ret._id;
     delete ret.__v;
+    delete ret.creditRevision;
     delete ret.tenantId;
   },
 });
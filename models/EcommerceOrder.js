@@ -38,6 +38,27 @@ const ShippingInfoSchema = new Schema(
   { _id: false }
 );
 
+// Promoção aplicada pelo servidor no checkout (desconto já abatido do total)
+const OrderPromotionSchema = new Schema(
+  {
+    promotionId: String,
+    name: String,
+    code: String,
+    type: String,
+    discount: Number,
+  },
+  { _id: false }
+);
+
+// Vale-presente resgatado no checkout (abatido do total a pagar)
+const OrderGiftCardSchema = new Schema(
+  {
+    code: String,
+    amount: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
 const EcommerceOrderSchema = new Schema({
   tenantId: { type: String, required: true, index: true },
   _id: { type: String, alias: 'id' }, // Custom ID: SC-2025120001
@@ -47,7 +68,10 @@ const EcommerceOrderSchema = new Schema({
     address: { type: AddressSchema, required: true },
   },
   items: [EcommerceItemSchema],
+  subtotal: Number, // Itens antes da promoção
   total: { type: Number, required: true },
+  promotion: OrderPromotionSchema,
+  giftCard: OrderGiftCardSchema,
   status: {
     type: String,
     required: true,
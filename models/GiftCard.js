@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+const GiftCardMovementSchema = new Schema(
+  {
+    type: {
+      type: String,
+      required: true,
+      enum: ['issue', 'redeem', 'refund'],
+    },
+    amount: { type: Number, required: true }, // Always positive
+    balanceAfter: Number,
+    documentType: String, // sale, sale_return, ecommerce_order, gift_card
+    documentId: String,
+    userName: String,
+    date: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+// Stored value: gift cards sold and store credit from returns
+const GiftCardSchema = new Schema({
+  tenantId: { type: String, required: true, index: true }, // Isolation
+  code: { type: String, required: true },
+  type: {
+    type: String,
+    required: true,
+    enum: ['gift_card', 'store_credit'],
+    default: 'gift_card',
+  },
+  customerId: { type: String, ref: 'Customer' },
+  customerName: String,
+  initialBalance: { type: Number, default: 0 },
+  balance: { type: Number, required: true, default: 0 },
+  expiresAt: Date, // Empty = no expiry
+  status: {
+    type: String,
+    required: true,
+    enum: ['active', 'blocked'],
+    default: 'active',
+  },
+  movements: [GiftCardMovementSchema],
+  createdAt: { type: Date, default: Date.now },
+});
+
+GiftCardSchema.index({ tenantId: 1, code: 1 }, { unique: true });
+GiftCardSchema.index({ tenantId: 1, customerId: 1, type: 1 });
+
+GiftCardSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.__v;
+    delete ret.tenantId;
+  },
+});
+
+export default mongoose.model('GiftCard', GiftCardSchema);
@@ -0,0 +1,27 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+// First response of a request sent with an Idempotency-Key header
+const IdempotencyKeySchema = new Schema({
+  tenantId: { type: String, required: true }, // Isolation
+  key: { type: String, required: true },
+  method: String,
+  path: String,
+  requestHash: { type: String, required: true }, // sha256 of method + path + body
+  status: {
+    type: String,
+    required: true,
+    enum: ['processing', 'completed'],
+    default: 'processing',
+  },
+  responseStatus: Number,
+  responseBody: Schema.Types.Mixed,
+  createdAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+});
+
+IdempotencyKeySchema.index({ tenantId: 1, key: 1 }, { unique: true });
+// Retention window: Mongo removes the record once expiresAt passes
+IdempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('IdempotencyKey', IdempotencyKeySchema);
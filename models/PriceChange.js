@@ -0,0 +1,58 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+const PriceChangeItemSchema = new Schema(
+  {
+    itemId: { type: String, required: true },
+    name: String,
+    cost: Number,
+    oldPrice: { type: Number, required: true },
+    newPrice: { type: Number, required: true },
+    rolledBack: { type: Boolean, default: false },
+  },
+  { _id: false }
+);
+
+// History of a bulk re-pricing (reajuste em massa), kept for rollback
+const PriceChangeSchema = new Schema({
+  tenantId: { type: String, required: true, index: true }, // Isolation
+  itemType: { type: String, required: true, enum: ['product', 'service'] },
+  filters: {
+    categories: [String],
+    brands: [String],
+    supplierId: String,
+    itemIds: [String],
+  },
+  rule: {
+    type: { type: String, required: true, enum: ['percentage', 'markup'] },
+    value: { type: Number, required: true }, // %
+    roundingEnding: Number, // Ex: 0.9 => preços terminados em ,90
+  },
+  items: [PriceChangeItemSchema],
+  status: {
+    type: String,
+    required: true,
+    enum: ['applied', 'rolled_back'],
+    default: 'applied',
+  },
+  notes: String,
+  userId: String,
+  userName: String,
+  appliedAt: { type: Date, default: Date.now },
+  rolledBackAt: Date,
+  rolledBackBy: String,
+});
+
+PriceChangeSchema.index({ tenantId: 1, appliedAt: -1 });
+
+PriceChangeSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.__v;
+    delete ret.tenantId;
+  },
+});
+
+export default mongoose.model('PriceChange', PriceChangeSchema);
@@ -10,6 +10,14 @@ const EcommerceDetailsSchema = new Schema(
   { _id: false }
 );
 
+const VariantAttributeSchema = new Schema(
+  {
+    name: { type: String, required: true }, // Ex: Cor, Armazenamento
+    value: { type: String, required: true }, // Ex: Azul, 128GB
+  },
+  { _id: false }
+);
+
 const ProductSchema = new Schema({
   tenantId: { type: String, required: true, index: true }, // Tenant Isolation
   _id: { type: String, alias: 'id' },
@@ -24,13 +32,19 @@ const ProductSchema = new Schema({
   brand: { type: String, required: true },
   model: { type: String, required: true },
   requiresUniqueIdentifier: { type: Boolean, default: false },
+  warrantyDays: Number, // Garantia própria (vazio = categoria / padrão da loja)
   publishToWeb: { type: Boolean, default: false }, // Default FALSE para controle manual
-  image: { type: String }, // Base64 Compressed Image string
+  image: { type: String }, // URL no armazenamento de imagens (legado: Base64)
+  thumbnail: { type: String }, // URL da miniatura (listagens)
   ecommerceDetails: { type: EcommerceDetailsSchema }, // NEW
+  // Variante de um ProductParent: barcode, estoque, custo e preço continuam aqui
+  parentId: { type: String, default: null },
+  variantAttributes: [VariantAttributeSchema],
 });
 
 // Composite index to ensure barcode is unique PER TENANT
 ProductSchema.index({ tenantId: 1, barcode: 1 }, { unique: true });
+ProductSchema.index({ tenantId: 1, parentId: 1 });
 
 ProductSchema.set('toJSON', {
   virtuals: true,
@@ -0,0 +1,29 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+// Produto pai: groups the variants (each one a Product with its own barcode)
+// under one listing. Only the shared data lives here.
+const ProductParentSchema = new Schema({
+  tenantId: { type: String, required: true, index: true }, // Isolation
+  name: { type: String, required: true }, // Ex: iPhone 13
+  category: { type: String, required: true },
+  brand: { type: String, required: true },
+  model: { type: String, required: true },
+  description: String,
+  image: { type: String }, // URL no armazenamento de imagens
+  thumbnail: { type: String }, // URL da miniatura (listagens)
+  attributes: [String], // Eixos das variantes, em ordem (Ex: Cor, Armazenamento)
+  createdAt: { type: Date, default: Date.now },
+});
+
+ProductParentSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.__v;
+    delete ret.tenantId;
+  },
+});
+
+export default mongoose.model('ProductParent', ProductParentSchema);
@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+// Items the promotion applies to (all lists empty = whole cart)
+const PromotionTargetSchema = new Schema(
+  {
+    categories: [String], // Product.category
+    brands: [String], // Product.brand / Service.brand
+    itemIds: [String], // Produtos/serviços específicos
+  },
+  { _id: false }
+);
+
+// Promotion evaluated by the server on POS sales and storefront checkout.
+// Without `code` it applies automatically; with it, only when the coupon is informed.
+const PromotionSchema = new Schema({
+  tenantId: { type: String, required: true, index: true }, // Isolation
+  name: { type: String, required: true },
+  code: String, // Cupom (uppercase)
+  type: {
+    type: String,
+    required: true,
+    enum: ['percentage', 'fixed', 'buy_x_get_y'],
+  },
+  value: { type: Number, default: 0 }, // % / R$ / % off on the "get" units (100 = grátis)
+  buyQuantity: Number, // buy_x_get_y: leve X...
+  getQuantity: Number, // ...ganhe Y
+  target: { type: PromotionTargetSchema, default: () => ({}) },
+  minCartValue: { type: Number, default: 0 },
+  startsAt: Date,
+  endsAt: Date,
+  channels: {
+    type: [String],
+    enum: ['pos', 'storefront'],
+    default: ['pos', 'storefront'],
+  },
+  usageLimit: Number, // Total de usos (vazio = ilimitado)
+  usageLimitPerCustomer: Number,
+  usageCount: { type: Number, default: 0 },
+  active: { type: Boolean, default: true },
+  createdAt: { type: Date, default: Date.now },
+});
+
+PromotionSchema.index(
+  { tenantId: 1, code: 1 },
+  { unique: true, partialFilterExpression: { code: { $type: 'string' } } }
+);
+
+PromotionSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.__v;
+    delete ret.tenantId;
+  },
+});
+
+export default mongoose.model('Promotion', PromotionSchema);
@@ -0,0 +1,31 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+// One row per document (sale / online order) that used a promotion:
+// per-customer limits are counted here and released when the document is deleted
+const PromotionUsageSchema = new Schema({
+  tenantId: { type: String, required: true, index: true }, // Isolation
+  promotionId: { type: String, required: true },
+  customerId: String,
+  customerPhone: String, // Storefront orders before the customer is registered
+  documentType: { type: String, required: true }, // sale, ecommerce_order
+  documentId: { type: String, required: true },
+  discount: { type: Number, default: 0 },
+  date: { type: Date, default: Date.now },
+});
+
+PromotionUsageSchema.index({ tenantId: 1, promotionId: 1, customerId: 1 });
+PromotionUsageSchema.index({ tenantId: 1, promotionId: 1, customerPhone: 1 });
+PromotionUsageSchema.index({ tenantId: 1, documentType: 1, documentId: 1 });
+
+PromotionUsageSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.__v;
+    delete ret.tenantId;
+  },
+});
+
+export default mongoose.model('PromotionUsage', PromotionUsageSchema);
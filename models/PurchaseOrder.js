@@ -7,6 +7,7 @@ const PurchaseItemSchema = new Schema(
     productName: { type: String, required: true },
     quantity: { type: Number, required: true },
     unitCost: { type: Number, required: true },
+    serials: [String], // IMEI/Série (products with requiresUniqueIdentifier)
   },
   { _id: false }
 );
@@ -58,6 +59,9 @@ const PurchaseOrderSchema = new Schema({
   supplierInfo: SupplierInfoSchema,
   reference: String,
   status: { type: String, default: 'Pendente' },
+  // Rascunho (sugestão de compra): no stock, serials or financials until confirmed
+  draft: { type: Boolean, default: false },
+  confirmedAt: Date, // Rascunho confirmado: data de competência da compra
 });
 
 PurchaseOrderSchema.set('toJSON', {
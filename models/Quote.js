@@ -0,0 +1,52 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+// Same item structure as TicketSale (prices frozen at quote time)
+const QuoteItemSchema = new Schema(
+  {
+    item: { type: Object, required: true },
+    quantity: { type: Number, required: true },
+    unitPrice: { type: Number, required: true },
+    type: { type: String, required: true, enum: ['product', 'service'] },
+    uniqueIdentifier: { type: String, required: false },
+  },
+  { _id: false }
+);
+
+const QuoteSchema = new Schema({
+  tenantId: { type: String, required: true, index: true }, // Isolation
+  _id: { type: String, alias: 'id' }, // Custom ID: OR-YYYYMM-####
+  items: [QuoteItemSchema],
+  subtotal: { type: Number, required: true },
+  discount: { type: Number, default: 0 }, // Valor (R$) descontado do subtotal
+  total: { type: Number, required: true },
+  validUntil: { type: Date, required: true },
+  status: {
+    type: String,
+    required: true,
+    enum: ['open', 'accepted', 'expired', 'converted'],
+    default: 'open',
+  },
+  customerName: String,
+  customerWhatsapp: String,
+  customerCnpjCpf: String,
+  notes: String,
+  // Conversion (Venda gerada)
+  saleId: { type: String, ref: 'TicketSale' },
+  convertedAt: Date,
+  userId: { type: String, required: true },
+  userName: { type: String, required: true },
+  timestamp: { type: Date, default: Date.now },
+});
+
+QuoteSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.__v;
+    delete ret.tenantId;
+  },
+});
+
+export default mongoose.model('Quote', QuoteSchema);
@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+const ReturnItemSchema = new Schema(
+  {
+    item: { type: Object, required: true }, // Snapshot from the original TicketSale item
+    quantity: { type: Number, required: true },
+    unitPrice: { type: Number, required: true }, // Net of the ticket discount (valor efetivamente pago)
+    unitCost: { type: Number, default: 0 },
+    type: { type: String, required: true, enum: ['product', 'service'] },
+    uniqueIdentifier: String,
+    destination: {
+      type: String,
+      enum: ['restock', 'damaged'], // Volta para estoque vendável ou baixa por avaria
+      default: 'restock',
+    },
+  },
+  { _id: false }
+);
+
+const SaleReturnSchema = new Schema({
+  tenantId: { type: String, required: true, index: true }, // Isolation
+  _id: { type: String, alias: 'id' }, // Custom ID: DV-YYYYMM-####
+  saleId: { type: String, ref: 'TicketSale', required: true, index: true },
+  items: [ReturnItemSchema],
+  totalReturned: { type: Number, required: true }, // Crédito gerado pela devolução
+  totalCost: { type: Number, default: 0 }, // Custo dos itens devolvidos
+  writeOffCost: { type: Number, default: 0 }, // Custo dos itens baixados por avaria
+  settlement: {
+    type: String,
+    required: true,
+    enum: ['refund', 'store_credit', 'exchange'],
+  },
+  refundMethod: String,
+  refundAmount: { type: Number, default: 0 },
+  receivableReduced: { type: Number, default: 0 }, // Abatido do crediário em aberto da venda
+  storeCreditAmount: { type: Number, default: 0 },
+  storeCreditCode: String, // Conta de crédito em loja (GiftCard) creditada
+  feeReversed: { type: Number, default: 0 }, // Estorno proporcional da taxa de cartão/Pix
+  // Exchange (Troca): new ticket created in the same operation
+  exchangeSaleId: { type: String, ref: 'TicketSale' },
+  exchangeCredit: { type: Number, default: 0 }, // Parte do crédito usada na nova venda
+  reason: String,
+  customerId: { type: String, ref: 'Customer' },
+  customerName: String,
+  userId: { type: String, required: true },
+  userName: { type: String, required: true },
+  timestamp: { type: Date, default: Date.now },
+});
+
+SaleReturnSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.__v;
+    delete ret.tenantId;
+  },
+});
+
+export default mongoose.model('SaleReturn', SaleReturnSchema);
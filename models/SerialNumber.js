@@ -0,0 +1,56 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+const SerialEventSchema = new Schema(
+  {
+    status: { type: String, required: true },
+    documentType: String, // purchase, sale, sale_return, service_order, registration
+    documentId: String,
+    date: { type: Date, default: Date.now },
+    userName: String,
+  },
+  { _id: false }
+);
+
+// IMEI / Serial registry for products with requiresUniqueIdentifier
+const SerialNumberSchema = new Schema({
+  tenantId: { type: String, required: true, index: true }, // Isolation
+  serial: { type: String, required: true }, // IMEI ou Número de Série
+  productId: { type: String, ref: 'Product', required: true },
+  productName: String,
+  status: {
+    type: String,
+    required: true,
+    enum: ['in_stock', 'sold', 'returned', 'in_repair'],
+    default: 'in_stock',
+  },
+  // Origin (Entrada)
+  purchaseId: { type: String, ref: 'PurchaseOrder' },
+  supplierName: String,
+  supplierCnpjCpf: String,
+  unitCost: { type: Number, default: 0 },
+  receivedAt: { type: Date, default: Date.now },
+  // Destination (Saída)
+  saleId: { type: String, ref: 'TicketSale' },
+  customerId: { type: String, ref: 'Customer' },
+  customerName: String,
+  soldAt: Date,
+  returnId: { type: String, ref: 'SaleReturn' },
+  history: [SerialEventSchema],
+});
+
+// One IMEI per tenant
+SerialNumberSchema.index({ tenantId: 1, serial: 1 }, { unique: true });
+SerialNumberSchema.index({ tenantId: 1, productId: 1, status: 1 });
+
+SerialNumberSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.__v;
+    delete ret.tenantId;
+  },
+});
+
+export default mongoose.model('SerialNumber', SerialNumberSchema);
@@ -19,9 +19,11 @@ const ServiceSchema = new Schema({
   partCost: { type: Number, required: true },
   serviceCost: { type: Number, required: true },
   shippingCost: { type: Number, required: true },
+  warrantyDays: Number, // Garantia própria (vazio = padrão da loja)
   // E-commerce Fields
   publishToWeb: { type: Boolean, default: false },
-  image: { type: String }, // Base64
+  image: { type: String }, // URL no armazenamento de imagens (legado: Base64)
+  thumbnail: { type: String }, // URL da miniatura (listagens)
   ecommerceDetails: { type: EcommerceDetailsSchema },
 });
 
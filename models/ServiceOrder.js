@@ -12,12 +12,18 @@ const ServiceOrderSchema = new Schema({
     customerCnpjCpf: String,
     serviceId: { type: Schema.Types.ObjectId, ref: 'Service', required: true },
     serviceDescription: { type: String, required: true },
+    deviceSerial: String, // IMEI/Série do aparelho (link com SerialNumber)
     totalPrice: { type: Number, required: true },
     totalCost: { type: Number, required: true },
     otherCosts: { type: Number, default: 0 },
     status: { type: String, required: true, default: 'Pendente' },
     createdAt: { type: Date, default: Date.now },
     completedAt: Date,
+    // Attendant / technician (commissions)
+    userId: String,
+    userName: String,
+    completedById: String,
+    completedByName: String,
     // Payment Details
     paymentMethod: String,
     discount: Number,
@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+// Kardex: one row per stock change of a product (append-only)
+const StockMovementSchema = new Schema({
+  tenantId: { type: String, required: true, index: true }, // Isolation
+  productId: { type: String, required: true, ref: 'Product' },
+  productName: String,
+  quantity: { type: Number, required: true }, // Delta (+ entrada / - saída)
+  balanceAfter: { type: Number, required: true }, // Estoque após o movimento
+  unitCost: { type: Number, default: 0 },
+  reason: {
+    type: String,
+    required: true,
+    enum: [
+      'initial',
+      'sale',
+      'sale_cancelled',
+      'return',
+      'purchase',
+      'purchase_reversal',
+      'ecommerce_shipment',
+      'ecommerce_reversal',
+      'manual_adjustment',
+      'stocktake',
+    ],
+  },
+  documentType: String, // sale, sale_return, purchase, ecommerce_order...
+  documentId: String,
+  userId: String,
+  userName: String,
+  date: { type: Date, default: Date.now },
+});
+
+StockMovementSchema.index({ tenantId: 1, productId: 1, date: 1, _id: 1 });
+StockMovementSchema.index({ tenantId: 1, productId: 1, _id: 1 }); // Replay
+StockMovementSchema.index({ tenantId: 1, documentType: 1, documentId: 1 });
+
+StockMovementSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.__v;
+    delete ret.tenantId;
+  },
+});
+
+export default mongoose.model('StockMovement', StockMovementSchema);
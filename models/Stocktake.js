@@ -0,0 +1,68 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+const StocktakeCountSchema = new Schema(
+  {
+    quantity: { type: Number, required: true },
+    userId: String,
+    userName: String,
+    date: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const StocktakeItemSchema = new Schema(
+  {
+    productId: { type: String, required: true },
+    barcode: String,
+    name: String,
+    cost: { type: Number, default: 0 }, // Custo na abertura (valoriza a diferença)
+    systemQuantity: { type: Number, required: true }, // Estoque na abertura
+    // Estoque do sistema na última contagem: vendas/compras lançadas depois da
+    // abertura já estão na prateleira contada e não entram na diferença
+    expectedQuantity: Number,
+    countedQuantity: Number, // Soma das contagens (vazio = não contado)
+    counts: [StocktakeCountSchema],
+  },
+  { _id: false }
+);
+
+// Inventário: snapshot of the stock in scope plus the counts of the team
+const StocktakeSchema = new Schema({
+  tenantId: { type: String, required: true, index: true }, // Isolation
+  name: String,
+  filters: {
+    category: String,
+    location: String,
+  },
+  status: {
+    type: String,
+    required: true,
+    enum: ['open', 'approved', 'cancelled'],
+    default: 'open',
+  },
+  items: [StocktakeItemSchema],
+  notes: String,
+  userId: String,
+  userName: String,
+  createdAt: { type: Date, default: Date.now },
+  closedAt: Date,
+  closedBy: String,
+  // Totais lançados na aprovação
+  lossValue: Number,
+  gainValue: Number,
+});
+
+StocktakeSchema.index({ tenantId: 1, status: 1, createdAt: -1 });
+
+StocktakeSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.__v;
+    delete ret.tenantId;
+  },
+});
+
+export default mongoose.model('Stocktake', StocktakeSchema);
@@ -65,6 +65,67 @@ const GoogleBusinessSchema = new Schema(
   { _id: false }
 );
 
+// Numeração de documentos (prefixo e reinício da sequência por tipo)
+const DocumentSeriesSchema = new Schema(
+  {
+    prefix: { type: String },
+    reset: { type: String, enum: ['monthly', 'yearly', 'never'] },
+  },
+  { _id: false }
+);
+
+const DocumentNumberingSchema = new Schema(
+  {
+    sale: DocumentSeriesSchema,
+    sale_return: DocumentSeriesSchema,
+    service_order: DocumentSeriesSchema,
+    ecommerce_order: DocumentSeriesSchema,
+    purchase: DocumentSeriesSchema,
+    quote: DocumentSeriesSchema,
+  },
+  { _id: false }
+);
+
+// Crediário (venda parcelada pela própria loja)
+const CrediarioSettingsSchema = new Schema(
+  {
+    defaultCreditLimit: { type: Number, default: 0 }, // 0 = só clientes com limite próprio compram no crediário
+    maxInstallments: { type: Number, default: 12 },
+    applyLateCharges: { type: Boolean, default: false },
+    finePercent: { type: Number, default: 2 }, // Multa única por atraso (%)
+    monthlyInterestPercent: { type: Number, default: 1 }, // Juros de mora ao mês (pro rata dia)
+    graceDays: { type: Number, default: 0 }, // Tolerância antes de cobrar encargos
+  },
+  { _id: false }
+);
+
+// Garantia padrão em dias (warrantyDays do produto/serviço tem prioridade)
+const CategoryWarrantySchema = new Schema(
+  {
+    category: { type: String, required: true }, // Product.category
+    days: { type: Number, required: true },
+  },
+  { _id: false }
+);
+
+const WarrantySettingsSchema = new Schema(
+  {
+    productDays: { type: Number, default: 365 }, // Aparelhos novos: 1 ano
+    serviceDays: { type: Number, default: 90 }, // Reparos: 90 dias
+    categoryDays: [CategoryWarrantySchema],
+  },
+  { _id: false }
+);
+
+// Cupom não fiscal (impressora térmica)
+const ReceiptSettingsSchema = new Schema(
+  {
+    paperWidth: { type: Number, enum: [58, 80], default: 80 }, // mm
+    footer: { type: String, default: '' }, // Ex: termos de garantia
+  },
+  { _id: false }
+);
+
 // Schema de Auditoria Jurídica (Empreendedor x FluxoClean)
 const LegalAgreementSchema = new Schema(
   {
@@ -127,10 +188,13 @@ const StoreConfigSchema = new Schema(
     minContributionMargin: { type: Number, default: 20.0 },
     fixedCostAllocation: { type: Number, default: 15.0 },
     autoApplyDiscount: { type: Boolean, default: true }, // Default to true for backward compatibility
+    quoteValidityDays: { type: Number, default: 7 }, // Validade padrão dos orçamentos
 
     // Inventory Rules
     turnoverPeriod: { type: String, default: 'Mensal (30 dias)' },
     stockThresholds: { type: StockThresholdsSchema, default: () => ({}) },
+    allowNegativeStock: { type: Boolean, default: false }, // POS pode vender sem saldo
+    requireOpenCashRegister: { type: Boolean, default: false }, // PDV só vende com caixa aberto
 
     // Incentives
     discountSafety: { type: Number, default: 0 },
@@ -140,6 +204,21 @@ const StoreConfigSchema = new Schema(
     // Company Info
     companyInfo: { type: CompanyInfoSchema, default: () => ({}) },
 
+    // Document Numbering (Empty = system defaults: TC, DV, OS, SC, PO, OR)
+    documentNumbering: {
+      type: DocumentNumberingSchema,
+      default: () => ({}),
+    },
+
+    // Store credit sales (Crediário)
+    crediarioSettings: { type: CrediarioSettingsSchema, default: () => ({}) },
+
+    // Warranty periods (sold items and completed service orders)
+    warrantySettings: { type: WarrantySettingsSchema, default: () => ({}) },
+
+    // Receipt printing
+    receiptSettings: { type: ReceiptSettingsSchema, default: () => ({}) },
+
     // Financial Settings (Payment Configs)
     financialSettings: { type: FinancialSettingsSchema, default: () => ({}) },
 
@@ -9,6 +9,33 @@ const SaleItemSchema = new Schema({
     unitCost: { type: Number, default: 0 },
     type: { type: String, required: true, enum: ['product', 'service'] },
     uniqueIdentifier: { type: String, required: false },
+    returnedQuantity: { type: Number, default: 0 }, // Sum of all SaleReturn docs
+}, { _id: false });
+
+// Manager approval of a sale outside the discount policy
+const DiscountOverrideSchema = new Schema({
+    reason: { type: String, required: true },
+    approvedById: String,
+    approvedByName: String,
+    approvedAt: Date,
+    violations: [String], // Regras violadas no momento da aprovação
+}, { _id: false });
+
+// Promotion applied by the server (discount already included in `discount`)
+const AppliedPromotionSchema = new Schema({
+    promotionId: String,
+    name: String,
+    code: String, // Cupom informado
+    type: String,
+    discount: Number,
+}, { _id: false });
+
+// Split-tender: each entry is one payment method used to settle the ticket
+const SalePaymentSchema = new Schema({
+    method: { type: String, required: true },
+    amount: { type: Number, required: true },
+    installments: { type: Number, default: 1 },
+    giftCardCode: String, // Vale-presente / crédito em loja usado
 }, { _id: false });
 
 const TicketSaleSchema = new Schema({
@@ -17,8 +44,10 @@ const TicketSaleSchema = new Schema({
     items: [SaleItemSchema],
     total: { type: Number, required: true },
     totalCost: { type: Number, default: 0 },
+    feeTotal: { type: Number, default: 0 }, // Taxas de cartão/Pix (receita líquida = total - feeTotal)
     discount: { type: Number, default: 0 },
-    paymentMethod: { type: String },
+    paymentMethod: { type: String }, // Summary label (ex: "Pix + Dinheiro")
+    payments: [SalePaymentSchema],
     timestamp: { type: Date, default: Date.now },
     customerName: String,
     customerWhatsapp: String,
@@ -26,8 +55,27 @@ const TicketSaleSchema = new Schema({
     saleHour: { type: Number, required: true },
     userId: { type: String, required: true },
     userName: { type: String, required: true },
+    // Returns / Exchanges audit trail
+    returnIds: [{ type: String, ref: 'SaleReturn' }],
+    originReturnId: { type: String, ref: 'SaleReturn' }, // Set when this ticket is the exchange of a return
+    cashRegisterSessionId: { type: String, ref: 'CashRegisterSession', index: true }, // Caixa (turno) aberto na venda
+    quoteId: { type: String, ref: 'Quote' }, // Orçamento convertido nesta venda
+    // Offline POS: client-generated key (a resent batch never duplicates)
+    idempotencyKey: String,
+    syncedAt: Date,
+    // Discount policy (computed server-side at sale time)
+    contributionMargin: Number,
+    discountOverride: DiscountOverrideSchema,
+    promotion: AppliedPromotionSchema,
 });
 
+// Listing: newest first within the tenant (cursor = timestamp + _id)
+TicketSaleSchema.index({ tenantId: 1, timestamp: -1, _id: -1 });
+TicketSaleSchema.index(
+    { tenantId: 1, idempotencyKey: 1 },
+    { unique: true, partialFilterExpression: { idempotencyKey: { $type: 'string' } } }
+);
+
 TicketSaleSchema.set('toJSON', {
     virtuals: true,
     transform: (doc, ret) => {
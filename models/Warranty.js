@@ -0,0 +1,60 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+// Acionamento de garantia (claim) registered against the warranty
+const WarrantyClaimSchema = new Schema({
+  description: { type: String, required: true }, // Defeito relatado
+  status: {
+    type: String,
+    required: true,
+    enum: ['open', 'resolved', 'rejected'],
+    default: 'open',
+  },
+  resolution: String,
+  serviceOrderId: { type: String, ref: 'ServiceOrder' }, // OS aberta para o reparo
+  userName: String,
+  createdAt: { type: Date, default: Date.now },
+  closedAt: Date,
+});
+
+// One record per sold line / completed service order
+const WarrantySchema = new Schema({
+  tenantId: { type: String, required: true, index: true }, // Isolation
+  documentType: {
+    type: String,
+    required: true,
+    enum: ['sale', 'service_order'],
+  },
+  documentId: { type: String, required: true }, // TicketSale / ServiceOrder
+  itemId: String,
+  itemType: { type: String, enum: ['product', 'service'] },
+  itemName: String,
+  quantity: { type: Number, default: 1 },
+  serial: String, // IMEI/Série (normalizado)
+  customerId: { type: String, ref: 'Customer' },
+  customerName: String,
+  customerPhone: String, // Somente dígitos
+  days: { type: Number, required: true },
+  startsAt: { type: Date, required: true },
+  expiresAt: { type: Date, required: true },
+  // Devolução: quantity is reduced by the returned units; none left = voided
+  returnedQuantity: { type: Number, default: 0 },
+  voidedAt: Date,
+  claims: [WarrantyClaimSchema],
+});
+
+WarrantySchema.index({ tenantId: 1, documentType: 1, documentId: 1 });
+WarrantySchema.index({ tenantId: 1, customerPhone: 1 });
+WarrantySchema.index({ tenantId: 1, serial: 1 });
+
+WarrantySchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.__v;
+    delete ret.tenantId;
+  },
+});
+
+export default mongoose.model('Warranty', WarrantySchema);
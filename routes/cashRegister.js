@@ -0,0 +1,198 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import CashRegisterSession from '../models/CashRegisterSession.js';
+import { protect, authorize } from '../middleware/authMiddleware.js';
+import { CashRegisterStatus, CashMovementType } from '../types.js';
+import { httpError } from '../utils/httpError.js';
+import {
+  getOpenRegister,
+  computeRegisterSummary,
+} from '../utils/cashRegisterHelpers.js';
+
+const router = express.Router();
+
+const registerUser = (user) => ({
+  userId: user._id || user.id,
+  userName: user.name || 'Usuário SaaS',
+});
+
+const parseAmount = (value) => {
+  const amount = Number(value);
+  return isNaN(amount) ? null : Math.round(amount * 100) / 100;
+};
+
+// GET /api/cash-register/status - Open shift (if any) with live expected cash
+router.get('/status', protect, async (req, res) => {
+  try {
+    const register = await getOpenRegister(req.tenantId);
+    if (!register) {
+      return res.json({ open: false, register: null });
+    }
+
+    const { summary, expectedCash } = await computeRegisterSummary(register);
+    res.json({ open: true, register, summary, expectedCash });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// GET /api/cash-register - Shift history (Scoped by Tenant)
+router.get('/', protect, authorize('owner', 'manager'), async (req, res) => {
+  try {
+    const query = { tenantId: req.tenantId };
+    if (req.query.status) query.status = req.query.status;
+
+    const registers = await CashRegisterSession.find(query).sort({
+      openedAt: -1,
+    });
+    res.json(registers);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// GET /api/cash-register/:id - Shift detail (summary recomputed while open)
+router.get('/:id', protect, authorize('owner', 'manager'), async (req, res) => {
+  try {
+    const register = await CashRegisterSession.findOne({
+      _id: req.params.id,
+      tenantId: req.tenantId,
+    });
+    if (!register) {
+      return res.status(404).json({ message: 'Caixa não encontrado.' });
+    }
+
+    if (register.status === CashRegisterStatus.OPEN) {
+      const { summary, expectedCash } = await computeRegisterSummary(register);
+      return res.json({ ...register.toJSON(), summary, expectedCash });
+    }
+    res.json(register);
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(404).json({ message: 'Caixa não encontrado.' });
+    }
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// POST /api/cash-register/open - Abertura de caixa com fundo de troco
+router.post('/open', protect, async (req, res) => {
+  try {
+    const openingFloat = parseAmount(req.body.openingFloat ?? 0);
+    if (openingFloat === null || openingFloat < 0) {
+      throw httpError('Informe um fundo de troco válido.');
+    }
+
+    const register = await CashRegisterSession.create({
+      tenantId: req.tenantId,
+      openingFloat,
+      openedBy: registerUser(req.user),
+      notes: req.body.notes,
+    });
+    res.status(201).json(register);
+  } catch (err) {
+    // Partial unique index: only one open register per tenant
+    if (err.code === 11000) {
+      return res.status(409).json({ message: 'Já existe um caixa aberto.' });
+    }
+    res.status(err.statusCode || 500).json({ message: err.message });
+  }
+});
+
+// POST /api/cash-register/movements - Sangria (drop) / Suprimento (addition)
+router.post('/movements', protect, async (req, res) => {
+  try {
+    const { type, reason } = req.body;
+    const amount = parseAmount(req.body.amount);
+
+    if (!Object.values(CashMovementType).includes(type)) {
+      throw httpError('Tipo de movimento inválido (drop ou addition).');
+    }
+    if (!amount || amount <= 0) {
+      throw httpError('Informe um valor maior que zero.');
+    }
+
+    const register = await getOpenRegister(req.tenantId);
+    if (!register) {
+      throw httpError('Nenhum caixa aberto.', 409);
+    }
+
+    if (type === CashMovementType.DROP) {
+      const { expectedCash } = await computeRegisterSummary(register);
+      if (amount > expectedCash) {
+        throw httpError(
+          `Sangria maior que o saldo esperado em caixa (R$ ${expectedCash.toFixed(
+            2
+          )}).`
+        );
+      }
+    }
+
+    const { userId, userName } = registerUser(req.user);
+    register.movements.push({ type, amount, reason, userId, userName });
+    await register.save();
+
+    const { summary, expectedCash } = await computeRegisterSummary(register);
+    res.status(201).json({ register, summary, expectedCash });
+  } catch (err) {
+    res.status(err.statusCode || 500).json({ message: err.message });
+  }
+});
+
+// POST /api/cash-register/close - Fechamento: esperado x contado
+// The summary is read in the same transaction that closes the register, and
+// only a register still open is closed (two closes cannot both win).
+router.post('/close', protect, async (req, res) => {
+  const session = await mongoose.startSession();
+  try {
+    const countedCash = parseAmount(req.body.countedCash);
+    if (countedCash === null || countedCash < 0) {
+      throw httpError('Informe o valor contado em caixa.');
+    }
+
+    let closed;
+    await session.withTransaction(async () => {
+      const register = await getOpenRegister(req.tenantId, session);
+      if (!register) {
+        throw httpError('Nenhum caixa aberto.', 409);
+      }
+
+      const { summary, expectedCash } = await computeRegisterSummary(
+        register,
+        session
+      );
+
+      const update = {
+        status: CashRegisterStatus.CLOSED,
+        closedAt: new Date(),
+        closedBy: registerUser(req.user),
+        summary,
+        expectedCash,
+        countedCash,
+        difference: Math.round((countedCash - expectedCash) * 100) / 100,
+      };
+      if (req.body.notes) update.notes = req.body.notes;
+
+      closed = await CashRegisterSession.findOneAndUpdate(
+        {
+          _id: register.id,
+          tenantId: req.tenantId,
+          status: CashRegisterStatus.OPEN,
+        },
+        { $set: update },
+        { new: true, session }
+      );
+      if (!closed) {
+        throw httpError('Caixa já foi fechado.', 409);
+      }
+    });
+
+    res.json(closed);
+  } catch (err) {
+    res.status(err.statusCode || 500).json({ message: err.message });
+  } finally {
+    session.endSession();
+  }
+});
+
+export default router;
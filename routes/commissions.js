@@ -0,0 +1,311 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import CommissionRule from '../models/CommissionRule.js';
+import CommissionPayout from '../models/CommissionPayout.js';
+import CashTransaction from '../models/CashTransaction.js';
+import { protect, authorize } from '../middleware/authMiddleware.js';
+import {
+  CommissionBase,
+  TransactionType,
+  TransactionCategory,
+  TransactionStatus,
+} from '../types.js';
+import { httpError } from '../utils/httpError.js';
+import { parseDateParam } from '../utils/dateHelpers.js';
+import { computeCommissionReport } from '../utils/commissionHelpers.js';
+
+const router = express.Router();
+
+const parseRate = (value, label) => {
+  const rate = Number(value ?? 0);
+  if (isNaN(rate) || rate < 0 || rate > 100) {
+    throw httpError(`Percentual inválido: ${label}.`);
+  }
+  return rate;
+};
+
+const buildRuleData = (body) => {
+  const { name, scope, userId, role, base, tiers, active } = body;
+  if (!name) throw httpError('Informe o nome da regra.');
+  if (scope === 'user' && !userId) {
+    throw httpError('Informe o usuário da regra.');
+  }
+  if (scope === 'role' && !role) throw httpError('Informe o cargo da regra.');
+  if (!['user', 'role'].includes(scope)) {
+    throw httpError('Escopo inválido (user ou role).');
+  }
+  if (base && !Object.values(CommissionBase).includes(base)) {
+    throw httpError('Base de cálculo inválida (revenue ou margin).');
+  }
+
+  return {
+    name,
+    scope,
+    userId: scope === 'user' ? userId : undefined,
+    role: scope === 'role' ? role : undefined,
+    base: base || CommissionBase.REVENUE,
+    productRate: parseRate(body.productRate, 'produtos'),
+    serviceRate: parseRate(body.serviceRate, 'serviços'),
+    tiers: (tiers || []).map((t) => ({
+      minAmount: Number(t.minAmount) || 0,
+      productRate: parseRate(t.productRate, 'faixa de produtos'),
+      serviceRate: parseRate(t.serviceRate, 'faixa de serviços'),
+    })),
+    active: active ?? true,
+  };
+};
+
+const parsePeriod = ({ from, to }) => {
+  const periodStart = parseDateParam(from);
+  const periodEnd = parseDateParam(to, true);
+  if (!periodStart || !periodEnd || periodEnd <= periodStart) {
+    throw httpError('Informe o período (from e to).');
+  }
+  return { periodStart, periodEnd };
+};
+
+// periodEnd is exclusive (start of the day after `to`)
+const formatPeriod = (periodStart, periodEnd) =>
+  `${periodStart.toISOString().slice(0, 10)} a ${new Date(
+    periodEnd.getTime() - 1
+  )
+    .toISOString()
+    .slice(0, 10)}`;
+
+// Payouts whose period shares at least one day with [periodStart, periodEnd)
+const overlapping = (periodStart, periodEnd) => ({
+  periodStart: { $lt: periodEnd },
+  periodEnd: { $gt: periodStart },
+});
+
+// --- Rules ---
+
+router.get(
+  '/rules',
+  protect,
+  authorize('owner', 'manager'),
+  async (req, res) => {
+    try {
+      const rules = await CommissionRule.find({ tenantId: req.tenantId });
+      res.json(rules);
+    } catch (err) {
+      res.status(500).json({ message: err.message });
+    }
+  }
+);
+
+router.post(
+  '/rules',
+  protect,
+  authorize('owner', 'manager'),
+  async (req, res) => {
+    try {
+      const rule = await CommissionRule.create({
+        ...buildRuleData(req.body),
+        tenantId: req.tenantId,
+      });
+      res.status(201).json(rule);
+    } catch (err) {
+      res.status(err.statusCode || 400).json({ message: err.message });
+    }
+  }
+);
+
+router.put(
+  '/rules/:id',
+  protect,
+  authorize('owner', 'manager'),
+  async (req, res) => {
+    try {
+      const rule = await CommissionRule.findOneAndUpdate(
+        { _id: req.params.id, tenantId: req.tenantId },
+        buildRuleData(req.body),
+        { new: true }
+      );
+      if (!rule) {
+        return res.status(404).json({ message: 'Regra não encontrada.' });
+      }
+      res.json(rule);
+    } catch (err) {
+      res.status(err.statusCode || 400).json({ message: err.message });
+    }
+  }
+);
+
+router.delete(
+  '/rules/:id',
+  protect,
+  authorize('owner', 'manager'),
+  async (req, res) => {
+    try {
+      const rule = await CommissionRule.findOneAndDelete({
+        _id: req.params.id,
+        tenantId: req.tenantId,
+      });
+      if (!rule) {
+        return res.status(404).json({ message: 'Regra não encontrada.' });
+      }
+      res.json({ message: 'Regra excluída com sucesso.' });
+    } catch (err) {
+      res.status(500).json({ message: err.message });
+    }
+  }
+);
+
+// --- Report & payout ---
+
+// GET /api/commissions/report?from=2025-12-01&to=2025-12-31
+router.get(
+  '/report',
+  protect,
+  authorize('owner', 'manager'),
+  async (req, res) => {
+    try {
+      const { periodStart, periodEnd } = parsePeriod(req.query);
+      const [report, payouts] = await Promise.all([
+        computeCommissionReport(req.tenantId, periodStart, periodEnd),
+        CommissionPayout.find({
+          tenantId: req.tenantId,
+          ...overlapping(periodStart, periodEnd),
+        }),
+      ]);
+
+      const paidUsers = new Map(payouts.map((p) => [p.userId, p]));
+      report.sellers = report.sellers.map((s) => ({
+        ...s,
+        payoutId: paidUsers.get(s.userId)?.id || null,
+      }));
+      res.json(report);
+    } catch (err) {
+      res.status(err.statusCode || 500).json({ message: err.message });
+    }
+  }
+);
+
+// GET /api/commissions/payouts - Payout history
+router.get(
+  '/payouts',
+  protect,
+  authorize('owner', 'manager'),
+  async (req, res) => {
+    try {
+      const payouts = await CommissionPayout.find({
+        tenantId: req.tenantId,
+      }).sort({ timestamp: -1 });
+      res.json(payouts);
+    } catch (err) {
+      res.status(500).json({ message: err.message });
+    }
+  }
+);
+
+/**
+ * POST /api/commissions/payout - Generates SALARY payables (Pendente)
+ * Body: { from, to, dueDate, userIds? }. Sellers already paid for the
+ * same period are skipped; a period that partly overlaps a payout of the
+ * seller is refused (its sales would be paid twice).
+ */
+router.post(
+  '/payout',
+  protect,
+  authorize('owner', 'manager'),
+  async (req, res) => {
+    const session = await mongoose.startSession();
+
+    try {
+      const { periodStart, periodEnd } = parsePeriod(req.body);
+      const dueDate = parseDateParam(req.body.dueDate) || new Date();
+      const { userIds } = req.body;
+
+      const report = await computeCommissionReport(
+        req.tenantId,
+        periodStart,
+        periodEnd
+      );
+      const eligible = report.sellers.filter(
+        (s) =>
+          s.commission > 0 &&
+          s.rule &&
+          (!Array.isArray(userIds) || userIds.includes(s.userId))
+      );
+
+      const periodLabel = formatPeriod(periodStart, periodEnd);
+      const created = [];
+      const skipped = [];
+
+      await session.withTransaction(async () => {
+        created.length = 0;
+        skipped.length = 0;
+
+        for (const seller of eligible) {
+          const existing = await CommissionPayout.findOne({
+            tenantId: req.tenantId,
+            userId: seller.userId,
+            ...overlapping(periodStart, periodEnd),
+          }).session(session);
+          if (
+            existing?.periodStart.getTime() === periodStart.getTime() &&
+            existing.periodEnd.getTime() === periodEnd.getTime()
+          ) {
+            skipped.push(seller.userId);
+            continue;
+          }
+          if (existing) {
+            const paidPeriod = formatPeriod(
+              existing.periodStart,
+              existing.periodEnd
+            );
+            throw httpError(
+              `${seller.userName} já recebeu comissão de ${paidPeriod}, que se sobrepõe a este período.`,
+              409
+            );
+          }
+
+          const [transaction] = await CashTransaction.create(
+            [
+              {
+                tenantId: req.tenantId,
+                description: `Comissão ${seller.userName} - ${periodLabel}`,
+                amount: seller.commission,
+                type: TransactionType.EXPENSE,
+                category: TransactionCategory.SALARY,
+                status: TransactionStatus.PENDING,
+                timestamp: new Date(),
+                dueDate,
+                financialAccountId: 'cash-box',
+              },
+            ],
+            { session }
+          );
+
+          const [payout] = await CommissionPayout.create(
+            [
+              {
+                tenantId: req.tenantId,
+                userId: seller.userId,
+                userName: seller.userName,
+                periodStart,
+                periodEnd,
+                base: seller.base,
+                amount: seller.commission,
+                ruleId: seller.rule.id,
+                transactionId: transaction.id,
+                createdBy: req.user.name,
+              },
+            ],
+            { session }
+          );
+          created.push(payout);
+        }
+      });
+
+      res.status(201).json({ payouts: created, skipped });
+    } catch (err) {
+      res.status(err.statusCode || 500).json({ message: err.message });
+    } finally {
+      session.endSession();
+    }
+  }
+);
+
+export default router;
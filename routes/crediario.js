@@ -0,0 +1,251 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import CashTransaction from '../models/CashTransaction.js';
+import Customer from '../models/Customer.js';
+import StoreConfig from '../models/StoreConfig.js';
+import { protect, authorize } from '../middleware/authMiddleware.js';
+import {
+  TransactionType,
+  TransactionCategory,
+  TransactionStatus,
+  PaymentMethod,
+} from '../types.js';
+import { httpError } from '../utils/httpError.js';
+import {
+  CREDIARIO_ACCOUNT,
+  getCreditLimit,
+  getCustomerOpenBalance,
+  computeLateCharges,
+} from '../utils/crediarioHelpers.js';
+import { getOpenRegister } from '../utils/cashRegisterHelpers.js';
+
+const router = express.Router();
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const getSettings = async (tenantId) => {
+  const config = await StoreConfig.findOne({ tenantId }).select(
+    'crediarioSettings'
+  );
+  return config?.crediarioSettings;
+};
+
+// Plan with today's charges on every pending installment
+const describePlan = (plan, settings, now) => {
+  const json = plan.toJSON();
+  json.installments = json.installments.map((installment) => {
+    if (installment.status === TransactionStatus.PAID) return installment;
+    const charges = computeLateCharges(installment, settings, now);
+    return {
+      ...installment,
+      ...charges,
+      totalDue: round2(installment.amount + charges.fine + charges.interest),
+    };
+  });
+  return json;
+};
+
+// GET /api/crediario - Open receivables (Scoped by Tenant). Filter: overdue
+router.get('/', protect, authorize('owner', 'manager'), async (req, res) => {
+  try {
+    const now = new Date();
+    const query = {
+      tenantId: req.tenantId,
+      financialAccountId: CREDIARIO_ACCOUNT,
+      status: TransactionStatus.PENDING,
+    };
+    if (req.query.overdue === 'true') {
+      query.installments = {
+        $elemMatch: {
+          status: { $ne: TransactionStatus.PAID },
+          dueDate: { $lt: now },
+        },
+      };
+    }
+
+    const [plans, settings] = await Promise.all([
+      CashTransaction.find(query).sort({ dueDate: 1 }),
+      getSettings(req.tenantId),
+    ]);
+    res.json(plans.map((plan) => describePlan(plan, settings, now)));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// GET /api/crediario/customers/:customerId - Limit, open balance and schedule
+router.get('/customers/:customerId', protect, async (req, res) => {
+  try {
+    const tenantId = req.tenantId;
+    const now = new Date();
+
+    const customer = await Customer.findOne({
+      _id: req.params.customerId,
+      tenantId,
+    });
+    if (!customer) {
+      return res.status(404).json({ message: 'Cliente não encontrado.' });
+    }
+
+    const [settings, plans, openBalance] = await Promise.all([
+      getSettings(tenantId),
+      CashTransaction.find({
+        tenantId,
+        customerId: customer.id,
+        financialAccountId: CREDIARIO_ACCOUNT,
+      }).sort({ timestamp: -1 }),
+      getCustomerOpenBalance(tenantId, customer.id),
+    ]);
+
+    const described = plans.map((plan) => describePlan(plan, settings, now));
+    const overdue = described
+      .flatMap((plan) => plan.installments)
+      .filter((i) => i.status !== TransactionStatus.PAID && i.daysLate > 0);
+    const creditLimit = getCreditLimit(customer, settings);
+
+    res.json({
+      customer: { id: customer.id, name: customer.name },
+      creditLimit,
+      openBalance,
+      available: round2(Math.max(creditLimit - openBalance, 0)),
+      overdueCount: overdue.length,
+      overdueBalance: round2(overdue.reduce((sum, i) => sum + i.totalDue, 0)),
+      plans: described,
+    });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// PUT /api/crediario/customers/:customerId/limit - Custom credit limit
+// (creditLimit null = back to the store default)
+router.put(
+  '/customers/:customerId/limit',
+  protect,
+  authorize('owner', 'manager'),
+  async (req, res) => {
+    try {
+      const { creditLimit } = req.body;
+      const limit = creditLimit === null ? null : Number(creditLimit);
+      if (limit !== null && (isNaN(limit) || limit < 0)) {
+        throw httpError('Limite de crédito inválido.');
+      }
+
+      const customer = await Customer.findOneAndUpdate(
+        { _id: req.params.customerId, tenantId: req.tenantId },
+        limit === null
+          ? { $unset: { creditLimit: 1 } }
+          : { $set: { creditLimit: limit } },
+        { new: true }
+      );
+      if (!customer) {
+        return res.status(404).json({ message: 'Cliente não encontrado.' });
+      }
+      res.json(customer);
+    } catch (err) {
+      res.status(err.statusCode || 500).json({ message: err.message });
+    }
+  }
+);
+
+/**
+ * POST /api/crediario/:id/installments/:number/pay - Baixa de parcela
+ * Body: { paymentMethod, paymentDate, waiveLateCharges }
+ * Only owners/managers may waive fine and interest.
+ * Fine and interest are booked as a separate income (Juros e Multas).
+ */
+router.post('/:id/installments/:number/pay', protect, async (req, res) => {
+  const { paymentMethod, paymentDate, waiveLateCharges } = req.body;
+  const number = parseInt(req.params.number, 10);
+  const session = await mongoose.startSession();
+  let updatedPlan;
+
+  try {
+    if (!paymentMethod) {
+      throw httpError('Informe a forma de pagamento da parcela.');
+    }
+    if (waiveLateCharges && !['owner', 'manager'].includes(req.user.role)) {
+      throw httpError('Somente o gerente pode dispensar juros e multa.', 403);
+    }
+    const paidAt = paymentDate ? new Date(paymentDate) : new Date();
+    if (isNaN(paidAt.getTime())) {
+      throw httpError('Data de pagamento inválida.');
+    }
+
+    const settings = await getSettings(req.tenantId);
+
+    await session.withTransaction(async () => {
+      const plan = await CashTransaction.findOne({
+        _id: req.params.id,
+        tenantId: req.tenantId,
+        financialAccountId: CREDIARIO_ACCOUNT,
+      }).session(session);
+      if (!plan) {
+        throw httpError('Crediário não encontrado.', 404);
+      }
+
+      const installment = plan.installments.find((i) => i.number === number);
+      if (!installment) {
+        throw httpError('Parcela não encontrada.', 404);
+      }
+      if (installment.status === TransactionStatus.PAID) {
+        throw httpError('Parcela já paga.', 409);
+      }
+
+      const { fine, interest } = waiveLateCharges
+        ? { fine: 0, interest: 0 }
+        : computeLateCharges(installment, settings, paidAt);
+      const register =
+        paymentMethod === PaymentMethod.CASH
+          ? await getOpenRegister(req.tenantId, session)
+          : null;
+
+      installment.status = TransactionStatus.PAID;
+      installment.paymentDate = paidAt;
+      installment.paymentMethod = paymentMethod;
+      installment.fine = fine;
+      installment.interest = interest;
+      installment.paidAmount = round2(installment.amount + fine + interest);
+      installment.cashRegisterSessionId = register?.id;
+
+      const allPaid = plan.installments.every(
+        (i) => i.status === TransactionStatus.PAID
+      );
+      plan.status = allPaid
+        ? TransactionStatus.PAID
+        : TransactionStatus.PENDING;
+      plan.paymentDate = allPaid ? paidAt : null;
+      updatedPlan = await plan.save({ session });
+
+      if (fine + interest > 0) {
+        await CashTransaction.create(
+          [
+            {
+              tenantId: req.tenantId,
+              description: `Juros/Multa - Parcela ${number}/${plan.installments.length} - Venda #${plan.saleId}`,
+              amount: round2(fine + interest),
+              type: TransactionType.INCOME,
+              category: TransactionCategory.LATE_CHARGES,
+              status: TransactionStatus.PAID,
+              timestamp: paidAt,
+              dueDate: paidAt,
+              paymentDate: paidAt,
+              saleId: plan.saleId,
+              customerId: plan.customerId,
+              cashRegisterSessionId: register?.id,
+            },
+          ],
+          { session }
+        );
+      }
+    });
+
+    res.json(updatedPlan);
+  } catch (err) {
+    res.status(err.statusCode || 500).json({ message: err.message });
+  } finally {
+    session.endSession();
+  }
+});
+
+export default router;
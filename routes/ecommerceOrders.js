@@ -12,8 +12,20 @@ import {
   TransactionCategory,
   TransactionStatus,
   ServiceOrderStatus,
+  DocumentType,
+  StockMovementReason,
 } from '../types.js';
 import { protect, authorize } from '../middleware/authMiddleware.js';
+import { nextDocumentNumber } from '../utils/documentNumbers.js';
+import { refundRedemptions } from '../utils/giftCardHelpers.js';
+import { releasePromotionUsage } from '../utils/promotionHelpers.js';
+import { moveStock, recordStockMovement } from '../utils/stockLedger.js';
+import { sellSerial, revertSaleSerials } from '../utils/serialHelpers.js';
+import { httpError } from '../utils/httpError.js';
+import {
+  createSaleWarranties,
+  removeDocumentWarranties,
+} from '../utils/warrantyHelpers.js';
 
 const router = express.Router();
 
@@ -53,12 +65,14 @@ router.put(
 );
 
 // PUT Update Status (Transitions Logic with ATOMIC TRANSACTIONS)
+// DELIVERED of products with IMEI/Série: serials { [productId]: ['IMEI', ...] },
+// one per unit shipped
 router.put(
   '/:id/status',
   protect,
   authorize('owner', 'manager'),
   async (req, res) => {
-    const { status, shippingInfo } = req.body;
+    const { status, shippingInfo, serials = {} } = req.body;
     const { id } = req.params;
     const tenantId = req.tenantId;
 
@@ -105,6 +119,18 @@ router.put(
           product.stock -= item.quantity;
           product.lastSold = new Date();
           await product.save({ session });
+          await recordStockMovement(
+            {
+              tenantId,
+              product,
+              quantity: -item.quantity,
+              reason: StockMovementReason.ECOMMERCE_SHIPMENT,
+              documentType: DocumentType.ECOMMERCE_ORDER,
+              documentId: order.id,
+              user: req.user,
+            },
+            session
+          );
         }
 
         order.status = 'SENT';
@@ -121,10 +147,17 @@ router.put(
         for (const item of order.items) {
           if (item.type === 'service') continue;
 
-          await Product.findOneAndUpdate(
-            { _id: item.productId, tenantId },
-            { $inc: { stock: item.quantity } },
-            { session }
+          await moveStock(
+            {
+              tenantId,
+              productId: item.productId,
+              quantity: item.quantity,
+              reason: StockMovementReason.ECOMMERCE_REVERSAL,
+              documentType: DocumentType.ECOMMERCE_ORDER,
+              documentId: order.id,
+              user: req.user,
+            },
+            session
           );
         }
 
@@ -160,8 +193,14 @@ router.put(
         customerId = customer.id;
 
         const now = new Date();
-        const year = now.getFullYear();
-        const month = (now.getMonth() + 1).toString().padStart(2, '0');
+
+        // Checkout promotion is spread over products and services
+        const priceRatio =
+          order.promotion && order.subtotal > 0
+            ? order.total / order.subtotal
+            : 1;
+        const applyRatio = (value) =>
+          Math.round(value * priceRatio * 100) / 100;
 
         // --- A. Handle Products (TicketSale + Sales Revenue) ---
         let ticketId = undefined;
@@ -170,6 +209,15 @@ router.put(
           let totalProductRevenue = 0;
           const saleItems = [];
 
+          ticketId = await nextDocumentNumber(tenantId, DocumentType.SALE, now);
+          // Serials still to be used per product (lines may repeat a product)
+          const pendingSerials = new Map(
+            Object.entries(serials).map(([productId, list]) => [
+              productId,
+              [...(Array.isArray(list) ? list : [list])],
+            ])
+          );
+
           for (const item of productItems) {
             const product = await Product.findOne({
               _id: item.productId,
@@ -181,29 +229,63 @@ router.put(
             totalProductCost += unitCost * item.quantity;
             totalProductRevenue += item.unitPrice * item.quantity;
 
-            saleItems.push({
+            const line = {
               item: { id: item.productId, name: item.productName },
               quantity: item.quantity,
               unitPrice: item.unitPrice,
               unitCost: unitCost,
               type: 'product',
-            });
+            };
+            if (!product?.requiresUniqueIdentifier) {
+              saleItems.push(line);
+              continue;
+            }
+
+            // IMEI/Série: one sold unit (and sale line) per serial shipped
+            const available = pendingSerials.get(item.productId) || [];
+            if (available.length < item.quantity) {
+              throw httpError(
+                `Informe o IMEI/Série de cada unidade de ${item.productName} (${item.quantity}).`
+              );
+            }
+            for (const serial of available.splice(0, item.quantity)) {
+              const serialDoc = await sellSerial(
+                {
+                  tenantId,
+                  serial,
+                  productId: product.id,
+                  saleId: ticketId,
+                  customerId,
+                  customerName: order.customer.name,
+                  userName: req.user.name,
+                },
+                session
+              );
+              if (!serialDoc) {
+                throw httpError(
+                  `IMEI/Série ${serial} não está disponível em estoque para ${item.productName}.`,
+                  409
+                );
+              }
+              saleItems.push({
+                ...line,
+                quantity: 1,
+                uniqueIdentifier: serialDoc.serial,
+              });
+            }
           }
 
-          const count = await TicketSale.countDocuments({
-            tenantId,
-            _id: new RegExp(`^TC-${year}${month}`),
-          }).session(session);
-          const seq = (count + 1).toString().padStart(4, '0');
-          ticketId = `TC-${year}${month}-${seq}-ECOM`;
+          const productNetRevenue = applyRatio(totalProductRevenue);
 
           const newSale = new TicketSale({
             tenantId,
             _id: ticketId,
             items: saleItems,
-            total: totalProductRevenue,
+            total: productNetRevenue,
             totalCost: totalProductCost,
-            discount: 0,
+            discount:
+              Math.round((totalProductRevenue - productNetRevenue) * 100) / 100,
+            promotion: order.promotion,
             paymentMethod: 'E-commerce',
             timestamp: now,
             customerName: order.customer.name,
@@ -214,12 +296,13 @@ router.put(
             userName: req.user.name,
           });
           await newSale.save({ session });
+          await createSaleWarranties({ tenantId, sale: newSale }, session);
 
           // Cash Transaction for Products
           const newTx = new CashTransaction({
             tenantId,
             description: `Venda Online (Produtos) #${order._id}`,
-            amount: totalProductRevenue,
+            amount: productNetRevenue,
             type: TransactionType.INCOME,
             category: TransactionCategory.SALES_REVENUE,
             status: TransactionStatus.PAID,
@@ -235,12 +318,11 @@ router.put(
         // --- B. Handle Services (ServiceOrder ONLY) ---
         let serviceOrderId = undefined;
         if (serviceItems.length > 0) {
-          const countOS = await ServiceOrder.countDocuments({
+          serviceOrderId = await nextDocumentNumber(
             tenantId,
-            _id: new RegExp(`^OS-${year}${month}`),
-          }).session(session);
-          const seqOS = (countOS + 1).toString().padStart(4, '0');
-          serviceOrderId = `OS-${year}${month}${seqOS}-ECOM`;
+            DocumentType.SERVICE_ORDER,
+            now
+          );
 
           let totalServiceRevenue = 0;
           let totalServiceCost = 0; // Custo Total calculado
@@ -279,7 +361,11 @@ router.put(
             createdAt: now,
             // Payment info stored for reference, but revenue not booked yet
             paymentMethod: 'E-commerce (Pré-pago/A Combinar)',
-            finalPrice: totalServiceRevenue,
+            finalPrice: applyRatio(totalServiceRevenue),
+            discount:
+              Math.round(
+                (totalServiceRevenue - applyRatio(totalServiceRevenue)) * 100
+              ) / 100,
           });
           await newOS.save({ session });
 
@@ -299,6 +385,15 @@ router.put(
       else if (order.status === 'DELIVERED' && status === 'SENT') {
         // Revert Product Sale
         if (order.relatedTicketId) {
+          await removeDocumentWarranties(
+            {
+              tenantId,
+              documentType: DocumentType.SALE,
+              documentId: order.relatedTicketId,
+            },
+            session
+          );
+          await revertSaleSerials(tenantId, order.relatedTicketId, session);
           await TicketSale.deleteOne({
             _id: order.relatedTicketId,
             tenantId,
@@ -334,7 +429,7 @@ router.put(
     } catch (err) {
       await session.abortTransaction();
       console.error('Transaction Aborted:', err);
-      res.status(500).json({ message: err.message });
+      res.status(err.statusCode || 500).json({ message: err.message });
     } finally {
       session.endSession();
     }
@@ -365,6 +460,15 @@ router.delete(
       // Logic 1: If DELIVERED, remove Finance + Sale/OS AND Restore Stock (Products only)
       if (order.status === 'DELIVERED') {
         if (order.relatedTicketId) {
+          await removeDocumentWarranties(
+            {
+              tenantId,
+              documentType: DocumentType.SALE,
+              documentId: order.relatedTicketId,
+            },
+            session
+          );
+          await revertSaleSerials(tenantId, order.relatedTicketId, session);
           await TicketSale.deleteOne({
             _id: order.relatedTicketId,
             tenantId,
@@ -384,10 +488,17 @@ router.delete(
         // Restore Stock
         for (const item of order.items) {
           if (item.type === 'service') continue;
-          await Product.findOneAndUpdate(
-            { _id: item.productId, tenantId },
-            { $inc: { stock: item.quantity } },
-            { session }
+          await moveStock(
+            {
+              tenantId,
+              productId: item.productId,
+              quantity: item.quantity,
+              reason: StockMovementReason.ECOMMERCE_REVERSAL,
+              documentType: DocumentType.ECOMMERCE_ORDER,
+              documentId: order.id,
+              user: req.user,
+            },
+            session
           );
         }
       }
@@ -395,15 +506,51 @@ router.delete(
       else if (order.status === 'SENT') {
         for (const item of order.items) {
           if (item.type === 'service') continue;
-          await Product.findOneAndUpdate(
-            { _id: item.productId, tenantId },
-            { $inc: { stock: item.quantity } },
-            { session }
+          await moveStock(
+            {
+              tenantId,
+              productId: item.productId,
+              quantity: item.quantity,
+              reason: StockMovementReason.ECOMMERCE_REVERSAL,
+              documentType: DocumentType.ECOMMERCE_ORDER,
+              documentId: order.id,
+              user: req.user,
+            },
+            session
           );
         }
       }
       // Logic 3: If PENDING, just delete (no stock/money moved yet)
 
+      // Gift card used at checkout gets its balance back
+      if (order.giftCard?.amount > 0) {
+        await refundRedemptions(
+          {
+            tenantId,
+            documentType: DocumentType.ECOMMERCE_ORDER,
+            documentId: order.id,
+            userName: req.user.name,
+          },
+          session
+        );
+        await CashTransaction.deleteMany({
+          tenantId,
+          ecommerceOrderId: order.id,
+          category: TransactionCategory.STORED_VALUE,
+        }).session(session);
+      }
+
+      if (order.promotion) {
+        await releasePromotionUsage(
+          {
+            tenantId,
+            documentType: DocumentType.ECOMMERCE_ORDER,
+            documentId: order.id,
+          },
+          session
+        );
+      }
+
       await EcommerceOrder.deleteOne({ _id: id, tenantId }).session(session);
 
       await session.commitTransaction();
@@ -411,7 +558,7 @@ router.delete(
     } catch (err) {
       await session.abortTransaction();
       console.error('Delete Transaction Error:', err);
-      res.status(500).json({ message: err.message });
+      res.status(err.statusCode || 500).json({ message: err.message });
     } finally {
       session.endSession();
     }
@@ -0,0 +1,222 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import GiftCard from '../models/GiftCard.js';
+import Customer from '../models/Customer.js';
+import { protect, authorize } from '../middleware/authMiddleware.js';
+import {
+  GiftCardType,
+  GiftCardMovementType,
+  PaymentMethod,
+  TransactionType,
+} from '../types.js';
+import { httpError } from '../utils/httpError.js';
+import { getOpenRegister } from '../utils/cashRegisterHelpers.js';
+import {
+  normalizeGiftCardCode,
+  generateGiftCardCode,
+  isGiftCardExpired,
+  bookStoredValueEntry,
+} from '../utils/giftCardHelpers.js';
+
+const router = express.Router();
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Card plus what the POS needs to know before accepting it as tender
+const describeCard = (card, now = new Date()) => {
+  const expired = isGiftCardExpired(card, now);
+  return {
+    ...card.toJSON(),
+    expired,
+    usable: card.status === 'active' && !expired && card.balance > 0,
+  };
+};
+
+// GET /api/gift-cards - Scoped by Tenant. Filters: type, status, customerId, search
+router.get('/', protect, authorize('owner', 'manager'), async (req, res) => {
+  try {
+    const { type, status, customerId, search } = req.query;
+    const query = { tenantId: req.tenantId };
+    if (type) query.type = type;
+    if (status) query.status = status;
+    if (customerId) query.customerId = customerId;
+    if (search) {
+      const term = normalizeGiftCardCode(search).replace(
+        /[.*+?^${}()|[\]\\]/g,
+        '\\$&'
+      );
+      query.code = { $regex: term };
+    }
+
+    const cards = await GiftCard.find(query)
+      .select('-movements')
+      .sort({ createdAt: -1 });
+    const now = new Date();
+    res.json(cards.map((card) => describeCard(card, now)));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// GET /api/gift-cards/:code - Balance and history (POS lookup before tender)
+router.get('/:code', protect, async (req, res) => {
+  try {
+    const card = await GiftCard.findOne({
+      tenantId: req.tenantId,
+      code: normalizeGiftCardCode(req.params.code),
+    });
+    if (!card) {
+      return res.status(404).json({ message: 'Vale/crédito não encontrado.' });
+    }
+    res.json(describeCard(card));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// POST /api/gift-cards - Sells a gift card: money in, liability (STORED_VALUE) up
+router.post('/', protect, async (req, res) => {
+  const { paymentMethod, customerId, expiresAt } = req.body;
+  const amount = round2(Number(req.body.amount));
+  const tenantId = req.tenantId;
+
+  const session = await mongoose.startSession();
+  let savedCard;
+
+  try {
+    if (!(amount > 0)) {
+      throw httpError('Informe um valor maior que zero.');
+    }
+    if (!paymentMethod) {
+      throw httpError('Informe a forma de pagamento do vale-presente.');
+    }
+    if (
+      [
+        PaymentMethod.STORED_VALUE,
+        PaymentMethod.STORE_INSTALLMENT,
+        PaymentMethod.EXCHANGE_CREDIT,
+      ].includes(paymentMethod)
+    ) {
+      throw httpError('Forma de pagamento não aceita para vale-presente.');
+    }
+    let expiryDate;
+    if (expiresAt) {
+      expiryDate = new Date(expiresAt);
+      if (isNaN(expiryDate.getTime()) || expiryDate <= new Date()) {
+        throw httpError('Data de validade inválida.');
+      }
+    }
+
+    await session.withTransaction(async () => {
+      const now = new Date();
+      const userName = req.user.name || 'Usuário SaaS';
+
+      let customer = null;
+      if (customerId) {
+        customer = await Customer.findOne({ _id: customerId, tenantId })
+          .select('name')
+          .session(session);
+        if (!customer) {
+          throw httpError('Cliente não encontrado.', 404);
+        }
+      }
+
+      const code = req.body.code
+        ? normalizeGiftCardCode(req.body.code)
+        : generateGiftCardCode(GiftCardType.GIFT_CARD);
+
+      [savedCard] = await GiftCard.create(
+        [
+          {
+            tenantId,
+            code,
+            type: GiftCardType.GIFT_CARD,
+            customerId: customer?.id,
+            customerName: customer?.name,
+            initialBalance: amount,
+            balance: amount,
+            expiresAt: expiryDate,
+            movements: [
+              {
+                type: GiftCardMovementType.ISSUE,
+                amount,
+                balanceAfter: amount,
+                documentType: GiftCardType.GIFT_CARD,
+                documentId: code,
+                userName,
+              },
+            ],
+          },
+        ],
+        { session }
+      );
+
+      // Cash sold at the counter enters the drawer of the open shift
+      const register =
+        paymentMethod === PaymentMethod.CASH
+          ? await getOpenRegister(tenantId, session)
+          : null;
+
+      await bookStoredValueEntry(
+        {
+          tenantId,
+          giftCard: savedCard,
+          type: TransactionType.INCOME,
+          amount,
+          description: `Venda de vale-presente ${code} - ${paymentMethod}`,
+          links: {
+            customerId: customer?.id,
+            paymentMethod,
+            financialAccountId: 'cash-box',
+            cashRegisterSessionId: register?.id,
+          },
+          now,
+        },
+        session
+      );
+    });
+
+    res.status(201).json(describeCard(savedCard));
+  } catch (err) {
+    if (err.code === 11000) {
+      return res
+        .status(409)
+        .json({ message: 'Já existe um vale com este código.' });
+    }
+    res.status(err.statusCode || 500).json({ message: err.message });
+  } finally {
+    session.endSession();
+  }
+});
+
+// PATCH /api/gift-cards/:code/status - Block / unblock (lost or stolen card)
+router.patch(
+  '/:code/status',
+  protect,
+  authorize('owner', 'manager'),
+  async (req, res) => {
+    try {
+      const { status } = req.body;
+      if (!['active', 'blocked'].includes(status)) {
+        throw httpError('Status inválido (active ou blocked).');
+      }
+
+      const card = await GiftCard.findOneAndUpdate(
+        {
+          tenantId: req.tenantId,
+          code: normalizeGiftCardCode(req.params.code),
+        },
+        { $set: { status } },
+        { new: true }
+      );
+      if (!card) {
+        throw httpError('Vale/crédito não encontrado.', 404);
+      }
+      res.json(describeCard(card));
+    } catch (err) {
+      res.status(err.statusCode || 500).json({ message: err.message });
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,53 @@
+import express from 'express';
+import multer from 'multer';
+import { protect, authorize } from '../middleware/authMiddleware.js';
+import { httpError } from '../utils/httpError.js';
+import { storeImage, migrateBase64Images } from '../utils/imageHelpers.js';
+
+const router = express.Router();
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 }, // 10MB
+  fileFilter: (req, file, cb) => cb(null, file.mimetype.startsWith('image/')),
+}).single('image');
+
+// Multer errors (file too large...) as 400 instead of the default handler
+const receiveImage = (req, res, next) =>
+  upload(req, res, (err) =>
+    err ? res.status(400).json({ message: err.message }) : next()
+  );
+
+// POST /api/images - multipart field "image". Returns { image, thumbnail }
+// URLs to be saved in Product / Service / ProductParent.
+router.post(
+  '/',
+  protect,
+  authorize('owner', 'manager'),
+  receiveImage,
+  async (req, res) => {
+    try {
+      if (!req.file) {
+        throw httpError('Envie um arquivo de imagem no campo "image".');
+      }
+      const urls = await storeImage(req.tenantId, req.file.buffer);
+      res.status(201).json(urls);
+    } catch (err) {
+      res.status(err.statusCode || 500).json({ message: err.message });
+    }
+  }
+);
+
+// POST /api/images/migrate - Moves the Base64 images of the store to the
+// file store, one batch per call ({ limit }).
+router.post('/migrate', protect, authorize('owner'), async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(Number(req.body.limit) || 50, 1), 200);
+    const result = await migrateBase64Images(req.tenantId, { limit });
+    res.json(result);
+  } catch (err) {
+    res.status(err.statusCode || 500).json({ message: err.message });
+  }
+});
+
+export default router;
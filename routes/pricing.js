@@ -0,0 +1,199 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import PriceChange from '../models/PriceChange.js';
+import { protect, authorize } from '../middleware/authMiddleware.js';
+import { PriceChangeStatus } from '../types.js';
+import { httpError } from '../utils/httpError.js';
+import {
+  parsePricingRequest,
+  buildPricePreview,
+  getItemModel,
+} from '../utils/pricingHelpers.js';
+
+const router = express.Router();
+
+// POST /api/pricing/preview - Dry run: old and new prices, nothing is written
+router.post(
+  '/preview',
+  protect,
+  authorize('owner', 'manager'),
+  async (req, res) => {
+    try {
+      const request = parsePricingRequest(req.body);
+      const preview = await buildPricePreview(req.tenantId, request);
+      res.json({ ...request, ...preview });
+    } catch (err) {
+      res.status(err.statusCode || 500).json({ message: err.message });
+    }
+  }
+);
+
+// POST /api/pricing/apply - Applies the rule and records the history
+router.post(
+  '/apply',
+  protect,
+  authorize('owner', 'manager'),
+  async (req, res) => {
+    const session = await mongoose.startSession();
+    let priceChange;
+
+    try {
+      const request = parsePricingRequest(req.body);
+
+      await session.withTransaction(async () => {
+        const preview = await buildPricePreview(req.tenantId, request);
+        const changed = preview.items.filter(
+          (i) => Math.abs(i.newPrice - i.oldPrice) > 0.001
+        );
+        if (changed.length === 0) {
+          throw httpError('Nenhum preço seria alterado com esta regra.');
+        }
+        if (changed.some((i) => i.belowCost) && !req.body.allowBelowCost) {
+          throw httpError(
+            'A regra deixa itens abaixo do custo. Confirme para aplicar mesmo assim.',
+            409,
+            { belowCost: changed.filter((i) => i.belowCost) }
+          );
+        }
+
+        // Same old price as in the preview: an item edited meanwhile fails the batch
+        const result = await getItemModel(request.itemType).bulkWrite(
+          changed.map((i) => ({
+            updateOne: {
+              filter: {
+                _id: i.itemId,
+                tenantId: req.tenantId,
+                price: i.oldPrice,
+              },
+              update: { $set: { price: i.newPrice } },
+            },
+          })),
+          { session }
+        );
+        if (result.modifiedCount !== changed.length) {
+          throw httpError(
+            'Preços alterados durante o reajuste. Gere a prévia novamente.',
+            409
+          );
+        }
+
+        [priceChange] = await PriceChange.create(
+          [
+            {
+              tenantId: req.tenantId,
+              ...request,
+              items: changed.map(({ belowCost, ...item }) => item),
+              notes: req.body.notes,
+              userId: (req.user._id || req.user.id)?.toString(),
+              userName: req.user.name,
+            },
+          ],
+          { session }
+        );
+      });
+
+      res.status(201).json(priceChange);
+    } catch (err) {
+      res
+        .status(err.statusCode || 500)
+        .json({ message: err.message, ...err.details });
+    } finally {
+      session.endSession();
+    }
+  }
+);
+
+// GET /api/pricing/history - Bulk changes, newest first (without the items)
+router.get(
+  '/history',
+  protect,
+  authorize('owner', 'manager'),
+  async (req, res) => {
+    try {
+      const history = await PriceChange.find({ tenantId: req.tenantId })
+        .select('-items')
+        .sort({ appliedAt: -1 });
+      res.json(history);
+    } catch (err) {
+      res.status(500).json({ message: err.message });
+    }
+  }
+);
+
+// GET /api/pricing/history/:id
+router.get(
+  '/history/:id',
+  protect,
+  authorize('owner', 'manager'),
+  async (req, res) => {
+    try {
+      const priceChange = await PriceChange.findOne({
+        _id: req.params.id,
+        tenantId: req.tenantId,
+      });
+      if (!priceChange) {
+        return res.status(404).json({ message: 'Reajuste não encontrado.' });
+      }
+      res.json(priceChange);
+    } catch (err) {
+      res.status(500).json({ message: err.message });
+    }
+  }
+);
+
+// POST /api/pricing/history/:id/rollback - Restores the old prices. Items
+// re-priced after this change keep their current price (reported as skipped).
+router.post(
+  '/history/:id/rollback',
+  protect,
+  authorize('owner', 'manager'),
+  async (req, res) => {
+    const session = await mongoose.startSession();
+    let priceChange;
+    const skipped = [];
+
+    try {
+      await session.withTransaction(async () => {
+        skipped.length = 0;
+        priceChange = await PriceChange.findOne({
+          _id: req.params.id,
+          tenantId: req.tenantId,
+        }).session(session);
+        if (!priceChange) {
+          throw httpError('Reajuste não encontrado.', 404);
+        }
+        if (priceChange.status === PriceChangeStatus.ROLLED_BACK) {
+          throw httpError('Este reajuste já foi desfeito.', 409);
+        }
+
+        const Model = getItemModel(priceChange.itemType);
+        for (const item of priceChange.items) {
+          const restored = await Model.updateOne(
+            {
+              _id: item.itemId,
+              tenantId: req.tenantId,
+              price: item.newPrice,
+            },
+            { $set: { price: item.oldPrice } },
+            { session }
+          );
+          item.rolledBack = restored.modifiedCount === 1;
+          if (!item.rolledBack) skipped.push(item.itemId);
+        }
+
+        priceChange.status = PriceChangeStatus.ROLLED_BACK;
+        priceChange.rolledBackAt = new Date();
+        priceChange.rolledBackBy = req.user.name;
+        await priceChange.save({ session });
+      });
+
+      res.json({ priceChange, skipped });
+    } catch (err) {
+      res.status(err.statusCode || 500).json({ message: err.message });
+    } finally {
+      session.endSession();
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,314 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import ProductParent from '../models/ProductParent.js';
+import Product from '../models/Product.js';
+import { protect, authorize } from '../middleware/authMiddleware.js';
+import { StockMovementReason } from '../types.js';
+import { httpError } from '../utils/httpError.js';
+import { recordStockMovement } from '../utils/stockLedger.js';
+import {
+  normalizeVariantAttributes,
+  assertUniqueVariant,
+} from '../utils/variantHelpers.js';
+import {
+  resolveImageInput,
+  removeStoredImages,
+  removeReplacedImages,
+} from '../utils/imageHelpers.js';
+
+const router = express.Router();
+
+const findParent = async (tenantId, id) => {
+  const parent =
+    mongoose.isValidObjectId(id) &&
+    (await ProductParent.findOne({ _id: id, tenantId }));
+  if (!parent) {
+    throw httpError('Produto pai não encontrado.', 404);
+  }
+  return parent;
+};
+
+const buildParentData = (body) => {
+  const { name, category, brand, model, description, image, thumbnail } = body;
+  const attributes = [
+    ...new Set(
+      (body.attributes || []).map((a) => a?.toString().trim()).filter(Boolean)
+    ),
+  ];
+  if (!name || !category || !brand || !model) {
+    throw httpError('Campos obrigatórios estão faltando.');
+  }
+  if (attributes.length === 0) {
+    throw httpError('Informe ao menos um atributo de variante (Ex: Cor).');
+  }
+  return {
+    name,
+    category,
+    brand,
+    model,
+    description,
+    image,
+    thumbnail,
+    attributes,
+  };
+};
+
+// GET /api/product-parents - Parents with variant count and total stock
+router.get('/', protect, async (req, res) => {
+  try {
+    const parents = await ProductParent.find({ tenantId: req.tenantId }).sort({
+      name: 1,
+    });
+    const summary = await Product.aggregate([
+      {
+        $match: {
+          tenantId: req.tenantId,
+          parentId: { $in: parents.map((p) => p.id) },
+        },
+      },
+      {
+        $group: {
+          _id: '$parentId',
+          variants: { $sum: 1 },
+          stock: { $sum: '$stock' },
+        },
+      },
+    ]);
+    const byParent = new Map(summary.map((s) => [s._id, s]));
+
+    res.json(
+      parents.map((p) => ({
+        ...p.toJSON(),
+        variantCount: byParent.get(p.id)?.variants || 0,
+        stock: byParent.get(p.id)?.stock || 0,
+      }))
+    );
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// GET /api/product-parents/:id - Parent plus its variants
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const parent = await findParent(req.tenantId, req.params.id);
+    const variants = await Product.find({
+      tenantId: req.tenantId,
+      parentId: parent.id,
+    }).sort({ name: 1 });
+    res.json({ ...parent.toJSON(), variants });
+  } catch (err) {
+    res.status(err.statusCode || 500).json({ message: err.message });
+  }
+});
+
+// POST /api/product-parents
+router.post('/', protect, authorize('owner', 'manager'), async (req, res) => {
+  try {
+    const parent = await ProductParent.create({
+      ...(await resolveImageInput(req.tenantId, buildParentData(req.body))),
+      tenantId: req.tenantId,
+    });
+    res.status(201).json(parent);
+  } catch (err) {
+    res.status(err.statusCode || 500).json({ message: err.message });
+  }
+});
+
+// PUT /api/product-parents/:id - Axes in use by a variant cannot be removed
+router.put('/:id', protect, authorize('owner', 'manager'), async (req, res) => {
+  try {
+    const parent = await findParent(req.tenantId, req.params.id);
+    const data = await resolveImageInput(
+      req.tenantId,
+      buildParentData(req.body)
+    );
+
+    const removed = parent.attributes.filter(
+      (a) => !data.attributes.includes(a)
+    );
+    const added = data.attributes.filter((a) => !parent.attributes.includes(a));
+    const hasVariants = await Product.exists({
+      tenantId: req.tenantId,
+      parentId: parent.id,
+    });
+    if (hasVariants && (removed.length > 0 || added.length > 0)) {
+      throw httpError(
+        'Os atributos não podem mudar enquanto houver variantes vinculadas.',
+        409
+      );
+    }
+
+    const previousImages = { image: parent.image, thumbnail: parent.thumbnail };
+    parent.set(data);
+    await parent.save();
+    await removeReplacedImages(req.tenantId, previousImages, parent);
+    res.json(parent);
+  } catch (err) {
+    res.status(err.statusCode || 500).json({ message: err.message });
+  }
+});
+
+// DELETE /api/product-parents/:id - Variants become standalone products again
+router.delete(
+  '/:id',
+  protect,
+  authorize('owner', 'manager'),
+  async (req, res) => {
+    try {
+      const parent = await findParent(req.tenantId, req.params.id);
+      await Product.updateMany(
+        { tenantId: req.tenantId, parentId: parent.id },
+        { $set: { parentId: null, variantAttributes: [] } }
+      );
+      await parent.deleteOne();
+      await removeStoredImages(req.tenantId, parent);
+      res.json({ message: 'Produto pai excluído com sucesso.' });
+    } catch (err) {
+      res.status(err.statusCode || 500).json({ message: err.message });
+    }
+  }
+);
+
+// POST /api/product-parents/:id/variants - Links an existing product
+// ({ productId, attributes }) or creates a new one with its own barcode
+// ({ id, price, cost, stock, attributes }, shared data from the parent)
+router.post(
+  '/:id/variants',
+  protect,
+  authorize('owner', 'manager'),
+  async (req, res) => {
+    try {
+      const parent = await findParent(req.tenantId, req.params.id);
+      const variantAttributes = normalizeVariantAttributes(
+        parent,
+        req.body.attributes
+      );
+      const { productId } = req.body;
+      await assertUniqueVariant(
+        req.tenantId,
+        parent,
+        variantAttributes,
+        productId
+      );
+
+      if (productId) {
+        const product = await Product.findOne({
+          _id: productId,
+          tenantId: req.tenantId,
+        });
+        if (!product) {
+          throw httpError('Produto não encontrado.', 404);
+        }
+        if (product.parentId && product.parentId !== parent.id) {
+          throw httpError('Este produto já é variante de outro produto.', 409);
+        }
+        product.parentId = parent.id;
+        product.variantAttributes = variantAttributes;
+        await product.save();
+        return res.json(product);
+      }
+
+      const { id, price } = req.body;
+      if (!id || !price) {
+        throw httpError('Informe o código de barras e o preço da variante.');
+      }
+      const product = new Product({
+        ...(await resolveImageInput(req.tenantId, req.body)),
+        _id: id,
+        barcode: id,
+        name:
+          req.body.name ||
+          `${parent.name} ${variantAttributes.map((a) => a.value).join(' ')}`,
+        category: parent.category,
+        brand: parent.brand,
+        model: parent.model,
+        parentId: parent.id,
+        variantAttributes,
+        tenantId: req.tenantId,
+      });
+      await product.save();
+      await recordStockMovement({
+        tenantId: req.tenantId,
+        product,
+        quantity: product.stock,
+        reason: StockMovementReason.INITIAL,
+        user: req.user,
+      });
+      res.status(201).json(product);
+    } catch (err) {
+      if (err.code === 11000) {
+        return res.status(400).json({
+          message:
+            'Um produto com este código de barras já existe nesta empresa.',
+        });
+      }
+      res.status(err.statusCode || 500).json({ message: err.message });
+    }
+  }
+);
+
+// PUT /api/product-parents/:id/variants/:productId - Changes the attributes
+router.put(
+  '/:id/variants/:productId',
+  protect,
+  authorize('owner', 'manager'),
+  async (req, res) => {
+    try {
+      const parent = await findParent(req.tenantId, req.params.id);
+      const product = await Product.findOne({
+        _id: req.params.productId,
+        tenantId: req.tenantId,
+        parentId: parent.id,
+      });
+      if (!product) {
+        throw httpError('Variante não encontrada.', 404);
+      }
+
+      const variantAttributes = normalizeVariantAttributes(
+        parent,
+        req.body.attributes
+      );
+      await assertUniqueVariant(
+        req.tenantId,
+        parent,
+        variantAttributes,
+        product.id
+      );
+      product.variantAttributes = variantAttributes;
+      await product.save();
+      res.json(product);
+    } catch (err) {
+      res.status(err.statusCode || 500).json({ message: err.message });
+    }
+  }
+);
+
+// DELETE /api/product-parents/:id/variants/:productId - Unlinks (the product
+// itself, with its stock and history, is kept)
+router.delete(
+  '/:id/variants/:productId',
+  protect,
+  authorize('owner', 'manager'),
+  async (req, res) => {
+    try {
+      const product = await Product.findOneAndUpdate(
+        {
+          _id: req.params.productId,
+          tenantId: req.tenantId,
+          parentId: req.params.id,
+        },
+        { $set: { parentId: null, variantAttributes: [] } },
+        { new: true }
+      );
+      if (!product) {
+        throw httpError('Variante não encontrada.', 404);
+      }
+      res.json(product);
+    } catch (err) {
+      res.status(err.statusCode || 500).json({ message: err.message });
+    }
+  }
+);
+
+export default router;
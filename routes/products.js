@@ -1,7 +1,40 @@
 import express from 'express';
+import mongoose from 'mongoose';
+import multer from 'multer';
 const router = express.Router();
 import Product from '../models/Product.js';
 import { protect, authorize } from '../middleware/authMiddleware.js';
+import { StockMovementReason } from '../types.js';
+import { recordStockMovement } from '../utils/stockLedger.js';
+import {
+  resolveImageInput,
+  removeStoredImages,
+  removeReplacedImages,
+} from '../utils/imageHelpers.js';
+import { httpError } from '../utils/httpError.js';
+import { assertParentExists } from '../utils/variantHelpers.js';
+import { toCsv, sendCsv } from '../utils/csvHelpers.js';
+import {
+  readSpreadsheet,
+  toXlsx,
+  sendXlsx,
+} from '../utils/spreadsheetHelpers.js';
+import {
+  productExportColumns,
+  validateProductImport,
+  applyProductImport,
+} from '../utils/productImportHelpers.js';
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB
+}).single('file');
+
+// Multer errors (file too large...) as 400 instead of the default handler
+const receiveFile = (req, res, next) =>
+  upload(req, res, (err) =>
+    err ? res.status(400).json({ message: err.message }) : next()
+  );
 
 // GET all products (Scoped by Tenant)
 router.get('/', protect, async (req, res) => {
@@ -22,15 +55,31 @@ router.post('/', protect, authorize('owner', 'manager'), async (req, res) => {
       .json({ message: 'Campos obrigatórios estão faltando.' });
   }
 
-  const product = new Product({
-    ...req.body, // Spread body first
-    _id: id,
-    barcode: id,
-    tenantId: req.tenantId, // Security: Force Tenant ID from token to overwrite any body data
-  });
-
+  const session = await mongoose.startSession();
   try {
-    const newProduct = await product.save();
+    await assertParentExists(req.tenantId, req.body.parentId);
+    const product = new Product({
+      ...(await resolveImageInput(req.tenantId, req.body)), // Spread body first
+      _id: id,
+      barcode: id,
+      tenantId: req.tenantId, // Security: Force Tenant ID from token to overwrite any body data
+    });
+    let newProduct;
+    // Product and its Kardex opening balance are saved together
+    await session.withTransaction(async () => {
+      newProduct = await product.save({ session });
+      // Kardex: saldo inicial do cadastro
+      await recordStockMovement(
+        {
+          tenantId: req.tenantId,
+          product: newProduct,
+          quantity: newProduct.stock,
+          reason: StockMovementReason.INITIAL,
+          user: req.user,
+        },
+        session
+      );
+    });
     res.status(201).json(newProduct);
   } catch (err) {
     if (err.code === 11000) {
@@ -42,24 +91,168 @@ router.post('/', protect, authorize('owner', 'manager'), async (req, res) => {
         });
     }
     res.status(400).json({ message: err.message });
+  } finally {
+    session.endSession();
   }
 });
 
+// GET /api/products/export?format=csv|xlsx - Full catalogue, in the columns
+// accepted back by the import
+router.get(
+  '/export',
+  protect,
+  authorize('owner', 'manager'),
+  async (req, res) => {
+    try {
+      const products = await Product.find({ tenantId: req.tenantId })
+        .select('-image -thumbnail')
+        .sort({ name: 1 })
+        .lean();
+      const columns = productExportColumns();
+
+      if (req.query.format === 'xlsx') {
+        return sendXlsx(
+          res,
+          'produtos',
+          await toXlsx(columns, products, 'Produtos')
+        );
+      }
+      sendCsv(res, 'produtos', toCsv(columns, products));
+    } catch (err) {
+      res.status(500).json({ message: err.message });
+    }
+  }
+);
+
+// POST /api/products/import - multipart "file" (CSV or XLSX).
+// mapping: JSON { field: 'Column in the file' } (default: export headers)
+// dryRun=true only validates; otherwise valid rows are written (existing
+// barcodes are updated). Rows with errors block the import unless skipInvalid.
+router.post(
+  '/import',
+  protect,
+  authorize('owner', 'manager'),
+  receiveFile,
+  async (req, res) => {
+    const session = await mongoose.startSession();
+    try {
+      if (!req.file) {
+        throw httpError('Envie a planilha no campo "file".');
+      }
+      let mapping = req.body.mapping || {};
+      if (typeof mapping === 'string') {
+        try {
+          mapping = JSON.parse(mapping);
+        } catch {
+          throw httpError('Mapeamento de colunas inválido.');
+        }
+      }
+      const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+      const skipInvalid =
+        req.body.skipInvalid === true || req.body.skipInvalid === 'true';
+
+      const table = await readSpreadsheet(req.file);
+      const { rows, summary } = await validateProductImport(
+        req.tenantId,
+        table,
+        mapping
+      );
+      const report = rows.map(({ values, ...row }) =>
+        dryRun ? { ...row, values } : row
+      );
+
+      if (dryRun) {
+        return res.json({ dryRun, summary, rows: report });
+      }
+      if (summary.invalid > 0 && !skipInvalid) {
+        throw httpError(
+          'A planilha possui linhas com erro. Corrija ou importe apenas as válidas.',
+          400,
+          { summary, rows: report.filter((r) => r.errors.length > 0) }
+        );
+      }
+
+      await session.withTransaction(() =>
+        applyProductImport(
+          {
+            tenantId: req.tenantId,
+            rows: rows.filter((r) => r.errors.length === 0),
+            user: req.user,
+          },
+          session
+        )
+      );
+
+      res.json({
+        dryRun,
+        summary,
+        rows: report.filter((r) => r.errors.length > 0),
+      });
+    } catch (err) {
+      if (err.code === 11000) {
+        return res.status(409).json({
+          message:
+            'Código de barras já usado por outro produto. Gere a prévia novamente.',
+        });
+      }
+      res
+        .status(err.statusCode || 500)
+        .json({ message: err.message, ...err.details });
+    } finally {
+      session.endSession();
+    }
+  }
+);
+
 // PUT (update) a product (Scoped by Tenant)
 router.put('/:id', protect, authorize('owner', 'manager'), async (req, res) => {
   try {
     // Security: Remove tenantId from body
-    const { tenantId, ...updateData } = req.body;
+    const { tenantId, ...body } = req.body;
+    await assertParentExists(req.tenantId, body.parentId);
+    const updateData = await resolveImageInput(req.tenantId, body);
 
-    const updatedProduct = await Product.findOneAndUpdate(
+    // Returns the previous version: the stock delta goes to the Kardex
+    const previous = await Product.findOneAndUpdate(
       { _id: req.params.id, tenantId: req.tenantId }, // Filter by ID AND Tenant
       updateData,
-      { new: true }
+      { new: false }
     );
+    if (!previous)
+      return res
+        .status(404)
+        .json({ message: 'Produto não encontrado ou acesso negado.' });
+
+    const updatedProduct = await Product.findOne({
+      _id: req.params.id,
+      tenantId: req.tenantId,
+    });
+    // Deleted by another request between the two reads
     if (!updatedProduct)
       return res
         .status(404)
         .json({ message: 'Produto não encontrado ou acesso negado.' });
+    // Delta = stock set by this request - pre-image. A sale committed between
+    // the two reads already has its own Kardex row
+    const newStock =
+      updateData.stock === undefined
+        ? previous.stock
+        : Number(updateData.stock);
+    if (newStock !== previous.stock) {
+      await recordStockMovement({
+        tenantId: req.tenantId,
+        product: {
+          id: previous.id,
+          name: updatedProduct.name,
+          cost: updatedProduct.cost,
+          stock: newStock,
+        },
+        quantity: newStock - previous.stock,
+        reason: StockMovementReason.MANUAL_ADJUSTMENT,
+        user: req.user,
+      });
+    }
+    await removeReplacedImages(req.tenantId, previous, updatedProduct);
     res.json(updatedProduct);
   } catch (err) {
     res.status(400).json({ message: err.message });
@@ -81,6 +274,7 @@ router.delete(
         return res
           .status(404)
           .json({ message: 'Produto não encontrado ou acesso negado.' });
+      await removeStoredImages(req.tenantId, product);
       res.json({ message: 'Produto excluído com sucesso.' });
     } catch (err) {
       res.status(500).json({ message: err.message });
@@ -0,0 +1,211 @@
+import express from 'express';
+import Promotion from '../models/Promotion.js';
+import PromotionUsage from '../models/PromotionUsage.js';
+import { protect, authorize } from '../middleware/authMiddleware.js';
+import { PromotionType, PromotionChannel } from '../types.js';
+import { httpError } from '../utils/httpError.js';
+import { normalizeCouponCode } from '../utils/promotionHelpers.js';
+
+const router = express.Router();
+
+const toList = (value) =>
+  (Array.isArray(value) ? value : [])
+    .map((v) => v?.toString().trim())
+    .filter(Boolean);
+
+const parseOptionalDate = (value, label) => {
+  if (!value) return null;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw httpError(`${label} inválida.`);
+  }
+  return date;
+};
+
+const parseOptionalLimit = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw httpError('Limite de usos inválido.');
+  }
+  return limit;
+};
+
+// Validated promotion fields from the request body
+const buildPromotionData = (body) => {
+  const name = body.name?.toString().trim();
+  if (!name) {
+    throw httpError('Informe o nome da promoção.');
+  }
+  if (!Object.values(PromotionType).includes(body.type)) {
+    throw httpError('Tipo de promoção inválido.');
+  }
+
+  const value = Number(body.value) || 0;
+  if (body.type === PromotionType.BUY_X_GET_Y) {
+    const buy = Number(body.buyQuantity);
+    const get = Number(body.getQuantity);
+    if (
+      !Number.isInteger(buy) ||
+      !Number.isInteger(get) ||
+      buy < 1 ||
+      get < 1
+    ) {
+      throw httpError('Informe as quantidades do leve X, ganhe Y.');
+    }
+    if (value < 0 || value > 100) {
+      throw httpError('Desconto das unidades bonificadas inválido.');
+    }
+  } else if (
+    !(value > 0) ||
+    (body.type === PromotionType.PERCENTAGE && value > 100)
+  ) {
+    throw httpError('Valor do desconto inválido.');
+  }
+
+  const startsAt = parseOptionalDate(body.startsAt, 'Data de início');
+  const endsAt = parseOptionalDate(body.endsAt, 'Data de término');
+  if (startsAt && endsAt && endsAt < startsAt) {
+    throw httpError('O término deve ser posterior ao início.');
+  }
+
+  const channels =
+    body.channels === undefined
+      ? Object.values(PromotionChannel)
+      : toList(body.channels);
+  if (
+    channels.length === 0 ||
+    channels.some((c) => !Object.values(PromotionChannel).includes(c))
+  ) {
+    throw httpError('Informe os canais da promoção (pos, storefront).');
+  }
+
+  return {
+    name,
+    code: body.code ? normalizeCouponCode(body.code) : null,
+    type: body.type,
+    value,
+    buyQuantity:
+      body.type === PromotionType.BUY_X_GET_Y ? Number(body.buyQuantity) : null,
+    getQuantity:
+      body.type === PromotionType.BUY_X_GET_Y ? Number(body.getQuantity) : null,
+    target: {
+      categories: toList(body.target?.categories),
+      brands: toList(body.target?.brands),
+      itemIds: toList(body.target?.itemIds),
+    },
+    minCartValue: Math.max(0, Number(body.minCartValue) || 0),
+    startsAt,
+    endsAt,
+    channels,
+    usageLimit: parseOptionalLimit(body.usageLimit),
+    usageLimitPerCustomer: parseOptionalLimit(body.usageLimitPerCustomer),
+    active: body.active !== false,
+  };
+};
+
+const sendError = (res, err) => {
+  // Partial unique index: one promotion per coupon code
+  if (err.code === 11000) {
+    return res
+      .status(409)
+      .json({ message: 'Já existe uma promoção com este cupom.' });
+  }
+  res.status(err.statusCode || 500).json({ message: err.message });
+};
+
+// GET /api/promotions - Scoped by Tenant. Filter: active
+router.get('/', protect, authorize('owner', 'manager'), async (req, res) => {
+  try {
+    const query = { tenantId: req.tenantId };
+    if (req.query.active !== undefined) {
+      query.active = req.query.active === 'true';
+    }
+    const promotions = await Promotion.find(query).sort({ createdAt: -1 });
+    res.json(promotions);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// GET /api/promotions/:id/usages - Documents that used the promotion
+router.get(
+  '/:id/usages',
+  protect,
+  authorize('owner', 'manager'),
+  async (req, res) => {
+    try {
+      const usages = await PromotionUsage.find({
+        tenantId: req.tenantId,
+        promotionId: req.params.id,
+      }).sort({ date: -1 });
+      res.json(usages);
+    } catch (err) {
+      res.status(500).json({ message: err.message });
+    }
+  }
+);
+
+// POST /api/promotions
+router.post('/', protect, authorize('owner', 'manager'), async (req, res) => {
+  try {
+    const promotion = await Promotion.create({
+      ...buildPromotionData(req.body),
+      tenantId: req.tenantId,
+    });
+    res.status(201).json(promotion);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// PUT /api/promotions/:id - usageCount is kept (it is driven by the documents)
+router.put('/:id', protect, authorize('owner', 'manager'), async (req, res) => {
+  try {
+    const promotion = await Promotion.findOneAndUpdate(
+      { _id: req.params.id, tenantId: req.tenantId },
+      { $set: buildPromotionData(req.body) },
+      { new: true }
+    );
+    if (!promotion) {
+      throw httpError('Promoção não encontrada.', 404);
+    }
+    res.json(promotion);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// DELETE /api/promotions/:id - Used promotions are only deactivated (history)
+router.delete(
+  '/:id',
+  protect,
+  authorize('owner', 'manager'),
+  async (req, res) => {
+    try {
+      const promotion = await Promotion.findOne({
+        _id: req.params.id,
+        tenantId: req.tenantId,
+      });
+      if (!promotion) {
+        throw httpError('Promoção não encontrada.', 404);
+      }
+
+      if (promotion.usageCount > 0) {
+        promotion.active = false;
+        await promotion.save();
+        return res.json({
+          message: 'Promoção já utilizada: foi desativada.',
+          promotion,
+        });
+      }
+
+      await promotion.deleteOne();
+      res.json({ message: 'Promoção excluída.' });
+    } catch (err) {
+      sendError(res, err);
+    }
+  }
+);
+
+export default router;
@@ -1,4 +1,5 @@
 import express from 'express';
+import mongoose from 'mongoose';
 const router = express.Router();
 import PurchaseOrder from '../models/PurchaseOrder.js';
 import Product from '../models/Product.js';
@@ -11,15 +12,22 @@ import {
   TransactionCategory,
   TransactionStatus,
   PaymentMethod,
+  DocumentType,
+  StockMovementReason,
 } from '../types.js';
 import { protect, authorize } from '../middleware/authMiddleware.js';
+import { idempotency } from '../middleware/idempotencyMiddleware.js';
 import {
   syncInvoiceRecord,
   updateOriginStatus,
 } from '../utils/financeHelpers.js';
+import { nextDocumentNumber } from '../utils/documentNumbers.js';
+import { httpError } from '../utils/httpError.js';
+import { syncPurchaseSerials } from '../utils/serialHelpers.js';
+import { recordStockMovement } from '../utils/stockLedger.js';
 
 // Helper function to apply stock and cost changes
-const applyPurchaseToProducts = async (purchaseOrder) => {
+const applyPurchaseToProducts = async (purchaseOrder, user, session) => {
   const totalItemCost = purchaseOrder.items.reduce(
     (sum, item) => sum + item.unitCost * item.quantity,
     0
@@ -30,7 +38,7 @@ const applyPurchaseToProducts = async (purchaseOrder) => {
     const product = await Product.findOne({
       _id: item.productId,
       tenantId: purchaseOrder.tenantId,
-    });
+    }).session(session);
     if (!product) continue;
 
     const itemProportion =
@@ -51,11 +59,24 @@ const applyPurchaseToProducts = async (purchaseOrder) => {
 
     product.stock = newStock;
     product.cost = newAverageCost;
-    await product.save();
+    await product.save({ session });
+    await recordStockMovement(
+      {
+        tenantId: purchaseOrder.tenantId,
+        product,
+        quantity: item.quantity,
+        unitCost: finalUnitCost,
+        reason: StockMovementReason.PURCHASE,
+        documentType: DocumentType.PURCHASE,
+        documentId: purchaseOrder.id,
+        user,
+      },
+      session
+    );
   }
 };
 
-const reversePurchaseFromProducts = async (purchaseOrder) => {
+const reversePurchaseFromProducts = async (purchaseOrder, user, session) => {
   const totalItemCost = purchaseOrder.items.reduce(
     (sum, item) => sum + item.unitCost * item.quantity,
     0
@@ -66,7 +87,7 @@ const reversePurchaseFromProducts = async (purchaseOrder) => {
     const product = await Product.findOne({
       _id: item.productId,
       tenantId: purchaseOrder.tenantId,
-    });
+    }).session(session);
     if (!product) continue;
 
     const itemProportion =
@@ -86,7 +107,20 @@ const reversePurchaseFromProducts = async (purchaseOrder) => {
 
     product.stock = newStock;
     product.cost = newStock > 0 ? newAverageCost : 0;
-    await product.save();
+    await product.save({ session });
+    await recordStockMovement(
+      {
+        tenantId: purchaseOrder.tenantId,
+        product,
+        quantity: -item.quantity,
+        unitCost: originalFinalUnitCost,
+        reason: StockMovementReason.PURCHASE_REVERSAL,
+        documentType: DocumentType.PURCHASE,
+        documentId: purchaseOrder.id,
+        user,
+      },
+      session
+    );
   }
 };
 
@@ -94,7 +128,8 @@ const createTransactionsForPurchase = async (
   purchaseOrder,
   reqStatus,
   reqPaymentDate,
-  reqDueDate
+  reqDueDate,
+  session
 ) => {
   const { paymentDetails, tenantId, totalCost, supplierInfo, id } =
     purchaseOrder;
@@ -103,7 +138,7 @@ const createTransactionsForPurchase = async (
   // 1. Credit Card Logic (Fixed ID 'credit-main')
   if (paymentDetails.financialAccountId === 'credit-main') {
     // Fetch Settings
-    const config = await StoreConfig.findOne({ tenantId });
+    const config = await StoreConfig.findOne({ tenantId }).session(session);
     const closingDay = config?.financialSettings?.cardClosingDay || 1;
     const dueDay = config?.financialSettings?.cardDueDay || 10;
 
@@ -118,7 +153,7 @@ const createTransactionsForPurchase = async (
     const installmentValue = totalCost / numInstallments;
     const competenceDate = reqPaymentDate
       ? new Date(reqPaymentDate)
-      : new Date(purchaseOrder.createdAt);
+      : new Date(purchaseOrder.confirmedAt || purchaseOrder.createdAt);
 
     const pDay = competenceDate.getUTCDate();
     let targetMonth = competenceDate.getUTCMonth();
@@ -164,14 +199,15 @@ const createTransactionsForPurchase = async (
         status: TransactionStatus.PENDING,
       });
     }
-    await CreditCardTransaction.insertMany(ccTransactions);
+    await CreditCardTransaction.insertMany(ccTransactions, { session });
 
     for (const dateStr of affectedDueDates) {
       await syncInvoiceRecord(
         tenantId,
         'credit-main',
         'default',
-        new Date(dateStr)
+        new Date(dateStr),
+        session
       );
     }
     return;
@@ -206,22 +242,29 @@ const createTransactionsForPurchase = async (
       : TransactionStatus.PENDING;
     const parentPaymentDate = allPaid ? new Date() : null;
 
-    await CashTransaction.create({
-      tenantId,
-      description: descriptionBase,
-      amount: totalCost,
-      type: TransactionType.EXPENSE,
-      category: TransactionCategory.PRODUCT_PURCHASE,
-      status: parentStatus,
-      timestamp: new Date(purchaseOrder.createdAt),
-      dueDate: reqDueDate
-        ? new Date(reqDueDate)
-        : new Date(paymentDetails.installments[0].dueDate),
-      paymentDate: parentPaymentDate,
-      purchaseId: id,
-      financialAccountId: 'boleto',
-      installments: installmentsArray,
-    });
+    await CashTransaction.create(
+      [
+        {
+          tenantId,
+          description: descriptionBase,
+          amount: totalCost,
+          type: TransactionType.EXPENSE,
+          category: TransactionCategory.PRODUCT_PURCHASE,
+          status: parentStatus,
+          timestamp: new Date(
+            purchaseOrder.confirmedAt || purchaseOrder.createdAt
+          ),
+          dueDate: reqDueDate
+            ? new Date(reqDueDate)
+            : new Date(paymentDetails.installments[0].dueDate),
+          paymentDate: parentPaymentDate,
+          purchaseId: id,
+          financialAccountId: 'boleto',
+          installments: installmentsArray,
+        },
+      ],
+      { session }
+    );
 
     return;
   }
@@ -233,49 +276,57 @@ const createTransactionsForPurchase = async (
       ? TransactionStatus.PENDING
       : TransactionStatus.PAID);
 
-  await CashTransaction.create({
-    tenantId,
-    description: descriptionBase,
-    amount: totalCost,
-    type: TransactionType.EXPENSE,
-    category: TransactionCategory.PRODUCT_PURCHASE,
-    status: finalStatus,
-    timestamp: reqPaymentDate
-      ? new Date(reqPaymentDate)
-      : paymentDetails.paymentDate || new Date(),
-    dueDate:
-      finalStatus === TransactionStatus.PAID
-        ? reqPaymentDate
-          ? new Date(reqPaymentDate)
-          : new Date()
-        : reqDueDate
-        ? new Date(reqDueDate)
-        : new Date(),
-    paymentDate:
-      finalStatus === TransactionStatus.PAID
-        ? reqPaymentDate
+  await CashTransaction.create(
+    [
+      {
+        tenantId,
+        description: descriptionBase,
+        amount: totalCost,
+        type: TransactionType.EXPENSE,
+        category: TransactionCategory.PRODUCT_PURCHASE,
+        status: finalStatus,
+        timestamp: reqPaymentDate
           ? new Date(reqPaymentDate)
-          : paymentDetails.paymentDate || new Date()
-        : undefined,
-    purchaseId: id,
-    financialAccountId:
-      paymentDetails.financialAccountId === 'boleto'
-        ? undefined
-        : paymentDetails.financialAccountId || 'cash-box',
-  });
+          : paymentDetails.paymentDate || new Date(),
+        dueDate:
+          finalStatus === TransactionStatus.PAID
+            ? reqPaymentDate
+              ? new Date(reqPaymentDate)
+              : new Date()
+            : reqDueDate
+            ? new Date(reqDueDate)
+            : new Date(),
+        paymentDate:
+          finalStatus === TransactionStatus.PAID
+            ? reqPaymentDate
+              ? new Date(reqPaymentDate)
+              : paymentDetails.paymentDate || new Date()
+            : undefined,
+        purchaseId: id,
+        financialAccountId:
+          paymentDetails.financialAccountId === 'boleto'
+            ? undefined
+            : paymentDetails.financialAccountId || 'cash-box',
+      },
+    ],
+    { session }
+  );
 };
 
-const cleanupFinancials = async (purchaseOrder, tenantId) => {
-  await CashTransaction.deleteMany({
-    purchaseId: purchaseOrder.id,
-    tenantId: tenantId,
-  });
+const cleanupFinancials = async (purchaseOrder, tenantId, session) => {
+  await CashTransaction.deleteMany(
+    {
+      purchaseId: purchaseOrder.id,
+      tenantId: tenantId,
+    },
+    { session }
+  );
 
   const ccTrans = await CreditCardTransaction.find({
     referenceId: purchaseOrder.id,
     tenantId: tenantId,
     source: 'purchase',
-  });
+  }).session(session);
 
   const affectedInvoices = new Set();
   ccTrans.forEach((t) =>
@@ -286,11 +337,14 @@ const cleanupFinancials = async (purchaseOrder, tenantId) => {
     )
   );
 
-  await CreditCardTransaction.deleteMany({
-    referenceId: purchaseOrder.id,
-    tenantId: tenantId,
-    source: 'purchase',
-  });
+  await CreditCardTransaction.deleteMany(
+    {
+      referenceId: purchaseOrder.id,
+      tenantId: tenantId,
+      source: 'purchase',
+    },
+    { session }
+  );
 
   for (const invStr of affectedInvoices) {
     const inv = JSON.parse(invStr);
@@ -298,170 +352,269 @@ const cleanupFinancials = async (purchaseOrder, tenantId) => {
       tenantId,
       'credit-main',
       'default',
-      new Date(inv.due)
+      new Date(inv.due),
+      session
     );
   }
 };
 
+// Same checks for a purchase posted directly and for a confirmed draft
+const isPurchaseComplete = ({ items, supplierInfo, reference }) =>
+  items?.length > 0 && !!supplierInfo?.name && !!reference;
+
+/**
+ * Side effects of a final purchase: supplier, IMEI/Serial registry (validated
+ * before touching stock), stock/cost and financials. Shared by POST and the
+ * confirmation of a draft.
+ */
+const confirmPurchase = async (
+  purchaseOrder,
+  { status, paymentDate, dueDate, user },
+  session
+) => {
+  if (!purchaseOrder.paymentDetails) {
+    throw httpError('Informe o pagamento da compra.');
+  }
+  const { tenantId, supplierInfo } = purchaseOrder;
+
+  if (supplierInfo?.cnpjCpf) {
+    const cleanedCnpjCpf = supplierInfo.cnpjCpf.replace(/\D/g, '');
+    await Supplier.findOneAndUpdate(
+      { tenantId, cnpjCpf: cleanedCnpjCpf },
+      {
+        tenantId,
+        cnpjCpf: cleanedCnpjCpf,
+        name: supplierInfo.name,
+        contactPerson: supplierInfo.contactPerson,
+        phone: supplierInfo.phone,
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true, session }
+    );
+  }
+
+  await syncPurchaseSerials(tenantId, null, purchaseOrder, session);
+  await applyPurchaseToProducts(purchaseOrder, user, session);
+  await createTransactionsForPurchase(
+    purchaseOrder,
+    status,
+    paymentDate,
+    dueDate,
+    session
+  );
+};
+
 // ... (Rest of routes: GET, POST, DELETE, PUT unchanged structure) ...
 router.get('/', protect, authorize('owner', 'manager'), async (req, res) => {
   try {
-    const purchases = await PurchaseOrder.find({ tenantId: req.tenantId }).sort(
-      { createdAt: -1 }
-    );
+    // Drafts (purchase suggestions) only with ?draft=true
+    const purchases = await PurchaseOrder.find({
+      tenantId: req.tenantId,
+      draft: req.query.draft === 'true' ? true : { $ne: true },
+    }).sort({ createdAt: -1 });
     res.json(purchases);
   } catch (err) {
     res.status(500).json({ message: err.message });
   }
 });
 
-router.post('/', protect, authorize('owner', 'manager'), async (req, res) => {
-  const { items, supplierInfo, reference, status, paymentDate, dueDate } =
-    req.body;
-  if (!items || items.length === 0 || !supplierInfo || !reference) {
-    return res.status(400).json({ message: 'Dados da compra incompletos.' });
-  }
-  try {
-    const count = await PurchaseOrder.countDocuments({
-      tenantId: req.tenantId,
-    });
-    const newId = `PO-${(count + Date.now()).toString().slice(-4)}`;
-    const { ...purchaseData } = req.body;
-
-    if (supplierInfo?.cnpjCpf) {
-      const cleanedCnpjCpf = supplierInfo.cnpjCpf.replace(/\D/g, '');
-      await Supplier.findOneAndUpdate(
-        { tenantId: req.tenantId, cnpjCpf: cleanedCnpjCpf },
-        {
-          tenantId: req.tenantId,
-          cnpjCpf: cleanedCnpjCpf,
-          name: supplierInfo.name,
-          contactPerson: supplierInfo.contactPerson,
-          phone: supplierInfo.phone,
-        },
-        { upsert: true, new: true, setDefaultsOnInsert: true }
-      );
+router.post(
+  '/',
+  protect,
+  authorize('owner', 'manager'),
+  idempotency,
+  async (req, res) => {
+    const { supplierInfo, status, paymentDate, dueDate } = req.body;
+    if (!isPurchaseComplete(req.body)) {
+      return res.status(400).json({ message: 'Dados da compra incompletos.' });
     }
+    const session = await mongoose.startSession();
+    let savedPurchase;
+    try {
+      const newId = await nextDocumentNumber(
+        req.tenantId,
+        DocumentType.PURCHASE
+      );
+      // Drafts come from /api/replenishment; a purchase posted here is final
+      const { draft, ...purchaseData } = req.body;
 
-    const newPurchaseOrder = new PurchaseOrder({
-      ...purchaseData,
-      _id: newId,
-      tenantId: req.tenantId,
-      supplierInfo,
-      createdAt: new Date(),
-    });
+      await session.withTransaction(async () => {
+        const newPurchaseOrder = new PurchaseOrder({
+          ...purchaseData,
+          _id: newId,
+          tenantId: req.tenantId,
+          supplierInfo,
+          createdAt: new Date(),
+        });
 
-    await applyPurchaseToProducts(newPurchaseOrder);
-    await createTransactionsForPurchase(
-      newPurchaseOrder,
-      status,
-      paymentDate,
-      dueDate
-    );
+        await confirmPurchase(
+          newPurchaseOrder,
+          { status, paymentDate, dueDate, user: req.user },
+          session
+        );
 
-    const savedPurchase = await newPurchaseOrder.save();
-    res.status(201).json(savedPurchase);
-  } catch (err) {
-    console.error('Error creating purchase:', err);
-    res.status(400).json({ message: err.message });
+        savedPurchase = await newPurchaseOrder.save({ session });
+      });
+      res.status(201).json(savedPurchase);
+    } catch (err) {
+      console.error('Error creating purchase:', err);
+      res.status(err.statusCode || 400).json({ message: err.message });
+    } finally {
+      session.endSession();
+    }
   }
-});
+);
 
 router.delete(
   '/:id',
   protect,
   authorize('owner', 'manager'),
   async (req, res) => {
+    const session = await mongoose.startSession();
     try {
-      const poToDelete = await PurchaseOrder.findOne({
-        _id: req.params.id,
-        tenantId: req.tenantId,
-      });
-      if (!poToDelete)
-        return res.status(404).json({ message: 'Purchase Order not found' });
+      await session.withTransaction(async () => {
+        const poToDelete = await PurchaseOrder.findOne({
+          _id: req.params.id,
+          tenantId: req.tenantId,
+        }).session(session);
+        if (!poToDelete) throw httpError('Purchase Order not found', 404);
 
-      await reversePurchaseFromProducts(poToDelete);
-      await cleanupFinancials(poToDelete, req.tenantId);
+        if (!poToDelete.draft) {
+          await syncPurchaseSerials(req.tenantId, poToDelete, null, session);
+          await reversePurchaseFromProducts(poToDelete, req.user, session);
+          await cleanupFinancials(poToDelete, req.tenantId, session);
+        }
 
-      await PurchaseOrder.findByIdAndDelete(req.params.id);
+        await poToDelete.deleteOne({ session });
+      });
       res.json({ message: 'Purchase Order deleted successfully' });
     } catch (err) {
-      res.status(500).json({ message: err.message });
+      res.status(err.statusCode || 500).json({ message: err.message });
+    } finally {
+      session.endSession();
     }
   }
 );
 
 router.put('/:id', protect, authorize('owner', 'manager'), async (req, res) => {
+  const session = await mongoose.startSession();
+  let updated;
   try {
-    const originalPO = await PurchaseOrder.findOne({
-      _id: req.params.id,
-      tenantId: req.tenantId,
-    });
-    if (!originalPO) return res.status(404).json({ message: 'Not found' });
-
-    const {
-      supplierInfo,
-      status,
-      paymentDate,
-      dueDate,
-      paymentDetails,
-      financialChanged,
-      ...purchaseData
-    } = req.body;
-
-    await reversePurchaseFromProducts(originalPO);
-
-    const hasCostChanged =
-      Math.abs(originalPO.totalCost - req.body.totalCost) > 0.01;
-    const shouldRecreateFinancials =
-      financialChanged === true || hasCostChanged;
-
-    if (shouldRecreateFinancials) {
-      await cleanupFinancials(originalPO, req.tenantId);
-
-      const cleanPaymentDetails = {
-        method: paymentDetails.method,
-        financialAccountId: paymentDetails.financialAccountId,
-        paymentMethodId: paymentDetails.paymentMethodId,
-        paymentDate: paymentDetails.paymentDate,
-        installmentCount: paymentDetails.installmentCount,
-        installments: paymentDetails.installments || [],
-      };
+    await session.withTransaction(async () => {
+      const originalPO = await PurchaseOrder.findOne({
+        _id: req.params.id,
+        tenantId: req.tenantId,
+      }).session(session);
+      if (!originalPO) throw httpError('Not found', 404);
 
-      Object.assign(originalPO, {
+      const {
         supplierInfo,
-        ...purchaseData,
-        paymentDetails: cleanPaymentDetails,
-        status: status,
-      });
-
-      await createTransactionsForPurchase(
-        originalPO,
         status,
         paymentDate,
-        dueDate
-      );
-    } else {
-      Object.assign(originalPO, {
-        supplierInfo,
-        ...purchaseData,
-      });
+        dueDate,
+        paymentDetails,
+        financialChanged,
+        draft,
+        ...purchaseData
+      } = req.body;
+
+      // Draft: edited freely; draft=false confirms it through the same
+      // checks and side effects of POST. createdAt stays the draft date
+      if (originalPO.draft) {
+        const { createdAt, confirmedAt, ...draftData } = purchaseData;
+        Object.assign(originalPO, {
+          ...draftData,
+          supplierInfo: supplierInfo || originalPO.supplierInfo,
+          paymentDetails: paymentDetails || originalPO.paymentDetails,
+        });
+
+        if (draft === false) {
+          if (!isPurchaseComplete(originalPO)) {
+            throw httpError('Dados da compra incompletos.');
+          }
+          originalPO.confirmedAt = new Date();
+          originalPO.draft = false;
+          await confirmPurchase(
+            originalPO,
+            { status, paymentDate, dueDate, user: req.user },
+            session
+          );
+        }
+
+        updated = await originalPO.save({ session });
+        return;
+      }
 
-      const descriptionBase = `Compra #${originalPO.id} - ${supplierInfo.name}`;
-      await CashTransaction.updateMany(
-        { purchaseId: originalPO.id, tenantId: req.tenantId },
-        { $set: { description: descriptionBase } }
+      // IMEI/Serial registry: diff old x new items before touching stock
+      await syncPurchaseSerials(
+        req.tenantId,
+        { ...originalPO.toObject(), id: originalPO.id },
+        {
+          id: originalPO.id,
+          tenantId: req.tenantId,
+          items: purchaseData.items || originalPO.items,
+          supplierInfo: supplierInfo || originalPO.supplierInfo,
+        },
+        session
       );
-    }
 
-    originalPO.markModified('paymentDetails');
-    await applyPurchaseToProducts(originalPO);
+      await reversePurchaseFromProducts(originalPO, req.user, session);
+
+      const hasCostChanged =
+        Math.abs(originalPO.totalCost - req.body.totalCost) > 0.01;
+      const shouldRecreateFinancials =
+        financialChanged === true || hasCostChanged;
+
+      if (shouldRecreateFinancials) {
+        await cleanupFinancials(originalPO, req.tenantId, session);
+
+        const cleanPaymentDetails = {
+          method: paymentDetails.method,
+          financialAccountId: paymentDetails.financialAccountId,
+          paymentMethodId: paymentDetails.paymentMethodId,
+          paymentDate: paymentDetails.paymentDate,
+          installmentCount: paymentDetails.installmentCount,
+          installments: paymentDetails.installments || [],
+        };
+
+        Object.assign(originalPO, {
+          supplierInfo,
+          ...purchaseData,
+          paymentDetails: cleanPaymentDetails,
+          status: status,
+        });
+
+        await createTransactionsForPurchase(
+          originalPO,
+          status,
+          paymentDate,
+          dueDate,
+          session
+        );
+      } else {
+        Object.assign(originalPO, {
+          supplierInfo,
+          ...purchaseData,
+        });
+
+        const descriptionBase = `Compra #${originalPO.id} - ${supplierInfo.name}`;
+        await CashTransaction.updateMany(
+          { purchaseId: originalPO.id, tenantId: req.tenantId },
+          { $set: { description: descriptionBase } },
+          { session }
+        );
+      }
 
-    const updated = await originalPO.save();
+      originalPO.markModified('paymentDetails');
+      await applyPurchaseToProducts(originalPO, req.user, session);
+
+      updated = await originalPO.save({ session });
+    });
     res.json(updated);
   } catch (err) {
     console.error('Purchase Update Error:', err);
-    res.status(400).json({ message: err.message });
+    res.status(err.statusCode || 400).json({ message: err.message });
+  } finally {
+    session.endSession();
   }
 });
 
@@ -0,0 +1,409 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Quote from '../models/Quote.js';
+import Product from '../models/Product.js';
+import Service from '../models/Service.js';
+import StoreConfig from '../models/StoreConfig.js';
+import { protect, authorize } from '../middleware/authMiddleware.js';
+import { QuoteStatus, DocumentType, PromotionChannel } from '../types.js';
+import { createSale } from '../utils/saleHelpers.js';
+import { httpError } from '../utils/httpError.js';
+import { nextDocumentNumber } from '../utils/documentNumbers.js';
+import { evaluatePromotions } from '../utils/promotionHelpers.js';
+import { buildQuoteReceipt, sendReceipt } from '../utils/receiptHelpers.js';
+
+const router = express.Router();
+
+const round2 = (value) => Math.round(value * 100) / 100;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Quotes past their validity date are flagged lazily, before any read
+const expireQuotes = (tenantId) =>
+  Quote.updateMany(
+    {
+      tenantId,
+      status: { $in: [QuoteStatus.OPEN, QuoteStatus.ACCEPTED] },
+      validUntil: { $lt: new Date() },
+    },
+    { $set: { status: QuoteStatus.EXPIRED } }
+  );
+
+// Items, totals and validity from the request body
+const buildQuoteData = async (tenantId, body) => {
+  const { items, discount, validUntil } = body;
+
+  if (!items || items.length === 0) {
+    throw httpError('Inclua ao menos um item no orçamento.');
+  }
+  const quoteItems = items.map((i) => {
+    const quantity = Number(i.quantity);
+    const unitPrice = Number(i.unitPrice);
+    if (!i.item?.id || !['product', 'service'].includes(i.type)) {
+      throw httpError('Item inválido no orçamento.');
+    }
+    if (!(quantity > 0) || isNaN(unitPrice) || unitPrice < 0) {
+      throw httpError(`Quantidade ou preço inválido para ${i.item.name}.`);
+    }
+    return {
+      item: i.item,
+      quantity,
+      unitPrice,
+      type: i.type,
+      uniqueIdentifier: i.uniqueIdentifier,
+    };
+  });
+
+  const subtotal = round2(
+    quoteItems.reduce((sum, i) => sum + i.quantity * i.unitPrice, 0)
+  );
+  const discountValue = round2(Number(discount) || 0);
+  if (discountValue < 0 || discountValue > subtotal) {
+    throw httpError('Desconto inválido.');
+  }
+
+  let validDate;
+  if (validUntil) {
+    validDate = new Date(validUntil);
+    if (isNaN(validDate.getTime())) {
+      throw httpError('Data de validade inválida.');
+    }
+  } else {
+    const config = await StoreConfig.findOne({ tenantId }).select(
+      'quoteValidityDays'
+    );
+    validDate = new Date(
+      Date.now() + (config?.quoteValidityDays ?? 7) * DAY_MS
+    );
+  }
+
+  return {
+    items: quoteItems,
+    subtotal,
+    discount: discountValue,
+    total: round2(subtotal - discountValue),
+    validUntil: validDate,
+  };
+};
+
+// Expired quotes are sold at today's catalog prices (no quoted discount)
+const repriceItems = async (tenantId, items, session) => {
+  const repriced = [];
+  for (const quoteItem of items) {
+    const Model = quoteItem.type === 'product' ? Product : Service;
+    const current = await Model.findOne({
+      _id: quoteItem.item.id,
+      tenantId,
+    }).session(session);
+    if (!current) {
+      throw httpError(
+        `Item ${quoteItem.item.name || quoteItem.item.id} não encontrado.`,
+        404
+      );
+    }
+    repriced.push({ ...quoteItem, unitPrice: current.price });
+  }
+  return repriced;
+};
+
+// GET all quotes (Scoped by Tenant). Filter: status
+router.get('/', protect, async (req, res) => {
+  try {
+    await expireQuotes(req.tenantId);
+    const query = { tenantId: req.tenantId };
+    if (req.query.status) query.status = req.query.status;
+
+    const quotes = await Quote.find(query).sort({ timestamp: -1 });
+    res.json(quotes);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// GET one quote
+router.get('/:id', protect, async (req, res) => {
+  try {
+    await expireQuotes(req.tenantId);
+    const quote = await Quote.findOne({
+      _id: req.params.id,
+      tenantId: req.tenantId,
+    });
+    if (!quote) {
+      return res.status(404).json({ message: 'Orçamento não encontrado.' });
+    }
+    res.json(quote);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// GET /api/quotes/:id/receipt - Printable quote (format/width as in sales)
+router.get('/:id/receipt', protect, async (req, res) => {
+  try {
+    const [quote, config] = await Promise.all([
+      Quote.findOne({ _id: req.params.id, tenantId: req.tenantId }),
+      StoreConfig.findOne({ tenantId: req.tenantId }).select(
+        'companyInfo receiptSettings'
+      ),
+    ]);
+    if (!quote) {
+      return res.status(404).json({ message: 'Orçamento não encontrado.' });
+    }
+
+    const width = req.query.width || config?.receiptSettings?.paperWidth;
+    sendReceipt(res, buildQuoteReceipt({ quote, config, width }), {
+      format: req.query.format,
+      width,
+      filename: `orcamento-${quote.id}`,
+    });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// POST a new quote
+router.post('/', protect, async (req, res) => {
+  try {
+    const data = await buildQuoteData(req.tenantId, req.body);
+    const { customerName, customerWhatsapp, customerCnpjCpf, notes } = req.body;
+
+    const quote = await Quote.create({
+      ...data,
+      tenantId: req.tenantId,
+      _id: await nextDocumentNumber(req.tenantId, DocumentType.QUOTE),
+      customerName,
+      customerWhatsapp,
+      customerCnpjCpf,
+      notes,
+      userId: req.user._id || req.user.id,
+      userName: req.user.name || 'Usuário SaaS',
+    });
+    res.status(201).json(quote);
+  } catch (err) {
+    res.status(err.statusCode || 400).json({ message: err.message });
+  }
+});
+
+// PUT update a quote (not after conversion). A new validity reopens it.
+router.put('/:id', protect, async (req, res) => {
+  try {
+    const quote = await Quote.findOne({
+      _id: req.params.id,
+      tenantId: req.tenantId,
+    });
+    if (!quote) {
+      return res.status(404).json({ message: 'Orçamento não encontrado.' });
+    }
+    if (quote.status === QuoteStatus.CONVERTED) {
+      throw httpError('Orçamento já convertido em venda.', 409);
+    }
+
+    const data = await buildQuoteData(req.tenantId, {
+      ...quote.toObject(),
+      ...req.body,
+    });
+    const { customerName, customerWhatsapp, customerCnpjCpf, notes } = req.body;
+
+    quote.set({ ...data });
+    if (customerName !== undefined) quote.customerName = customerName;
+    if (customerWhatsapp !== undefined) {
+      quote.customerWhatsapp = customerWhatsapp;
+    }
+    if (customerCnpjCpf !== undefined) quote.customerCnpjCpf = customerCnpjCpf;
+    if (notes !== undefined) quote.notes = notes;
+    if (quote.status === QuoteStatus.EXPIRED && data.validUntil > new Date()) {
+      quote.status = QuoteStatus.OPEN;
+    }
+
+    await quote.save();
+    res.json(quote);
+  } catch (err) {
+    res.status(err.statusCode || 400).json({ message: err.message });
+  }
+});
+
+// PATCH /api/quotes/:id/status - Customer accepted (or back to open)
+router.patch('/:id/status', protect, async (req, res) => {
+  try {
+    const { status } = req.body;
+    if (![QuoteStatus.OPEN, QuoteStatus.ACCEPTED].includes(status)) {
+      throw httpError('Status inválido (open ou accepted).');
+    }
+
+    await expireQuotes(req.tenantId);
+    const quote = await Quote.findOneAndUpdate(
+      {
+        _id: req.params.id,
+        tenantId: req.tenantId,
+        status: { $in: [QuoteStatus.OPEN, QuoteStatus.ACCEPTED] },
+      },
+      { $set: { status } },
+      { new: true }
+    );
+    if (!quote) {
+      throw httpError('Orçamento não encontrado, expirado ou convertido.', 409);
+    }
+    res.json(quote);
+  } catch (err) {
+    res.status(err.statusCode || 500).json({ message: err.message });
+  }
+});
+
+/**
+ * POST /api/quotes/:id/convert - Turns the quote into a TicketSale.
+ * Body: { payments | paymentMethod, acceptCurrentPrices, discountOverride }
+ * Valid quotes keep the quoted prices. Expired ones need acceptCurrentPrices,
+ * otherwise a 409 returns the current total so the POS can confirm.
+ */
+router.post('/:id/convert', protect, async (req, res) => {
+  const {
+    payments,
+    paymentMethod,
+    acceptCurrentPrices,
+    discountOverride,
+    couponCode,
+  } = req.body;
+  const session = await mongoose.startSession();
+  let savedSale;
+
+  try {
+    await session.withTransaction(async () => {
+      const quote = await Quote.findOne({
+        _id: req.params.id,
+        tenantId: req.tenantId,
+      }).session(session);
+      if (!quote) {
+        throw httpError('Orçamento não encontrado.', 404);
+      }
+      if (quote.status === QuoteStatus.CONVERTED) {
+        throw httpError(
+          `Orçamento já convertido na venda #${quote.saleId}.`,
+          409
+        );
+      }
+
+      let items = quote.toObject().items;
+      let total = quote.total;
+      let discount = quote.discount;
+
+      const expired =
+        quote.status === QuoteStatus.EXPIRED || quote.validUntil < new Date();
+      if (expired) {
+        items = await repriceItems(req.tenantId, items, session);
+        total = round2(
+          items.reduce((sum, i) => sum + i.quantity * i.unitPrice, 0)
+        );
+        discount = 0;
+
+        if (!acceptCurrentPrices) {
+          throw httpError(
+            'Orçamento vencido: confirme a venda com os preços atuais.',
+            409,
+            { currentTotal: total, items }
+          );
+        }
+      }
+
+      // Promotion in force today: the customer gets at least its discount
+      const promotionResult = await evaluatePromotions(
+        {
+          tenantId: req.tenantId,
+          lines: items.map((i) => ({
+            id: i.item.id,
+            type: i.type,
+            quantity: i.quantity,
+          })),
+          channel: PromotionChannel.POS,
+          couponCode,
+          customerPhone: quote.customerWhatsapp,
+        },
+        session
+      );
+      const promotionTotal = round2(
+        promotionResult.subtotal - promotionResult.discount
+      );
+      if (promotionResult.promotion && total > promotionTotal + 0.01) {
+        total = promotionTotal;
+        discount = promotionResult.discount;
+
+        if (!acceptCurrentPrices) {
+          throw httpError(
+            `Promoção ${promotionResult.promotion.name} reduz o total: confirme a venda com o novo valor.`,
+            409,
+            { currentTotal: total, promotion: promotionResult.promotion }
+          );
+        }
+      }
+
+      // Claim first: a second conversion of the same quote conflicts here
+      const claimed = await Quote.findOneAndUpdate(
+        {
+          _id: quote.id,
+          tenantId: req.tenantId,
+          status: { $ne: QuoteStatus.CONVERTED },
+        },
+        { $set: { status: QuoteStatus.CONVERTED, convertedAt: new Date() } },
+        { new: true, session }
+      );
+      if (!claimed) {
+        throw httpError('Orçamento já convertido em venda.', 409);
+      }
+
+      savedSale = await createSale(
+        {
+          tenantId: req.tenantId,
+          user: req.user,
+          items,
+          total,
+          payments,
+          paymentMethod,
+          discountApplied: discount,
+          discountOverride,
+          couponCode,
+          customerName: quote.customerName,
+          customerWhatsapp: quote.customerWhatsapp,
+          customerCnpjCpf: quote.customerCnpjCpf,
+          extra: { quoteId: quote.id },
+        },
+        { session }
+      );
+
+      claimed.saleId = savedSale.id;
+      await claimed.save({ session });
+    });
+    res.status(201).json(savedSale);
+  } catch (err) {
+    res
+      .status(err.statusCode || 500)
+      .json({ message: err.message, ...err.details });
+  } finally {
+    session.endSession();
+  }
+});
+
+// DELETE a quote (converted quotes are kept with their sale)
+router.delete(
+  '/:id',
+  protect,
+  authorize('owner', 'manager'),
+  async (req, res) => {
+    try {
+      const quote = await Quote.findOne({
+        _id: req.params.id,
+        tenantId: req.tenantId,
+      });
+      if (!quote) {
+        return res.status(404).json({ message: 'Orçamento não encontrado.' });
+      }
+      if (quote.status === QuoteStatus.CONVERTED) {
+        throw httpError('Orçamentos convertidos não podem ser excluídos.');
+      }
+
+      await quote.deleteOne();
+      res.json({ message: 'Orçamento excluído com sucesso.' });
+    } catch (err) {
+      res.status(err.statusCode || 500).json({ message: err.message });
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,108 @@
+import express from 'express';
+import PurchaseOrder from '../models/PurchaseOrder.js';
+import { protect, authorize } from '../middleware/authMiddleware.js';
+import { DocumentType } from '../types.js';
+import { httpError } from '../utils/httpError.js';
+import { nextDocumentNumber } from '../utils/documentNumbers.js';
+import { buildReplenishmentSuggestions } from '../utils/replenishmentHelpers.js';
+
+const router = express.Router();
+
+// Adjusted quantities of the suggestion: whole units, 0 removes the item
+const parseAdjustments = (adjustments = []) => {
+  if (!Array.isArray(adjustments)) {
+    throw httpError('Ajustes de quantidade inválidos.');
+  }
+  return new Map(
+    adjustments.map((a) => {
+      // Number('') and Number(null) are 0: blank is not "remove"
+      const quantity =
+        a?.quantity === '' || a?.quantity == null ? NaN : Number(a.quantity);
+      if (!a?.productId || !Number.isInteger(quantity) || quantity < 0) {
+        throw httpError(
+          `Quantidade inválida para o produto ${a?.productId || '(sem id)'}.`
+        );
+      }
+      return [a.productId, quantity];
+    })
+  );
+};
+
+const parseDays = (value) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  const days = Number(value);
+  if (!Number.isInteger(days) || days < 1 || days > 365) {
+    throw httpError('Período de vendas inválido (1 a 365 dias).');
+  }
+  return days;
+};
+
+// GET /api/replenishment - Purchase suggestions grouped by last supplier.
+// ?days overrides StoreConfig.turnoverPeriod, ?category narrows the products
+router.get('/', protect, authorize('owner', 'manager'), async (req, res) => {
+  try {
+    const suggestions = await buildReplenishmentSuggestions(req.tenantId, {
+      days: parseDays(req.query.days),
+      category: req.query.category,
+    });
+    res.json(suggestions);
+  } catch (err) {
+    res.status(err.statusCode || 500).json({ message: err.message });
+  }
+});
+
+// POST /api/replenishment/purchase-order - Turns the suggestion of one
+// supplier ({ supplierKey }) into a draft PurchaseOrder. Optional `items`
+// ([{ productId, quantity }]) adjust the suggested quantities (0 removes).
+router.post(
+  '/purchase-order',
+  protect,
+  authorize('owner', 'manager'),
+  async (req, res) => {
+    try {
+      const { supplierKey = null } = req.body;
+      const quantities = parseAdjustments(req.body.items ?? []);
+      const { suppliers } = await buildReplenishmentSuggestions(req.tenantId, {
+        days: parseDays(req.body.days),
+        category: req.body.category,
+      });
+      const group = suppliers.find((g) => g.supplierKey === supplierKey);
+      if (!group) {
+        throw httpError(
+          'Nenhuma sugestão de compra para este fornecedor.',
+          404
+        );
+      }
+
+      const items = group.items
+        .map((item) => ({
+          productId: item.productId,
+          productName: item.productName,
+          quantity: quantities.has(item.productId)
+            ? quantities.get(item.productId)
+            : item.suggestedQuantity,
+          unitCost: item.unitCost,
+        }))
+        .filter((item) => item.quantity > 0);
+      if (items.length === 0) {
+        throw httpError('Nenhum item com quantidade para comprar.');
+      }
+
+      const id = await nextDocumentNumber(req.tenantId, DocumentType.PURCHASE);
+      const draft = await PurchaseOrder.create({
+        _id: id,
+        tenantId: req.tenantId,
+        items,
+        totalCost: items.reduce((sum, i) => sum + i.quantity * i.unitCost, 0),
+        supplierInfo: group.supplierInfo || undefined,
+        reference: 'Sugestão de compra',
+        draft: true,
+      });
+      res.status(201).json(draft);
+    } catch (err) {
+      res.status(err.statusCode || 500).json({ message: err.message });
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,465 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import SaleReturn from '../models/SaleReturn.js';
+import TicketSale from '../models/TicketSale.js';
+import CashTransaction from '../models/CashTransaction.js';
+import {
+  TransactionType,
+  TransactionCategory,
+  TransactionStatus,
+  PaymentMethod,
+  ReturnSettlement,
+  ReturnDestination,
+  DocumentType,
+  StockMovementReason,
+} from '../types.js';
+import { protect, authorize } from '../middleware/authMiddleware.js';
+import { createSale } from '../utils/saleHelpers.js';
+import { httpError } from '../utils/httpError.js';
+import { nextDocumentNumber } from '../utils/documentNumbers.js';
+import { returnSerial } from '../utils/serialHelpers.js';
+import { getOpenRegister } from '../utils/cashRegisterHelpers.js';
+import { moveStock } from '../utils/stockLedger.js';
+import { reduceSaleReceivable } from '../utils/crediarioHelpers.js';
+import { reduceReturnedWarranty } from '../utils/warrantyHelpers.js';
+import {
+  getStoreCreditAccount,
+  creditGiftCard,
+  bookStoredValueEntry,
+} from '../utils/giftCardHelpers.js';
+
+const router = express.Router();
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Refund paid back to the customer (Saída de caixa)
+const bookRefund = async (
+  { tenantId, returnId, saleId, amount, method, now },
+  session
+) => {
+  if (!method) {
+    throw httpError('Informe a forma de pagamento do reembolso.');
+  }
+
+  // Cash refunds leave the drawer of the open shift
+  const register =
+    method === PaymentMethod.CASH
+      ? await getOpenRegister(tenantId, session)
+      : null;
+
+  await CashTransaction.create(
+    [
+      {
+        tenantId,
+        description: `Devolução #${returnId} (Venda #${saleId}) - ${method}`,
+        amount,
+        type: TransactionType.EXPENSE,
+        category: TransactionCategory.SALES_RETURN,
+        status: TransactionStatus.PAID,
+        timestamp: now,
+        dueDate: now,
+        paymentDate: now,
+        returnId,
+        financialAccountId: 'cash-box',
+        cashRegisterSessionId: register?.id,
+      },
+    ],
+    { session }
+  );
+};
+
+// Credit kept in the store for the customer of the original ticket: the
+// return is booked as usual and the value becomes a liability (STORED_VALUE)
+const grantStoreCredit = async (
+  { tenantId, returnId, saleId, customerId, amount, userName, now },
+  session
+) => {
+  if (!customerId) {
+    throw httpError(
+      'Crédito em loja exige uma venda vinculada a um cliente cadastrado.'
+    );
+  }
+
+  const account = await getStoreCreditAccount(
+    { tenantId, customerId, userName },
+    session
+  );
+  const credited = await creditGiftCard(
+    {
+      tenantId,
+      giftCard: account,
+      amount,
+      documentType: DocumentType.SALE_RETURN,
+      documentId: returnId,
+      userName,
+    },
+    session
+  );
+
+  await CashTransaction.create(
+    [
+      {
+        tenantId,
+        description: `Devolução #${returnId} (Venda #${saleId}) - Crédito em loja ${credited.code}`,
+        amount,
+        type: TransactionType.EXPENSE,
+        category: TransactionCategory.SALES_RETURN,
+        status: TransactionStatus.PAID,
+        timestamp: now,
+        dueDate: now,
+        paymentDate: now,
+        returnId,
+        customerId,
+      },
+    ],
+    { session }
+  );
+  await bookStoredValueEntry(
+    {
+      tenantId,
+      giftCard: credited,
+      type: TransactionType.INCOME,
+      amount,
+      description: `Crédito em loja ${credited.code} - Devolução #${returnId}`,
+      links: { returnId, customerId },
+      now,
+    },
+    session
+  );
+  return credited;
+};
+
+// GET all returns (Scoped by Tenant), optionally filtered by ticket
+router.get('/', protect, authorize('owner', 'manager'), async (req, res) => {
+  try {
+    const query = { tenantId: req.tenantId };
+    if (req.query.saleId) query.saleId = req.query.saleId;
+
+    const returns = await SaleReturn.find(query).sort({ timestamp: -1 });
+    res.json(returns);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// GET a single return
+router.get('/:id', protect, authorize('owner', 'manager'), async (req, res) => {
+  try {
+    const saleReturn = await SaleReturn.findOne({
+      _id: req.params.id,
+      tenantId: req.tenantId,
+    });
+    if (!saleReturn)
+      return res.status(404).json({ message: 'Devolução não encontrada.' });
+    res.json(saleReturn);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// POST a return (Devolução) or exchange (Troca) of a TicketSale
+router.post('/', protect, authorize('owner', 'manager'), async (req, res) => {
+  const { saleId, items, settlement, refundMethod, reason, exchange } =
+    req.body;
+  const tenantId = req.tenantId;
+
+  if (!saleId || !items || items.length === 0 || !settlement) {
+    return res.status(400).json({ message: 'Dados da devolução incompletos.' });
+  }
+  if (!Object.values(ReturnSettlement).includes(settlement)) {
+    return res.status(400).json({ message: 'Tipo de acerto inválido.' });
+  }
+  if (
+    settlement === ReturnSettlement.EXCHANGE &&
+    (!exchange ||
+      !exchange.items ||
+      exchange.items.length === 0 ||
+      isNaN(Number(exchange.total)))
+  ) {
+    return res
+      .status(400)
+      .json({ message: 'Informe os novos itens da troca.' });
+  }
+
+  const session = await mongoose.startSession();
+  let savedReturn;
+
+  try {
+    await session.withTransaction(async () => {
+      const now = new Date();
+
+      const sale = await TicketSale.findOne({ _id: saleId, tenantId }).session(
+        session
+      );
+      if (!sale) {
+        throw httpError('Venda não encontrada.', 404);
+      }
+
+      // Ticket discount is spread over the items: credit is what was actually paid
+      const grossTotal = sale.items.reduce(
+        (sum, i) => sum + i.unitPrice * i.quantity,
+        0
+      );
+      const paidRatio = grossTotal > 0 ? sale.total / grossTotal : 1;
+
+      const returnId = await nextDocumentNumber(
+        tenantId,
+        DocumentType.SALE_RETURN,
+        now
+      );
+      const userName = req.user.name || 'Usuário SaaS';
+
+      // 1. Validate quantities against what is still returnable
+      const returnItems = [];
+      let totalReturned = 0;
+      let totalCost = 0;
+      let writeOffCost = 0;
+
+      for (const reqItem of items) {
+        const quantity = Number(reqItem.quantity);
+        const destination = reqItem.destination || ReturnDestination.RESTOCK;
+
+        if (!Number.isInteger(quantity) || quantity <= 0) {
+          throw httpError('Quantidade de devolução inválida.');
+        }
+        if (!Object.values(ReturnDestination).includes(destination)) {
+          throw httpError('Destino do item devolvido inválido.');
+        }
+
+        // The same item may be on several lines: take one that still has
+        // units to return (preferably all of them)
+        const availableOf = (i) => i.quantity - (i.returnedQuantity || 0);
+        const lines = sale.items.filter(
+          (i) =>
+            i.item.id === reqItem.itemId &&
+            (!reqItem.uniqueIdentifier ||
+              i.uniqueIdentifier === reqItem.uniqueIdentifier)
+        );
+        if (lines.length === 0) {
+          throw httpError(`Item ${reqItem.itemId} não pertence a esta venda.`);
+        }
+        const saleItem =
+          lines.find((i) => availableOf(i) >= quantity) ||
+          lines.find((i) => availableOf(i) > 0) ||
+          lines[0];
+
+        const available = availableOf(saleItem);
+        if (quantity > available) {
+          throw httpError(
+            `Quantidade de devolução maior que a disponível para ${
+              saleItem.item.name || reqItem.itemId
+            }. Disponível: ${available}.`
+          );
+        }
+        saleItem.returnedQuantity = (saleItem.returnedQuantity || 0) + quantity;
+
+        const unitPrice = round2(saleItem.unitPrice * paidRatio);
+        totalReturned += unitPrice * quantity;
+        totalCost += saleItem.unitCost * quantity;
+        if (destination === ReturnDestination.DAMAGED) {
+          writeOffCost += saleItem.unitCost * quantity;
+        }
+
+        returnItems.push({
+          item: saleItem.item,
+          quantity,
+          unitPrice,
+          unitCost: saleItem.unitCost,
+          type: saleItem.type,
+          uniqueIdentifier: saleItem.uniqueIdentifier,
+          destination,
+        });
+
+        // 2. Sellable items go back to stock; damaged ones stay written off
+        if (
+          saleItem.type === 'product' &&
+          destination === ReturnDestination.RESTOCK
+        ) {
+          await moveStock(
+            {
+              tenantId,
+              productId: saleItem.item.id,
+              quantity,
+              unitCost: saleItem.unitCost,
+              reason: StockMovementReason.RETURN,
+              documentType: DocumentType.SALE_RETURN,
+              documentId: returnId,
+              user: req.user,
+              date: now,
+            },
+            session
+          );
+        }
+
+        // IMEI/Serial registry follows the unit
+        if (saleItem.type === 'product' && saleItem.uniqueIdentifier) {
+          await returnSerial(
+            {
+              tenantId,
+              serial: saleItem.uniqueIdentifier,
+              returnId,
+              destination,
+              userName,
+            },
+            session
+          );
+        }
+
+        // Returned units are no longer covered by the ticket warranty
+        await reduceReturnedWarranty(
+          {
+            tenantId,
+            saleId: sale.id,
+            itemId: saleItem.item.id,
+            serial: saleItem.uniqueIdentifier,
+            quantity,
+          },
+          session
+        );
+      }
+      totalReturned = round2(totalReturned);
+
+      const returnDoc = {
+        tenantId,
+        _id: returnId,
+        saleId: sale.id,
+        items: returnItems,
+        totalReturned,
+        totalCost,
+        writeOffCost,
+        settlement,
+        reason,
+        customerId: sale.customerId,
+        customerName: sale.customerName,
+        userId: req.user._id || req.user.id,
+        userName,
+        timestamp: now,
+      };
+
+      // 3. Settle the credit. Crediário still owed on the ticket is written
+      // off first: only what the customer actually paid is given back
+      const receivableReduced = await reduceSaleReceivable(
+        { tenantId, saleId: sale.id, amount: totalReturned },
+        session
+      );
+      returnDoc.receivableReduced = receivableReduced;
+
+      let remainingCredit = round2(totalReturned - receivableReduced);
+      let remainingSettlement = settlement;
+
+      if (settlement === ReturnSettlement.EXCHANGE) {
+        const exchangeTotal = Number(exchange.total);
+        const creditUsed = round2(Math.min(remainingCredit, exchangeTotal));
+
+        // Credit enters as a non-cash tender; any difference is paid normally
+        const exchangePayments = [...(exchange.payments || [])];
+        if (creditUsed > 0) {
+          exchangePayments.unshift({
+            method: PaymentMethod.EXCHANGE_CREDIT,
+            amount: creditUsed,
+          });
+        }
+
+        const exchangeSale = await createSale(
+          {
+            tenantId,
+            user: req.user,
+            items: exchange.items,
+            total: exchangeTotal,
+            payments: exchangePayments,
+            discountApplied: exchange.discountApplied,
+            discountOverride: exchange.discountOverride,
+            customerName: sale.customerName,
+            customerWhatsapp: sale.customerWhatsapp,
+            customerId: sale.customerId,
+            extra: { originReturnId: returnId },
+          },
+          { session }
+        );
+
+        returnDoc.exchangeSaleId = exchangeSale.id;
+        returnDoc.exchangeCredit = creditUsed;
+        remainingCredit = round2(remainingCredit - creditUsed);
+        remainingSettlement = exchange.leftover || ReturnSettlement.REFUND;
+      }
+
+      if (remainingCredit > 0) {
+        if (remainingSettlement === ReturnSettlement.STORE_CREDIT) {
+          const account = await grantStoreCredit(
+            {
+              tenantId,
+              returnId,
+              saleId: sale.id,
+              customerId: sale.customerId,
+              amount: remainingCredit,
+              userName,
+              now,
+            },
+            session
+          );
+          returnDoc.storeCreditAmount = remainingCredit;
+          returnDoc.storeCreditCode = account.code;
+        } else {
+          await bookRefund(
+            {
+              tenantId,
+              returnId,
+              saleId: sale.id,
+              amount: remainingCredit,
+              method: refundMethod,
+              now,
+            },
+            session
+          );
+          returnDoc.refundMethod = refundMethod;
+          returnDoc.refundAmount = remainingCredit;
+        }
+      }
+
+      // Acquirer fee follows the money: only the refunded share is reversed
+      // (store credit / exchange keep the original payment in the store)
+      if (returnDoc.refundAmount > 0 && sale.feeTotal > 0 && sale.total > 0) {
+        const feeReversed = round2(
+          (sale.feeTotal * returnDoc.refundAmount) / sale.total
+        );
+        if (feeReversed > 0) {
+          await CashTransaction.create(
+            [
+              {
+                tenantId,
+                description: `Estorno de taxa - Devolução #${returnId} (Venda #${sale.id})`,
+                amount: feeReversed,
+                type: TransactionType.INCOME,
+                category: TransactionCategory.ACQUIRER_FEE,
+                status: TransactionStatus.PAID,
+                timestamp: now,
+                dueDate: now,
+                paymentDate: now,
+                returnId,
+              },
+            ],
+            { session }
+          );
+          returnDoc.feeReversed = feeReversed;
+        }
+      }
+
+      // 4. Save the return document and link it on the original ticket
+      [savedReturn] = await SaleReturn.create([returnDoc], { session });
+
+      sale.returnIds.push(returnId);
+      await sale.save({ session });
+    });
+
+    res.status(201).json(savedReturn);
+  } catch (err) {
+    console.error('Error creating sale return:', err);
+    res
+      .status(err.statusCode || 500)
+      .json({ message: err.message, ...err.details });
+  } finally {
+    session.endSession();
+  }
+});
+
+export default router;
@@ -1,214 +1,483 @@
 import express from 'express';
 import mongoose from 'mongoose';
 import TicketSale from '../models/TicketSale.js';
-import Product from '../models/Product.js';
-import Service from '../models/Service.js';
 import CashTransaction from '../models/CashTransaction.js';
 import Customer from '../models/Customer.js';
+import StoreConfig from '../models/StoreConfig.js';
+import { protect, authorize } from '../middleware/authMiddleware.js';
+import { idempotency } from '../middleware/idempotencyMiddleware.js';
+import {
+  createSale,
+  normalizePayments,
+  getAcquirerFeeRate,
+} from '../utils/saleHelpers.js';
+import { httpError } from '../utils/httpError.js';
+import { revertSaleSerials } from '../utils/serialHelpers.js';
+import { refundRedemptions } from '../utils/giftCardHelpers.js';
+import { removeDocumentWarranties } from '../utils/warrantyHelpers.js';
+import { moveStock } from '../utils/stockLedger.js';
+import {
+  evaluatePromotions,
+  releasePromotionUsage,
+} from '../utils/promotionHelpers.js';
+import { buildSaleReceipt, sendReceipt } from '../utils/receiptHelpers.js';
+import { toCsv, sendCsv } from '../utils/csvHelpers.js';
+import { CREDIARIO_ACCOUNT } from '../utils/crediarioHelpers.js';
+import {
+  DISCOUNT_POLICY_FIELDS,
+  evaluateSaleDiscounts,
+} from '../utils/discountPolicy.js';
+import { parseDateParam } from '../utils/dateHelpers.js';
 import {
-  TransactionType,
-  TransactionCategory,
   TransactionStatus,
+  DocumentType,
+  PromotionChannel,
+  StockMovementReason,
 } from '../types.js';
-import { protect, authorize } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 
-// GET all sales (Scoped by Tenant)
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const EXPORT_LIMIT = 50000;
+
+// Filters shared by the listing, its totals and the CSV export
+const buildSalesFilter = (tenantId, query) => {
+  const { from, to, userId, paymentMethod, customerId, itemType } = query;
+  const filter = { tenantId };
+  const conditions = [];
+
+  const fromDate = parseDateParam(from);
+  const toDate = parseDateParam(to, true);
+  if (fromDate || toDate) {
+    filter.timestamp = {};
+    if (fromDate) filter.timestamp.$gte = fromDate;
+    if (toDate) filter.timestamp.$lt = toDate;
+  }
+  if (userId) filter.userId = userId;
+  if (customerId) filter.customerId = customerId;
+  if (itemType) filter['items.type'] = itemType;
+  if (paymentMethod) {
+    // Split-tender tickets match any of their tenders; legacy ones the label
+    conditions.push({
+      $or: [{ 'payments.method': paymentMethod }, { paymentMethod }],
+    });
+  }
+
+  if (conditions.length > 0) filter.$and = conditions;
+  return filter;
+};
+
+// Opaque cursor: position (timestamp + _id) of the last ticket of the page
+const encodeCursor = (sale) =>
+  Buffer.from(
+    JSON.stringify({ t: sale.timestamp.toISOString(), id: sale._id })
+  ).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const { t, id } = JSON.parse(
+      Buffer.from(cursor, 'base64url').toString('utf8')
+    );
+    const timestamp = new Date(t);
+    if (!id || isNaN(timestamp.getTime())) throw new Error();
+    return {
+      $or: [{ timestamp: { $lt: timestamp } }, { timestamp, _id: { $lt: id } }],
+    };
+  } catch (err) {
+    throw httpError('Cursor de paginação inválido.');
+  }
+};
+
+const getSalesTotals = async (filter) => {
+  const [totals] = await TicketSale.aggregate([
+    { $match: filter },
+    {
+      $group: {
+        _id: null,
+        revenue: { $sum: '$total' },
+        cost: { $sum: '$totalCost' },
+        fees: { $sum: '$feeTotal' },
+        // Gross (sum of items) minus what was charged
+        gross: {
+          $sum: {
+            $reduce: {
+              input: '$items',
+              initialValue: 0,
+              in: {
+                $add: [
+                  '$$value',
+                  { $multiply: ['$$this.quantity', '$$this.unitPrice'] },
+                ],
+              },
+            },
+          },
+        },
+        ticketCount: { $sum: 1 },
+      },
+    },
+  ]);
+
+  const round2 = (value) => Math.round((value || 0) * 100) / 100;
+  return {
+    revenue: round2(totals?.revenue),
+    cost: round2(totals?.cost),
+    discount: round2((totals?.gross || 0) - (totals?.revenue || 0)),
+    fees: round2(totals?.fees),
+    ticketCount: totals?.ticketCount || 0,
+  };
+};
+
+/**
+ * GET sales (Scoped by Tenant)
+ * Filters: from, to, userId, paymentMethod, customerId, itemType
+ * With `limit` or `cursor` the response is paginated:
+ *   { data, nextCursor, totals }  (totals cover the whole filtered set)
+ * Without them the plain array is kept for older clients.
+ */
 router.get('/', protect, authorize('owner', 'manager'), async (req, res) => {
   try {
-    const sales = await TicketSale.find({ tenantId: req.tenantId }).sort({
-      timestamp: -1,
+    const filter = buildSalesFilter(req.tenantId, req.query);
+    const sort = { timestamp: -1, _id: -1 };
+
+    if (req.query.limit === undefined && req.query.cursor === undefined) {
+      const sales = await TicketSale.find(filter).sort(sort);
+      return res.json(sales);
+    }
+
+    const limit = Math.min(
+      Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1),
+      MAX_PAGE_SIZE
+    );
+    const pageFilter = req.query.cursor
+      ? {
+          ...filter,
+          $and: [...(filter.$and || []), decodeCursor(req.query.cursor)],
+        }
+      : filter;
+
+    const [page, totals] = await Promise.all([
+      TicketSale.find(pageFilter)
+        .sort(sort)
+        .limit(limit + 1),
+      getSalesTotals(filter),
+    ]);
+
+    const hasMore = page.length > limit;
+    const data = hasMore ? page.slice(0, limit) : page;
+    res.json({
+      data,
+      nextCursor: hasMore ? encodeCursor(data[data.length - 1]) : null,
+      totals,
     });
-    res.json(sales);
   } catch (err) {
-    res.status(500).json({ message: err.message });
+    res.status(err.statusCode || 500).json({ message: err.message });
   }
 });
 
-// POST a new sale
-router.post('/', protect, async (req, res) => {
-  const {
-    items,
-    total,
-    customerName,
-    customerWhatsapp,
-    customerCnpjCpf,
-    paymentMethod,
-    discountApplied,
-  } = req.body;
-
-  // Use user data from JWT or fallback object created in middleware
-  const userId = req.user._id || req.user.id;
-  const userName = req.user.name || 'Usuário SaaS';
-  const tenantId = req.tenantId;
-  const now = new Date();
-
-  if (!items || items.length === 0 || total === undefined) {
-    return res.status(400).json({ message: 'Dados da venda incompletos.' });
+// GET /api/sales/export - CSV of the filtered set (same filters as GET /)
+router.get(
+  '/export',
+  protect,
+  authorize('owner', 'manager'),
+  async (req, res) => {
+    try {
+      const filter = buildSalesFilter(req.tenantId, req.query);
+      const sales = await TicketSale.find(filter)
+        .sort({ timestamp: -1, _id: -1 })
+        .limit(EXPORT_LIMIT)
+        .lean();
+
+      const gross = (sale) =>
+        sale.items.reduce((sum, i) => sum + i.quantity * i.unitPrice, 0);
+
+      const csv = toCsv(
+        [
+          { header: 'Venda', value: (s) => s._id },
+          { header: 'Data', value: (s) => s.timestamp },
+          { header: 'Cliente', value: (s) => s.customerName },
+          { header: 'Operador', value: (s) => s.userName },
+          { header: 'Pagamento', value: (s) => s.paymentMethod },
+          {
+            header: 'Itens',
+            value: (s) => s.items.reduce((sum, i) => sum + i.quantity, 0),
+          },
+          {
+            header: 'Subtotal',
+            value: (s) => Math.round(gross(s) * 100) / 100,
+          },
+          {
+            header: 'Desconto',
+            value: (s) => Math.round((gross(s) - s.total) * 100) / 100,
+          },
+          { header: 'Total', value: (s) => s.total },
+          { header: 'Custo', value: (s) => s.totalCost },
+          { header: 'Taxas', value: (s) => s.feeTotal || 0 },
+        ],
+        sales
+      );
+      sendCsv(res, 'vendas', csv);
+    } catch (err) {
+      res.status(err.statusCode || 500).json({ message: err.message });
+    }
   }
+);
 
-  try {
-    // 1. Upsert customer logic (Scoped by Tenant)
-    let customerId = null;
-
-    if (customerWhatsapp && customerName) {
-      const cleanedPhone = customerWhatsapp.replace(/\D/g, '');
-      const cleanedDoc = customerCnpjCpf
-        ? customerCnpjCpf.replace(/\D/g, '')
-        : null;
-
-      // SERVER-SIDE HARD STOP: Validation for CPF/CNPJ hijacking
-      if (cleanedDoc && cleanedDoc.length >= 11) {
-        // Support legacy formatted data lookup
-        const queries = [cleanedDoc];
-        if (cleanedDoc.length === 11)
-          queries.push(
-            cleanedDoc.replace(/(\d{3})(\d{3})(\d{3})(\d{2})/, '$1.$2.$3-$4')
-          );
-        if (cleanedDoc.length === 14)
-          queries.push(
-            cleanedDoc.replace(
-              /(\d{2})(\d{3})(\d{3})(\d{4})(\d{2})/,
-              '$1.$2.$3/$4-$5'
-            )
-          );
+// Fields of a sale accepted from the POS (live or offline)
+const pickSaleInput = ({
+  items,
+  total,
+  customerName,
+  customerWhatsapp,
+  customerCnpjCpf,
+  paymentMethod,
+  payments,
+  discountApplied,
+  discountOverride, // { reason, approverEmail, approverPassword }
+  couponCode,
+}) => ({
+  items,
+  total,
+  customerName,
+  customerWhatsapp,
+  customerCnpjCpf,
+  paymentMethod,
+  payments,
+  discountApplied,
+  discountOverride,
+  couponCode,
+});
 
-        // Find ANY customer with this document (raw or formatted) in this tenant
-        const existingDocs = await Customer.find({
-          tenantId,
-          cnpjCpf: { $in: queries },
-        });
-
-        for (const docCustomer of existingDocs) {
-          const existingPhoneClean = docCustomer.phone.replace(/\D/g, '');
-
-          // If we found a customer with this DOC, check if the phone is different
-          // If phone is different, it means we are trying to assign an existing CPF to a new/different person.
-          if (existingPhoneClean !== cleanedPhone) {
-            return res.status(400).json({
-              message: `BLOQUEIO DE SEGURANÇA: O CPF/CNPJ informado já pertence ao cliente "${docCustomer.name}" (Tel: ${docCustomer.phone}). Não é possível usar o mesmo documento para números diferentes.`,
-            });
-          }
-        }
-      }
+// POST a new sale
+router.post('/', protect, idempotency, async (req, res) => {
+  const session = await mongoose.startSession();
+  let savedSale;
 
-      // Safe to proceed with Upsert based on Phone
-      const customer = await Customer.findOneAndUpdate(
-        { tenantId, phone: cleanedPhone }, // Search by Tenant AND Phone
+  try {
+    // Stock, finance and ticket are written all-or-nothing
+    await session.withTransaction(async () => {
+      savedSale = await createSale(
         {
-          tenantId,
-          phone: cleanedPhone,
-          name: customerName,
-          cnpjCpf: cleanedDoc, // Update doc if provided (and valid). Saves as cleaned.
+          ...pickSaleInput(req.body),
+          tenantId: req.tenantId,
+          user: req.user,
         },
-        { new: true, upsert: true, setDefaultsOnInsert: true }
+        { session }
       );
-      customerId = customer.id;
-    }
+    });
+    res.status(201).json(savedSale);
+  } catch (err) {
+    console.error('Error creating sale:', err.message);
+    res
+      .status(err.statusCode || 500)
+      .json({ message: err.message, ...err.details });
+  } finally {
+    session.endSession();
+  }
+});
 
-    // 2. Generate new Ticket ID (Scoped by Tenant)
-    const year = now.getFullYear();
-    const month = (now.getMonth() + 1).toString().padStart(2, '0');
-    const prefix = `TC-${year}${month}-`;
-
-    // Count only this tenant's sales for ID generation
-    const lastSale = await TicketSale.findOne({
-      tenantId,
-      _id: new RegExp(`^${prefix}`),
-    }).sort({ _id: -1 });
-
-    let nextSequence = 1;
-    if (lastSale) {
-      const lastSequence = parseInt(lastSale.id.split('-')[2], 10);
-      nextSequence = lastSequence + 1;
-    }
+const SYNC_BATCH_LIMIT = 100;
+const SYNC_CLOCK_TOLERANCE_MS = 5 * 60 * 1000;
+
+/**
+ * POST /api/sales/sync - Offline POS batch
+ * Body: { sales: [{ idempotencyKey, timestamp, ...same body as POST / }] }
+ * Sales are replayed oldest first, each in its own transaction, with the
+ * normal stock/customer/finance logic. A key already synced returns the
+ * existing ticket (status "duplicate"), so resending a batch is safe.
+ * Per-sale status: created | duplicate | conflict | invalid | error
+ */
+router.post('/sync', protect, async (req, res) => {
+  const { sales } = req.body;
+  if (!Array.isArray(sales) || sales.length === 0) {
+    return res.status(400).json({ message: 'Nenhuma venda para sincronizar.' });
+  }
+  if (sales.length > SYNC_BATCH_LIMIT) {
+    return res.status(400).json({
+      message: `Envie no máximo ${SYNC_BATCH_LIMIT} vendas por lote.`,
+    });
+  }
 
-    // To ensure global uniqueness without ugly IDs, we can append a short hash of tenantId
-    const tenantSuffix = tenantId.toString().slice(-4);
-    const newTicketId = `${prefix}${nextSequence
-      .toString()
-      .padStart(4, '0')}-${tenantSuffix}`;
-
-    // 3. Update product stock AND Calculate Total Cost
-    let saleTotalCost = 0;
-    const updatedItems = [];
-
-    for (const saleItem of items) {
-      let itemCost = 0;
-
-      if (saleItem.type === 'product') {
-        // Find product within Tenant (Isolation check)
-        const product = await Product.findOne({
-          _id: saleItem.item.id,
-          tenantId,
-        });
-        if (product) {
-          itemCost = product.cost;
-          product.stock -= saleItem.quantity;
-          product.lastSold = now;
-          await product.save();
-        }
-      } else if (saleItem.type === 'service') {
-        // Find service within Tenant (Isolation check)
-        const service = await Service.findOne({
-          _id: saleItem.item.id,
-          tenantId,
-        });
-        if (service) {
-          itemCost =
-            service.partCost + service.serviceCost + service.shippingCost;
-        }
-      }
+  const ordered = sales
+    .map((sale, index) => ({ sale, index }))
+    .sort(
+      (a, b) =>
+        new Date(a.sale.timestamp) - new Date(b.sale.timestamp) ||
+        a.index - b.index
+    );
+
+  const findSynced = (idempotencyKey) =>
+    TicketSale.findOne({ tenantId: req.tenantId, idempotencyKey }).select(
+      '_id'
+    );
+
+  const results = [];
+  for (const { sale, index } of ordered) {
+    const idempotencyKey = sale.idempotencyKey?.toString();
+    const result = { index, idempotencyKey };
+    results.push(result);
+
+    const timestamp = new Date(sale.timestamp);
+    if (!idempotencyKey || isNaN(timestamp.getTime())) {
+      result.status = 'invalid';
+      result.message = 'Venda sem idempotencyKey ou timestamp válido.';
+      continue;
+    }
+    if (timestamp.getTime() > Date.now() + SYNC_CLOCK_TOLERANCE_MS) {
+      result.status = 'invalid';
+      result.message = 'Data da venda no futuro (verifique o relógio do PDV).';
+      continue;
+    }
 
-      saleTotalCost += itemCost * saleItem.quantity;
+    const existing = await findSynced(idempotencyKey);
+    if (existing) {
+      result.status = 'duplicate';
+      result.saleId = existing.id;
+      continue;
+    }
 
-      updatedItems.push({
-        ...saleItem,
-        unitCost: itemCost,
+    const session = await mongoose.startSession();
+    try {
+      let savedSale;
+      await session.withTransaction(async () => {
+        savedSale = await createSale(
+          {
+            ...pickSaleInput(sale),
+            tenantId: req.tenantId,
+            user: req.user,
+            timestamp,
+            offline: true,
+            extra: { idempotencyKey, syncedAt: new Date() },
+          },
+          { session }
+        );
       });
+      result.status = 'created';
+      result.saleId = savedSale.id;
+    } catch (err) {
+      // Same key sent concurrently: the unique index kept only one ticket
+      const raced = err.code === 11000 && (await findSynced(idempotencyKey));
+      if (raced) {
+        result.status = 'duplicate';
+        result.saleId = raced.id;
+      } else {
+        result.status =
+          err.statusCode === 409 || err.statusCode === 403
+            ? 'conflict'
+            : err.statusCode
+            ? 'invalid'
+            : 'error';
+        result.message = err.message;
+        if (err.details) result.details = err.details;
+      }
+    } finally {
+      session.endSession();
     }
+  }
 
-    // 4. Create financial transaction
-    const description = paymentMethod
-      ? `Venda #${newTicketId} - ${paymentMethod}`
-      : `Venda #${newTicketId}`;
-
-    const newTransaction = new CashTransaction({
-      tenantId,
-      description: description,
-      amount: total,
-      type: TransactionType.INCOME,
-      category: TransactionCategory.SALES_REVENUE,
-      status: TransactionStatus.PAID,
-      timestamp: now,
-      dueDate: now,
-      saleId: newTicketId,
-    });
-    await newTransaction.save();
+  results.sort((a, b) => a.index - b.index);
+  res.json({
+    results,
+    summary: results.reduce((acc, r) => {
+      acc[r.status] = (acc[r.status] || 0) + 1;
+      return acc;
+    }, {}),
+  });
+});
 
-    // 5. Create and save the new sale
-    const newSale = new TicketSale({
-      tenantId,
-      _id: newTicketId,
-      items: updatedItems,
+// POST /api/sales/discount-check - Allowed discount per item for a cart
+// and the promotion it gets (same rules as POST /api/sales, nothing is
+// written). The POS uses it to auto-apply discounts when
+// StoreConfig.autoApplyDiscount is on and to show the promotion total.
+router.post('/discount-check', protect, async (req, res) => {
+  try {
+    const {
+      items,
       total,
-      totalCost: saleTotalCost,
-      discount: discountApplied || 0,
+      payments,
       paymentMethod,
-      customerName,
+      couponCode,
+      customerId,
       customerWhatsapp,
+    } = req.body;
+    if (!items || items.length === 0) {
+      throw httpError('Informe os itens da venda.');
+    }
+
+    const config = await StoreConfig.findOne({ tenantId: req.tenantId }).select(
+      `autoApplyDiscount feePix feeDebit feeCreditSight feeCreditInstallment ${DISCOUNT_POLICY_FIELDS}`
+    );
+    const saleTotal = Number(
+      total ?? items.reduce((sum, i) => sum + i.quantity * i.unitPrice, 0)
+    );
+    const salePayments = normalizePayments(payments, paymentMethod, saleTotal);
+
+    const promotionResult = await evaluatePromotions({
+      tenantId: req.tenantId,
+      lines: items.map((i) => ({
+        id: i.item?.id,
+        type: i.type,
+        quantity: i.quantity,
+      })),
+      channel: PromotionChannel.POS,
+      couponCode,
       customerId,
-      userId,
-      userName,
-      timestamp: now,
-      saleHour: now.getHours(),
+      customerPhone: customerWhatsapp,
     });
 
-    const savedSale = await newSale.save();
-    res.status(201).json(savedSale);
+    const policy = await evaluateSaleDiscounts({
+      tenantId: req.tenantId,
+      items,
+      total: saleTotal,
+      feeAmount: salePayments.reduce(
+        (sum, p) =>
+          sum + ((Number(p.amount) || 0) * getAcquirerFeeRate(config, p)) / 100,
+        0
+      ),
+      promotionDiscount: promotionResult.discount,
+      config,
+    });
+    res.json({
+      ...policy,
+      promotion: promotionResult.promotion,
+      promotionTotal:
+        Math.round(
+          (promotionResult.subtotal - promotionResult.discount) * 100
+        ) / 100,
+      autoApplyDiscount: config?.autoApplyDiscount ?? true,
+      requiresApproval: policy.violations.length > 0,
+    });
+  } catch (err) {
+    res.status(err.statusCode || 500).json({ message: err.message });
+  }
+});
+
+// GET /api/sales/:id/receipt - Cupom não fiscal
+// Query: format = pdf (default) | escpos | text, width = 58 | 80
+router.get('/:id/receipt', protect, async (req, res) => {
+  try {
+    const [sale, config] = await Promise.all([
+      TicketSale.findOne({ _id: req.params.id, tenantId: req.tenantId }),
+      StoreConfig.findOne({ tenantId: req.tenantId }).select(
+        'companyInfo receiptSettings'
+      ),
+    ]);
+    if (!sale) {
+      return res.status(404).json({ message: 'Venda não encontrada.' });
+    }
+
+    const customer = sale.customerId
+      ? await Customer.findOne({ _id: sale.customerId, tenantId: req.tenantId })
+      : null;
+
+    const width = req.query.width || config?.receiptSettings?.paperWidth;
+    const lines = buildSaleReceipt({ sale, config, customer, width });
+    sendReceipt(res, lines, {
+      format: req.query.format,
+      width,
+      filename: `cupom-${sale.id}`,
+    });
   } catch (err) {
-    console.error('Error creating sale:', err);
     res.status(500).json({ message: err.message });
   }
 });
@@ -230,22 +499,84 @@ router.delete(
           tenantId: req.tenantId,
         }).session(session);
         if (!sale) {
-          throw new Error('Sale not found');
+          throw httpError('Venda não encontrada.', 404);
+        }
+
+        // Returned tickets are kept for audit: undo is done through the return flow
+        if (sale.returnIds && sale.returnIds.length > 0) {
+          throw httpError(
+            'Esta venda possui devoluções registradas e não pode ser excluída.'
+          );
+        }
+
+        // Crediário with installments already received cannot vanish
+        const paidCrediario = await CashTransaction.exists({
+          tenantId: req.tenantId,
+          saleId: id,
+          financialAccountId: CREDIARIO_ACCOUNT,
+          'installments.status': TransactionStatus.PAID,
+        }).session(session);
+        if (paidCrediario) {
+          throw httpError(
+            'Esta venda possui parcelas de crediário pagas e não pode ser excluída.'
+          );
         }
 
         // Step 1: Revert stock
         for (const item of sale.items) {
           if (item.type === 'product') {
-            await Product.findOneAndUpdate(
-              { _id: item.item.id, tenantId: req.tenantId },
-              { $inc: { stock: item.quantity } },
-              { session }
+            await moveStock(
+              {
+                tenantId: req.tenantId,
+                productId: item.item.id,
+                quantity: item.quantity,
+                unitCost: item.unitCost,
+                reason: StockMovementReason.SALE_CANCELLED,
+                documentType: DocumentType.SALE,
+                documentId: id,
+                user: req.user,
+              },
+              session
             );
           }
         }
 
-        // Step 2: Delete transaction (Isolation ensured by query)
-        await CashTransaction.deleteOne({
+        // Step 1b: IMEIs sold in the ticket go back to stock
+        await revertSaleSerials(req.tenantId, id, session);
+
+        // Step 1c: Gift card / store credit used as tender goes back to the card
+        await refundRedemptions(
+          {
+            tenantId: req.tenantId,
+            documentType: DocumentType.SALE,
+            documentId: id,
+            userName: req.user.name,
+          },
+          session
+        );
+
+        // Step 1d: Warranties of the ticket (blocked once claimed)
+        await removeDocumentWarranties(
+          {
+            tenantId: req.tenantId,
+            documentType: DocumentType.SALE,
+            documentId: id,
+          },
+          session
+        );
+
+        // Step 1e: The promotion use goes back to its caps
+        await releasePromotionUsage(
+          {
+            tenantId: req.tenantId,
+            documentType: DocumentType.SALE,
+            documentId: id,
+          },
+          session
+        );
+
+        // Step 2: Delete transactions, one per tender (Isolation ensured by query)
+        await CashTransaction.deleteMany({
           saleId: id,
           tenantId: req.tenantId,
         }).session(session);
@@ -257,6 +588,9 @@ router.delete(
       res.json({ message: 'Venda excluída com sucesso.' });
     } catch (error) {
       console.error('Error deleting sale:', error.message);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ message: error.message });
+      }
       res
         .status(500)
         .json({ message: 'Ocorreu um erro no servidor ao excluir a venda.' });
@@ -0,0 +1,134 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import SerialNumber from '../models/SerialNumber.js';
+import PurchaseOrder from '../models/PurchaseOrder.js';
+import Supplier from '../models/Supplier.js';
+import TicketSale from '../models/TicketSale.js';
+import Customer from '../models/Customer.js';
+import SaleReturn from '../models/SaleReturn.js';
+import ServiceOrder from '../models/ServiceOrder.js';
+import { protect, authorize } from '../middleware/authMiddleware.js';
+import {
+  normalizeSerial,
+  registerStockSerials,
+} from '../utils/serialHelpers.js';
+
+const router = express.Router();
+
+// GET registry list (Scoped by Tenant). Filters: status, productId, search
+router.get('/', protect, async (req, res) => {
+  try {
+    const { status, productId, search } = req.query;
+    const query = { tenantId: req.tenantId };
+    if (status) query.status = status;
+    if (productId) query.productId = productId;
+    if (search) {
+      const term = normalizeSerial(search).replace(
+        /[.*+?^${}()|[\]\\]/g,
+        '\\$&'
+      );
+      query.serial = { $regex: term };
+    }
+
+    const serials = await SerialNumber.find(query)
+      .select('-history')
+      .sort({ receivedAt: -1 });
+    res.json(serials);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// POST /api/serials/register - { productId, serials: [] } Registers units
+// already on the shelf (stock from before the registry) so the POS sells them
+router.post(
+  '/register',
+  protect,
+  authorize('owner', 'manager'),
+  async (req, res) => {
+    const session = await mongoose.startSession();
+    let registered;
+    try {
+      await session.withTransaction(async () => {
+        registered = await registerStockSerials(
+          {
+            tenantId: req.tenantId,
+            productId: req.body.productId,
+            serials: req.body.serials,
+            userName: req.user.name,
+          },
+          session
+        );
+      });
+      res.status(201).json(registered);
+    } catch (err) {
+      res.status(err.statusCode || 500).json({ message: err.message });
+    } finally {
+      session.endSession();
+    }
+  }
+);
+
+// GET /api/serials/:serial - Full trace of a device (warranty / theft disputes)
+router.get(
+  '/:serial',
+  protect,
+  authorize('owner', 'manager', 'technician'),
+  async (req, res) => {
+    try {
+      const tenantId = req.tenantId;
+      const serial = normalizeSerial(req.params.serial);
+
+      const [registry, serviceOrders, returns] = await Promise.all([
+        SerialNumber.findOne({ tenantId, serial }),
+        ServiceOrder.find({ tenantId, deviceSerial: serial }).sort({
+          createdAt: -1,
+        }),
+        SaleReturn.find({ tenantId, 'items.uniqueIdentifier': serial }).sort({
+          timestamp: -1,
+        }),
+      ]);
+
+      // Devices bought elsewhere may only exist in service orders
+      if (!registry && serviceOrders.length === 0) {
+        return res
+          .status(404)
+          .json({ message: 'IMEI/Série não encontrado nesta empresa.' });
+      }
+
+      const [purchase, supplier, sale, customer] = await Promise.all([
+        registry?.purchaseId
+          ? PurchaseOrder.findOne({ _id: registry.purchaseId, tenantId })
+          : null,
+        registry?.supplierCnpjCpf
+          ? Supplier.findOne({
+              tenantId,
+              // Entries written before the registry stored digits only
+              cnpjCpf: registry.supplierCnpjCpf.replace(/\D/g, ''),
+            })
+          : null,
+        registry?.saleId
+          ? TicketSale.findOne({ _id: registry.saleId, tenantId })
+          : null,
+        registry?.customerId
+          ? Customer.findOne({ _id: registry.customerId, tenantId })
+          : null,
+      ]);
+
+      res.json({
+        serial,
+        registry,
+        purchase,
+        supplier,
+        sale,
+        customer,
+        returns,
+        serviceOrders,
+      });
+    } catch (err) {
+      res.status(500).json({ message: err.message });
+    }
+  }
+);
+
+export default router;
@@ -10,9 +10,19 @@ import {
   TransactionCategory,
   TransactionStatus,
   ServiceOrderStatus,
+  DocumentType,
 } from '../types.js';
 import { protect, authorize } from '../middleware/authMiddleware.js';
 import { syncInvoiceRecord } from '../utils/financeHelpers.js';
+import { nextDocumentNumber } from '../utils/documentNumbers.js';
+import {
+  normalizeSerial,
+  setSerialRepairStatus,
+} from '../utils/serialHelpers.js';
+import {
+  createServiceOrderWarranty,
+  removeDocumentWarranties,
+} from '../utils/warrantyHelpers.js';
 
 // GET all service orders
 router.get('/', protect, async (req, res) => {
@@ -35,17 +45,14 @@ router.post(
     const { customerName, customerWhatsapp, customerCnpjCpf, ...orderData } =
       req.body;
     const now = new Date();
-    const year = now.getFullYear();
-    const month = (now.getMonth() + 1).toString().padStart(2, '0');
-    const count = await ServiceOrder.countDocuments({
-      _id: new RegExp(`^OS-${year}${month}`),
-      tenantId: req.tenantId,
-    });
-    const sequentialId = (count + 1).toString().padStart(4, '0');
-    const tenantSuffix = req.tenantId.toString().slice(-4);
-    const newOrderId = `OS-${year}${month}${sequentialId}-${tenantSuffix}`;
 
     try {
+      const newOrderId = await nextDocumentNumber(
+        req.tenantId,
+        DocumentType.SERVICE_ORDER,
+        now
+      );
+
       let customerId = null;
       if (customerWhatsapp && customerName) {
         const cleanedPhone = customerWhatsapp.replace(/\D/g, '');
@@ -69,10 +76,23 @@ router.post(
         customerCnpjCpf,
         customerId,
         ...orderData,
+        deviceSerial: orderData.deviceSerial
+          ? normalizeSerial(orderData.deviceSerial)
+          : undefined,
         status: ServiceOrderStatus.PENDING,
         createdAt: now,
+        userId: (req.user._id || req.user.id)?.toString(),
+        userName: req.user.name,
       });
       const savedOrder = await newOrder.save();
+
+      // Device sold by the store: registry shows it on the repair bench
+      await setSerialRepairStatus({
+        tenantId: req.tenantId,
+        serial: savedOrder.deviceSerial,
+        serviceOrderId: savedOrder.id,
+        inRepair: true,
+      });
       res.status(201).json(savedOrder);
     } catch (err) {
       res.status(400).json({ message: err.message });
@@ -286,12 +306,26 @@ router.delete(
       });
       if (!order) return res.status(404).json({ message: 'Not found' });
 
+      await removeDocumentWarranties({
+        tenantId: req.tenantId,
+        documentType: DocumentType.SERVICE_ORDER,
+        documentId: order.id,
+      });
       await cleanupServiceFinancials(req.params.id, req.tenantId);
 
+      if (order.status === ServiceOrderStatus.PENDING) {
+        await setSerialRepairStatus({
+          tenantId: req.tenantId,
+          serial: order.deviceSerial,
+          serviceOrderId: order.id,
+          inRepair: false,
+        });
+      }
+
       await ServiceOrder.findByIdAndDelete(req.params.id);
       res.json({ message: 'Deleted' });
     } catch (err) {
-      res.status(500).json({ message: err.message });
+      res.status(err.statusCode || 500).json({ message: err.message });
     }
   }
 );
@@ -315,21 +349,38 @@ router.post(
       if (order.status === ServiceOrderStatus.PENDING) {
         order.status = ServiceOrderStatus.COMPLETED;
         order.completedAt = new Date();
+        order.completedById = (req.user._id || req.user.id)?.toString();
+        order.completedByName = req.user.name;
         if (finalPrice !== undefined) order.finalPrice = Number(finalPrice);
         if (discount !== undefined) order.discount = Number(discount);
         if (paymentMethod) order.paymentMethod = paymentMethod;
 
         await createServiceFinancials(order, req, costPaymentDetails);
+        await createServiceOrderWarranty({ tenantId: req.tenantId, order });
       } else {
-        // Reopen
+        // Reopen (the repair warranty goes away with the completion)
+        await removeDocumentWarranties({
+          tenantId: req.tenantId,
+          documentType: DocumentType.SERVICE_ORDER,
+          documentId: order.id,
+        });
         order.status = ServiceOrderStatus.PENDING;
+        order.completedById = undefined;
+        order.completedByName = undefined;
         await cleanupServiceFinancials(order.id, req.tenantId);
       }
 
+      await setSerialRepairStatus({
+        tenantId: req.tenantId,
+        serial: order.deviceSerial,
+        serviceOrderId: order.id,
+        inRepair: order.status === ServiceOrderStatus.PENDING,
+      });
+
       const updated = await order.save();
       res.json(updated);
     } catch (err) {
-      res.status(500).json({ message: err.message });
+      res.status(err.statusCode || 500).json({ message: err.message });
     }
   }
 );
@@ -2,6 +2,11 @@ import express from 'express';
 const router = express.Router();
 import Service from '../models/Service.js';
 import { protect, authorize } from '../middleware/authMiddleware.js';
+import {
+  resolveImageInput,
+  removeStoredImages,
+  removeReplacedImages,
+} from '../utils/imageHelpers.js';
 
 // GET all services (Scoped by Tenant)
 router.get('/', protect, async (req, res) => {
@@ -22,12 +27,11 @@ router.post('/', protect, authorize('owner', 'manager'), async (req, res) => {
       .json({ message: 'Campos obrigatórios estão faltando.' });
   }
 
-  const service = new Service({
-    ...req.body,
-    tenantId: req.tenantId,
-  });
-
   try {
+    const service = new Service({
+      ...(await resolveImageInput(req.tenantId, req.body)),
+      tenantId: req.tenantId,
+    });
     const newService = await service.save();
     res.status(201).json(newService);
   } catch (err) {
@@ -38,13 +42,19 @@ router.post('/', protect, authorize('owner', 'manager'), async (req, res) => {
 // PUT (update) a service (Scoped by Tenant)
 router.put('/:id', protect, authorize('owner', 'manager'), async (req, res) => {
   try {
-    const updatedService = await Service.findOneAndUpdate(
+    // Previous version: its image files go away when the image is replaced
+    const previous = await Service.findOneAndUpdate(
       { _id: req.params.id, tenantId: req.tenantId },
-      req.body,
-      { new: true }
+      await resolveImageInput(req.tenantId, req.body),
+      { new: false }
     );
-    if (!updatedService)
+    if (!previous)
       return res.status(404).json({ message: 'Service not found' });
+    const updatedService = await Service.findOne({
+      _id: req.params.id,
+      tenantId: req.tenantId,
+    });
+    await removeReplacedImages(req.tenantId, previous, updatedService);
     res.json(updatedService);
   } catch (err) {
     res.status(400).json({ message: err.message });
@@ -64,6 +74,7 @@ router.delete(
       });
       if (!service)
         return res.status(404).json({ message: 'Service not found' });
+      await removeStoredImages(req.tenantId, service);
       res.json({ message: 'Service deleted successfully' });
     } catch (err) {
       res.status(500).json({ message: err.message });
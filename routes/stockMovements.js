@@ -0,0 +1,79 @@
+import express from 'express';
+import StockMovement from '../models/StockMovement.js';
+import Product from '../models/Product.js';
+import { protect, authorize } from '../middleware/authMiddleware.js';
+import { StockMovementReason } from '../types.js';
+import { httpError } from '../utils/httpError.js';
+import { parseDateParam } from '../utils/dateHelpers.js';
+import { rebuildStockFromLedger } from '../utils/stockLedger.js';
+
+const router = express.Router();
+
+// GET /api/stock-movements - Kardex of the store, newest first.
+// Filters: productId, from, to, reason, documentId
+router.get('/', protect, authorize('owner', 'manager'), async (req, res) => {
+  try {
+    const { productId, from, to, reason, documentId } = req.query;
+    const query = { tenantId: req.tenantId };
+    if (productId) query.productId = productId;
+    if (documentId) query.documentId = documentId;
+    if (reason) {
+      if (!Object.values(StockMovementReason).includes(reason)) {
+        throw httpError('Motivo de movimentação inválido.');
+      }
+      query.reason = reason;
+    }
+
+    const fromDate = parseDateParam(from);
+    const toDate = parseDateParam(to, true);
+    if (fromDate || toDate) {
+      query.date = {};
+      if (fromDate) query.date.$gte = fromDate;
+      if (toDate) query.date.$lt = toDate;
+    }
+
+    const movements = await StockMovement.find(query)
+      .sort({ date: -1, _id: -1 })
+      .limit(500);
+    res.json(movements);
+  } catch (err) {
+    res.status(err.statusCode || 500).json({ message: err.message });
+  }
+});
+
+// GET /api/stock-movements/:productId - Full history of one product plus the
+// stock rebuilt from it (drift = Product.stock changed outside the ledger).
+// Replayed in insertion order: offline sales are synced with their original
+// date and would break the running balance if sorted by it
+router.get(
+  '/:productId',
+  protect,
+  authorize('owner', 'manager'),
+  async (req, res) => {
+    try {
+      const product = await Product.findOne({
+        _id: req.params.productId,
+        tenantId: req.tenantId,
+      });
+      if (!product) {
+        throw httpError('Produto não encontrado.', 404);
+      }
+
+      const movements = await StockMovement.find({
+        tenantId: req.tenantId,
+        productId: product.id,
+      }).sort({ _id: 1 });
+
+      res.json({
+        productId: product.id,
+        productName: product.name,
+        ...rebuildStockFromLedger(product, movements),
+        movements,
+      });
+    } catch (err) {
+      res.status(err.statusCode || 500).json({ message: err.message });
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,321 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Stocktake from '../models/Stocktake.js';
+import Product from '../models/Product.js';
+import CashTransaction from '../models/CashTransaction.js';
+import { protect, authorize } from '../middleware/authMiddleware.js';
+import {
+  StocktakeStatus,
+  StockMovementReason,
+  DocumentType,
+  TransactionType,
+  TransactionCategory,
+  TransactionStatus,
+} from '../types.js';
+import { httpError } from '../utils/httpError.js';
+import { moveStock, movementUser } from '../utils/stockLedger.js';
+import {
+  buildStocktakeItems,
+  findStocktakeItem,
+  getCurrentStock,
+  buildVarianceReport,
+} from '../utils/stocktakeHelpers.js';
+
+const router = express.Router();
+
+const findStocktake = async (tenantId, id, session) => {
+  const stocktake =
+    mongoose.isValidObjectId(id) &&
+    (await Stocktake.findOne({ _id: id, tenantId }).session(session || null));
+  if (!stocktake) {
+    throw httpError('Inventário não encontrado.', 404);
+  }
+  return stocktake;
+};
+
+const assertOpen = (stocktake) => {
+  if (stocktake.status !== StocktakeStatus.OPEN) {
+    throw httpError('Este inventário já foi encerrado.', 409);
+  }
+};
+
+// GET /api/stocktakes - Sessions, newest first (without the items)
+router.get('/', protect, async (req, res) => {
+  try {
+    const query = { tenantId: req.tenantId };
+    if (req.query.status) query.status = req.query.status;
+
+    const stocktakes = await Stocktake.find(query)
+      .select('-items')
+      .sort({ createdAt: -1 });
+    res.json(stocktakes);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// GET /api/stocktakes/:id
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const stocktake = await findStocktake(req.tenantId, req.params.id);
+    res.json(stocktake);
+  } catch (err) {
+    res.status(err.statusCode || 500).json({ message: err.message });
+  }
+});
+
+// GET /api/stocktakes/:id/variance - Counted vs system, valued at cost
+// ?zeroUncounted=true previews the approval that zeroes uncounted items
+router.get(
+  '/:id/variance',
+  protect,
+  authorize('owner', 'manager'),
+  async (req, res) => {
+    try {
+      const stocktake = await findStocktake(req.tenantId, req.params.id);
+      const zeroUncounted = req.query.zeroUncounted === 'true';
+      const report = buildVarianceReport(stocktake, {
+        zeroUncounted,
+        currentStock: zeroUncounted
+          ? await getCurrentStock(stocktake)
+          : undefined,
+      });
+      if (req.query.onlyDifferences === 'true') {
+        report.items = report.items.filter((i) => i.difference !== 0);
+      }
+      res.json({
+        id: stocktake.id,
+        name: stocktake.name,
+        status: stocktake.status,
+        ...report,
+      });
+    } catch (err) {
+      res.status(err.statusCode || 500).json({ message: err.message });
+    }
+  }
+);
+
+// POST /api/stocktakes - Opens a session: all products, or by category/location
+router.post('/', protect, authorize('owner', 'manager'), async (req, res) => {
+  try {
+    const { name, category, location, notes } = req.body;
+    const filters = { category, location };
+    const items = await buildStocktakeItems(req.tenantId, filters);
+
+    const stocktake = await Stocktake.create({
+      tenantId: req.tenantId,
+      name,
+      filters,
+      items,
+      notes,
+      ...movementUser(req.user),
+    });
+    res.status(201).json(stocktake);
+  } catch (err) {
+    res.status(err.statusCode || 500).json({ message: err.message });
+  }
+});
+
+// POST /api/stocktakes/:id/counts - Counts of one user (several count at once).
+// Body: { counts: [{ barcode | productId, quantity }], mode: 'add' | 'set' }
+// 'add' (default) sums to what was already counted: one scan = quantity 1.
+// 'set' replaces the item count (recount).
+router.post('/:id/counts', protect, async (req, res) => {
+  try {
+    const { counts, mode = 'add' } = req.body;
+    if (!Array.isArray(counts) || counts.length === 0) {
+      throw httpError('Informe as contagens.');
+    }
+    if (!['add', 'set'].includes(mode)) {
+      throw httpError('Modo de contagem inválido.');
+    }
+
+    const stocktake = await findStocktake(req.tenantId, req.params.id);
+    assertOpen(stocktake);
+
+    const applied = [];
+    const notFound = [];
+    for (const entry of counts) {
+      const quantity =
+        entry.quantity === undefined ? 1 : Number(entry.quantity);
+      if (!Number.isFinite(quantity) || quantity < 0) {
+        throw httpError('Quantidade contada inválida.');
+      }
+
+      const item = findStocktakeItem(stocktake, entry);
+      if (!item) {
+        notFound.push(entry.barcode || entry.productId);
+        continue;
+      }
+
+      // The shelf reflects every movement until now: the difference is
+      // measured against the stock at the time of the count
+      const product = await Product.findOne({
+        _id: item.productId,
+        tenantId: req.tenantId,
+      }).select('stock');
+      const expectedQuantity = product?.stock ?? item.systemQuantity;
+
+      // Atomic per item: counts of other users are not overwritten
+      const count = { quantity, ...movementUser(req.user), date: new Date() };
+      const update =
+        mode === 'set'
+          ? {
+              $set: {
+                'items.$.countedQuantity': quantity,
+                'items.$.expectedQuantity': expectedQuantity,
+                'items.$.counts': [count],
+              },
+            }
+          : {
+              $inc: { 'items.$.countedQuantity': quantity },
+              $set: { 'items.$.expectedQuantity': expectedQuantity },
+              $push: { 'items.$.counts': count },
+            };
+      const updated = await Stocktake.findOneAndUpdate(
+        {
+          _id: stocktake._id,
+          tenantId: req.tenantId,
+          status: StocktakeStatus.OPEN,
+          'items.productId': item.productId,
+        },
+        update,
+        { new: true, projection: { 'items.$': 1 } }
+      );
+      if (!updated) {
+        throw httpError('Este inventário já foi encerrado.', 409);
+      }
+
+      applied.push({
+        productId: item.productId,
+        name: item.name,
+        countedQuantity: updated.items[0].countedQuantity,
+      });
+    }
+
+    res.json({ applied, notFound });
+  } catch (err) {
+    res.status(err.statusCode || 500).json({ message: err.message });
+  }
+});
+
+// POST /api/stocktakes/:id/approve - Posts the variances as stock movements
+// (delta over the current stock, measured at the time of each count) and
+// books the inventory loss / gain
+router.post(
+  '/:id/approve',
+  protect,
+  authorize('owner', 'manager'),
+  async (req, res) => {
+    const session = await mongoose.startSession();
+    let stocktake;
+    let report;
+
+    try {
+      await session.withTransaction(async () => {
+        stocktake = await findStocktake(req.tenantId, req.params.id, session);
+        assertOpen(stocktake);
+        report = buildVarianceReport(stocktake, {
+          zeroUncounted: !!req.body.zeroUncounted,
+          currentStock: await getCurrentStock(stocktake, session),
+        });
+
+        const now = new Date();
+        for (const item of report.items) {
+          if (item.difference === 0) continue;
+          await moveStock(
+            {
+              tenantId: req.tenantId,
+              productId: item.productId,
+              quantity: item.difference,
+              unitCost: item.cost,
+              reason: StockMovementReason.STOCKTAKE,
+              documentType: DocumentType.STOCKTAKE,
+              documentId: stocktake.id,
+              user: req.user,
+              date: now,
+            },
+            session
+          );
+        }
+
+        const label = stocktake.name || stocktake.id;
+        const entries = [
+          {
+            amount: report.totals.lossValue,
+            type: TransactionType.EXPENSE,
+            category: TransactionCategory.INVENTORY_LOSS,
+            description: `Inventário ${label} - Perdas de estoque`,
+          },
+          {
+            amount: report.totals.gainValue,
+            type: TransactionType.INCOME,
+            category: TransactionCategory.INVENTORY_GAIN,
+            description: `Inventário ${label} - Sobras de estoque`,
+          },
+        ].filter((e) => e.amount > 0);
+        for (const entry of entries) {
+          await CashTransaction.create(
+            [
+              {
+                tenantId: req.tenantId,
+                ...entry,
+                status: TransactionStatus.PAID,
+                timestamp: now,
+                dueDate: now,
+                paymentDate: now,
+                stocktakeId: stocktake.id,
+              },
+            ],
+            { session }
+          );
+        }
+
+        stocktake.status = StocktakeStatus.APPROVED;
+        stocktake.closedAt = now;
+        stocktake.closedBy = req.user.name;
+        stocktake.lossValue = report.totals.lossValue;
+        stocktake.gainValue = report.totals.gainValue;
+        await stocktake.save({ session });
+      });
+
+      res.json({ stocktake, totals: report.totals });
+    } catch (err) {
+      res.status(err.statusCode || 500).json({ message: err.message });
+    } finally {
+      session.endSession();
+    }
+  }
+);
+
+// POST /api/stocktakes/:id/cancel - Discards the counts, stock untouched
+router.post(
+  '/:id/cancel',
+  protect,
+  authorize('owner', 'manager'),
+  async (req, res) => {
+    try {
+      const stocktake = await Stocktake.findOneAndUpdate(
+        {
+          _id: req.params.id,
+          tenantId: req.tenantId,
+          status: StocktakeStatus.OPEN,
+        },
+        {
+          status: StocktakeStatus.CANCELLED,
+          closedAt: new Date(),
+          closedBy: req.user.name,
+        },
+        { new: true }
+      );
+      if (!stocktake) {
+        throw httpError('Inventário não encontrado ou já encerrado.', 404);
+      }
+      res.json(stocktake);
+    } catch (err) {
+      res.status(err.statusCode || 500).json({ message: err.message });
+    }
+  }
+);
+
+export default router;
@@ -1,8 +1,28 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import Product from '../models/Product.js';
 import Service from '../models/Service.js';
+import ProductParent from '../models/ProductParent.js';
 import EcommerceOrder from '../models/EcommerceOrder.js';
+import GiftCard from '../models/GiftCard.js';
+import Customer from '../models/Customer.js';
 import { shopMiddleware } from '../middleware/shopMiddleware.js';
+import { idempotency } from '../middleware/idempotencyMiddleware.js';
+import { nextDocumentNumber } from '../utils/documentNumbers.js';
+import { DocumentType, TransactionType, PromotionChannel } from '../types.js';
+import { httpError } from '../utils/httpError.js';
+import {
+  normalizeGiftCardCode,
+  isGiftCardExpired,
+  redeemGiftCard,
+  bookStoredValueEntry,
+} from '../utils/giftCardHelpers.js';
+import {
+  evaluatePromotions,
+  recordPromotionUsage,
+} from '../utils/promotionHelpers.js';
+import { groupVariants, buildVariantListing } from '../utils/variantHelpers.js';
+import { listingImage } from '../utils/imageHelpers.js';
 
 const router = express.Router();
 
@@ -75,13 +95,14 @@ router.get('/products', async (req, res) => {
       }
     }
 
-    // 4. Parallel Execution
+    // 4. Parallel Execution (listings carry only the thumbnail URL; the
+    // full image only for items not yet moved to the file store)
     const promises = [];
     if (fetchProducts) {
       promises.push(
         Product.find(productQuery)
           .select(
-            'name price category brand model description image ecommerceDetails'
+            'name price stock category brand model description image thumbnail ecommerceDetails parentId variantAttributes'
           )
           .lean()
       );
@@ -92,7 +113,7 @@ router.get('/products', async (req, res) => {
     if (fetchServices) {
       promises.push(
         Service.find(serviceQuery)
-          .select('name brand model price image ecommerceDetails')
+          .select('name brand model price image thumbnail ecommerceDetails')
           .lean()
       );
     } else {
@@ -101,11 +122,17 @@ router.get('/products', async (req, res) => {
 
     const [productsRaw, servicesRaw] = await Promise.all(promises);
 
-    // 5. Normalize and Combine
-    const products = productsRaw.map((p) => ({ ...p, type: 'product' }));
+    // 5. Normalize and Combine (variants collapse into one product with options)
+    const products = (await groupVariants(req.tenantId, productsRaw)).map(
+      ({ parentId, variantAttributes, ...p }) => ({
+        ...listingImage(p),
+        variants: p.variants?.map(listingImage),
+        type: 'product',
+      })
+    );
 
     const services = servicesRaw.map((s) => ({
-      ...s,
+      ...listingImage(s),
       id: s._id, // Normalize ID
       name: `${s.name} - ${s.brand} ${s.model}`, // Create display name
       category: 'Serviços', // Hardcode category for UI filtering
@@ -135,6 +162,35 @@ router.get('/products/:id', async (req, res) => {
       publishToWeb: true,
     }).lean();
 
+    // Variant (or parent id): the parent with all options, variant pre-selected
+    const parentId = item
+      ? item.parentId
+      : mongoose.isValidObjectId(req.params.id) && req.params.id;
+    const parent = parentId
+      ? await ProductParent.findOne({
+          _id: parentId,
+          tenantId: req.tenantId,
+        }).lean()
+      : null;
+
+    if (parent) {
+      const variants = await Product.find({
+        tenantId: req.tenantId,
+        parentId: parent._id.toString(),
+        publishToWeb: true,
+      })
+        .select(
+          'name price stock image thumbnail ecommerceDetails variantAttributes'
+        )
+        .lean();
+      if (variants.length > 0) {
+        return res.json({
+          ...buildVariantListing(parent, variants),
+          selectedVariantId: item?._id,
+        });
+      }
+    }
+
     if (item) {
       item.type = 'product';
       return res.json(item);
@@ -160,11 +216,37 @@ router.get('/products/:id', async (req, res) => {
   }
 });
 
+// @route   GET api/storefront/gift-card/:code
+// @desc    Saldo disponível de um vale-presente (antes do checkout)
+router.get('/gift-card/:code', async (req, res) => {
+  try {
+    const card = await GiftCard.findOne({
+      tenantId: req.tenantId,
+      code: normalizeGiftCardCode(req.params.code),
+    }).select('code balance status expiresAt');
+    if (!card) {
+      return res.status(404).json({ message: 'Vale-presente não encontrado.' });
+    }
+
+    res.json({
+      code: card.code,
+      balance: card.balance,
+      expiresAt: card.expiresAt,
+      usable:
+        card.status === 'active' &&
+        !isGiftCardExpired(card) &&
+        card.balance > 0,
+    });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
 // @route   POST api/storefront/checkout
 // @desc    Registra o pedido do E-commerce e retorna Link e ID
-router.post('/checkout', async (req, res) => {
+router.post('/checkout', idempotency, async (req, res) => {
   try {
-    const { items, customer } = req.body;
+    const { items, customer, giftCardCode, couponCode } = req.body;
     const config = req.storeConfig;
 
     if (!items || items.length === 0) {
@@ -206,27 +288,43 @@ router.post('/checkout', async (req, res) => {
           productName: productName,
           quantity: item.quantity,
           unitPrice: item.unitPrice,
-          image: dbItem.image,
+          image: dbItem.thumbnail || dbItem.image,
           type: type, // Explicitly store type for backend split logic
         });
       }
     }
 
-    // 2. Gerar ID do Pedido (SC-AAAAMMSSSS)
-    const now = new Date();
-    const year = now.getFullYear();
-    const month = (now.getMonth() + 1).toString().padStart(2, '0');
-    const prefix = `SC-${year}${month}`;
-
-    const count = await EcommerceOrder.countDocuments({
+    // Promoção avaliada no servidor (cupom informado ou automática)
+    const customerPhone = customer.phone?.replace(/\D/g, '');
+    const registered = customerPhone
+      ? await Customer.findOne({
+          tenantId: req.tenantId,
+          phone: customerPhone,
+        }).select('_id')
+      : null;
+    const promotionResult = await evaluatePromotions({
       tenantId: req.tenantId,
-      _id: new RegExp(`^${prefix}`),
+      lines: orderItems.map((i) => ({
+        id: i.productId,
+        type: i.type,
+        quantity: i.quantity,
+      })),
+      channel: PromotionChannel.STOREFRONT,
+      couponCode,
+      customerId: registered?.id,
+      customerPhone,
     });
+    const { promotion } = promotionResult;
+    const subtotal = total;
+    total = Math.round((subtotal - promotionResult.discount) * 100) / 100;
+
+    // 2. Gerar ID do Pedido (SC-AAAAMM-SSSS-xxxx) via contador atômico
+    const orderId = await nextDocumentNumber(
+      req.tenantId,
+      DocumentType.ECOMMERCE_ORDER
+    );
 
-    const sequence = (count + 1).toString().padStart(4, '0');
-    const orderId = `${prefix}${sequence}`;
-
-    // 3. Salvar Pedido
+    // 3. Salvar Pedido (com uso da promoção e resgate do vale-presente)
     const newOrder = new EcommerceOrder({
       tenantId: req.tenantId,
       _id: orderId,
@@ -236,11 +334,80 @@ router.post('/checkout', async (req, res) => {
         address: customer.address,
       },
       items: orderItems,
+      subtotal,
       total: total,
+      promotion: promotion || undefined,
       status: 'PENDING',
     });
 
-    await newOrder.save();
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        if (promotion) {
+          await recordPromotionUsage(
+            {
+              tenantId: req.tenantId,
+              promotion,
+              customerId: registered?.id,
+              customerPhone,
+              documentType: DocumentType.ECOMMERCE_ORDER,
+              documentId: orderId,
+            },
+            session
+          );
+        }
+
+        if (giftCardCode) {
+          const card = await GiftCard.findOne({
+            tenantId: req.tenantId,
+            code: normalizeGiftCardCode(giftCardCode),
+          })
+            .select('balance')
+            .session(session);
+          if (!card || card.balance <= 0) {
+            throw httpError('Vale-presente inválido ou sem saldo.', 409);
+          }
+
+          // Card covers up to the order total; the rest is paid as usual
+          const amount = Math.round(Math.min(card.balance, total) * 100) / 100;
+          const redeemed = await redeemGiftCard(
+            {
+              tenantId: req.tenantId,
+              code: giftCardCode,
+              amount,
+              documentType: DocumentType.ECOMMERCE_ORDER,
+              documentId: orderId,
+              userName: customer.name,
+            },
+            session
+          );
+          await bookStoredValueEntry(
+            {
+              tenantId: req.tenantId,
+              giftCard: redeemed,
+              type: TransactionType.EXPENSE,
+              amount,
+              description: `Resgate ${redeemed.code} - Pedido #${orderId}`,
+              links: {
+                ecommerceOrderId: orderId,
+                customerId: redeemed.customerId,
+              },
+              now: new Date(),
+            },
+            session
+          );
+
+          newOrder.giftCard = { code: redeemed.code, amount };
+        }
+
+        await newOrder.save({ session });
+      });
+    } finally {
+      session.endSession();
+    }
+
+    const amountDue =
+      Math.round((total - (newOrder.giftCard?.amount || 0)) * 100) / 100;
 
     // 4. Gerar Link WhatsApp (Formatado)
     if (config.companyInfo.phone) {
@@ -257,7 +424,19 @@ router.post('/checkout', async (req, res) => {
         } (R$ ${item.unitPrice.toFixed(2)})\n`;
       });
 
-      message += `\n*Total a Pagar: R$ ${total.toFixed(2)}*`;
+      if (promotion) {
+        message += `\n*Subtotal: R$ ${subtotal.toFixed(2)}*`;
+        message += `\n*${promotion.name}${
+          promotion.code ? ` (${promotion.code})` : ''
+        }: - R$ ${promotion.discount.toFixed(2)}*`;
+      }
+      if (newOrder.giftCard?.amount) {
+        message += `\n*Total: R$ ${total.toFixed(2)}*`;
+        message += `\n*Vale-presente ${
+          newOrder.giftCard.code
+        }: - R$ ${newOrder.giftCard.amount.toFixed(2)}*`;
+      }
+      message += `\n*Total a Pagar: R$ ${amountDue.toFixed(2)}*`;
       message += `\n\n_Aguardo instruções para pagamento e envio/agendamento. Obrigado!_`;
 
       const phoneClean = config.companyInfo.phone.replace(/\D/g, '');
@@ -269,14 +448,22 @@ router.post('/checkout', async (req, res) => {
         success: true,
         orderId,
         whatsappLink,
+        promotion,
+        amountDue,
         message: 'Pedido realizado com sucesso!',
       });
     }
 
-    res.json({ success: true, orderId, message: 'Pedido registrado.' });
+    res.json({
+      success: true,
+      orderId,
+      promotion,
+      amountDue,
+      message: 'Pedido registrado.',
+    });
   } catch (err) {
     console.error('Checkout Error:', err);
-    res.status(500).json({ message: err.message });
+    res.status(err.statusCode || 500).json({ message: err.message });
   }
 });
 
@@ -5,6 +5,7 @@ import CashTransaction from '../models/CashTransaction.js';
 import CreditCardTransaction from '../models/CreditCardTransaction.js';
 import StoreConfig from '../models/StoreConfig.js'; // NEW
 import { protect, authorize } from '../middleware/authMiddleware.js';
+import { idempotency } from '../middleware/idempotencyMiddleware.js';
 import {
   TransactionType,
   TransactionCategory,
@@ -212,17 +213,23 @@ const createManualTransaction = async (req, data) => {
 };
 
 // POST
-router.post('/', protect, authorize('owner', 'manager'), async (req, res) => {
-  const { description, amount, category } = req.body;
-  if (!description || !amount || !category)
-    return res.status(400).json({ message: 'Dados incompletos.' });
-  try {
-    const result = await createManualTransaction(req, req.body);
-    res.status(201).json(result);
-  } catch (err) {
-    res.status(400).json({ message: err.message });
+router.post(
+  '/',
+  protect,
+  authorize('owner', 'manager'),
+  idempotency,
+  async (req, res) => {
+    const { description, amount, category } = req.body;
+    if (!description || !amount || !category)
+      return res.status(400).json({ message: 'Dados incompletos.' });
+    try {
+      const result = await createManualTransaction(req, req.body);
+      res.status(201).json(result);
+    } catch (err) {
+      res.status(400).json({ message: err.message });
+    }
   }
-});
+);
 
 // PAY INVOICE (POST)
 router.post(
@@ -0,0 +1,154 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Warranty from '../models/Warranty.js';
+import ServiceOrder from '../models/ServiceOrder.js';
+import { protect, authorize } from '../middleware/authMiddleware.js';
+import { WarrantyClaimStatus } from '../types.js';
+import { httpError } from '../utils/httpError.js';
+import { normalizeSerial } from '../utils/serialHelpers.js';
+import {
+  describeWarranty,
+  isWarrantyCovered,
+  hasOpenClaim,
+} from '../utils/warrantyHelpers.js';
+
+const router = express.Router();
+
+// Malformed ids are a 404 like any unknown warranty
+const findWarranty = async (tenantId, id) => {
+  const warranty =
+    mongoose.isValidObjectId(id) &&
+    (await Warranty.findOne({ _id: id, tenantId }));
+  if (!warranty) {
+    throw httpError('Garantia não encontrada.', 404);
+  }
+  return warranty;
+};
+
+// Repair done under warranty: the OS that handles the claim
+const assertServiceOrderExists = async (tenantId, serviceOrderId) => {
+  if (!serviceOrderId) return;
+  if (!(await ServiceOrder.exists({ _id: serviceOrderId, tenantId }))) {
+    throw httpError('Ordem de serviço não encontrada.', 404);
+  }
+};
+
+// GET /api/warranties - Lookup at the counter.
+// Filters: phone, serial (IMEI), documentId (ticket / OS), customerId, covered
+router.get('/', protect, async (req, res) => {
+  try {
+    const { phone, serial, documentId, customerId, covered } = req.query;
+    const query = { tenantId: req.tenantId };
+    if (phone) query.customerPhone = phone.toString().replace(/\D/g, '');
+    if (serial) query.serial = normalizeSerial(serial);
+    if (documentId) query.documentId = documentId;
+    if (customerId) query.customerId = customerId;
+
+    const now = new Date();
+    if (covered === 'true') {
+      query.startsAt = { $lte: now };
+      query.expiresAt = { $gte: now };
+      query.voidedAt = { $exists: false };
+    } else if (covered === 'false') {
+      query.$or = [
+        { expiresAt: { $lt: now } },
+        { voidedAt: { $exists: true } },
+      ];
+    }
+
+    const warranties = await Warranty.find(query)
+      .sort({ startsAt: -1 })
+      .limit(200);
+    res.json(warranties.map((w) => describeWarranty(w, now)));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// GET /api/warranties/:id
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const warranty = await findWarranty(req.tenantId, req.params.id);
+    res.json(describeWarranty(warranty));
+  } catch (err) {
+    res.status(err.statusCode || 500).json({ message: err.message });
+  }
+});
+
+// POST /api/warranties/:id/claims - Acionamento de garantia (item still covered)
+router.post('/:id/claims', protect, async (req, res) => {
+  try {
+    const description = req.body.description?.toString().trim();
+    if (!description) {
+      throw httpError('Descreva o defeito relatado.');
+    }
+
+    const warranty = await findWarranty(req.tenantId, req.params.id);
+    if (warranty.voidedAt) {
+      throw httpError('Garantia cancelada: o item foi devolvido.', 409);
+    }
+    if (!isWarrantyCovered(warranty)) {
+      throw httpError(
+        `Garantia expirada em ${warranty.expiresAt.toLocaleDateString('pt-BR', {
+          timeZone: 'America/Sao_Paulo',
+        })}.`,
+        409
+      );
+    }
+    if (hasOpenClaim(warranty)) {
+      throw httpError(
+        'Já existe um acionamento em aberto para este item.',
+        409
+      );
+    }
+
+    const { serviceOrderId } = req.body;
+    await assertServiceOrderExists(req.tenantId, serviceOrderId);
+
+    warranty.claims.push({
+      description,
+      serviceOrderId,
+      userName: req.user.name,
+    });
+    await warranty.save();
+    res.status(201).json(describeWarranty(warranty));
+  } catch (err) {
+    res.status(err.statusCode || 500).json({ message: err.message });
+  }
+});
+
+// PATCH /api/warranties/:id/claims/:claimId - Close the claim
+router.patch(
+  '/:id/claims/:claimId',
+  protect,
+  authorize('owner', 'manager', 'technician'),
+  async (req, res) => {
+    try {
+      const { status, resolution, serviceOrderId } = req.body;
+      if (!Object.values(WarrantyClaimStatus).includes(status)) {
+        throw httpError('Status do acionamento inválido.');
+      }
+
+      const warranty = await findWarranty(req.tenantId, req.params.id);
+      const claim = mongoose.isValidObjectId(req.params.claimId)
+        ? warranty.claims.id(req.params.claimId)
+        : null;
+      if (!claim) {
+        throw httpError('Acionamento de garantia não encontrado.', 404);
+      }
+      await assertServiceOrderExists(req.tenantId, serviceOrderId);
+
+      claim.status = status;
+      if (resolution !== undefined) claim.resolution = resolution;
+      if (serviceOrderId !== undefined) claim.serviceOrderId = serviceOrderId;
+      claim.closedAt =
+        status === WarrantyClaimStatus.OPEN ? undefined : new Date();
+      await warranty.save();
+      res.json(describeWarranty(warranty));
+    } catch (err) {
+      res.status(err.statusCode || 500).json({ message: err.message });
+    }
+  }
+);
+
+export default router;
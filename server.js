@@ -6,6 +6,7 @@ import helmet from 'helmet';
 import rateLimit from 'express-rate-limit';
 import mongoSanitize from 'express-mongo-sanitize';
 import cookieParser from 'cookie-parser';
+import { getImageStorage } from './utils/imageStorage.js';
 
 import productsRouter from './routes/products.js';
 import servicesRouter from './routes/services.js';
@@ -13,6 +14,21 @@ import serviceOrdersRouter from './routes/serviceOrders.js';
 import purchasesRouter from './routes/purchases.js';
 import transactionsRouter from './routes/transactions.js';
 import salesRouter from './routes/sales.js';
+import saleReturnsRouter from './routes/saleReturns.js';
+import serialsRouter from './routes/serials.js';
+import cashRegisterRouter from './routes/cashRegister.js';
+import quotesRouter from './routes/quotes.js';
+import crediarioRouter from './routes/crediario.js';
+import giftCardsRouter from './routes/giftCards.js';
+import promotionsRouter from './routes/promotions.js';
+import pricingRouter from './routes/pricing.js';
+import warrantiesRouter from './routes/warranties.js';
+import stockMovementsRouter from './routes/stockMovements.js';
+import stocktakesRouter from './routes/stocktakes.js';
+import productParentsRouter from './routes/productParents.js';
+import imagesRouter from './routes/images.js';
+import replenishmentRouter from './routes/replenishment.js';
+import commissionsRouter from './routes/commissions.js';
 import insightsRouter from './routes/insights.js';
 import authRouter from './routes/auth.js';
 import usersRouter from './routes/users.js';
@@ -51,9 +67,12 @@ app.use(
       }
     },
     credentials: true,
+    exposedHeaders: ['Idempotent-Replayed'],
   })
 );
 
+// Older clients still send Base64 images inline: keep the limit until that
+// path is removed (new uploads go through /api/images)
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ limit: '50mb', extended: true }));
 app.use(mongoSanitize());
@@ -89,6 +108,20 @@ app.get('/', (req, res) => {
   res.send('Smart Store API Running');
 });
 
+// Imagens do armazenamento local (loaded by the storefront on other domains)
+const imageStorage = getImageStorage();
+if (imageStorage?.name === 'local') {
+  app.use(
+    '/uploads',
+    express.static(imageStorage.root, {
+      maxAge: '30d',
+      immutable: true,
+      setHeaders: (res) =>
+        res.set('Cross-Origin-Resource-Policy', 'cross-origin'),
+    })
+  );
+}
+
 // Rotas Privadas (Dashboard)
 app.use('/api/auth', authRouter);
 app.use('/api/users', usersRouter);
@@ -98,6 +131,21 @@ app.use('/api/service-orders', serviceOrdersRouter);
 app.use('/api/purchases', purchasesRouter);
 app.use('/api/transactions', transactionsRouter);
 app.use('/api/sales', salesRouter);
+app.use('/api/sale-returns', saleReturnsRouter);
+app.use('/api/serials', serialsRouter);
+app.use('/api/cash-register', cashRegisterRouter);
+app.use('/api/quotes', quotesRouter);
+app.use('/api/crediario', crediarioRouter);
+app.use('/api/gift-cards', giftCardsRouter);
+app.use('/api/promotions', promotionsRouter);
+app.use('/api/pricing', pricingRouter);
+app.use('/api/warranties', warrantiesRouter);
+app.use('/api/stock-movements', stockMovementsRouter);
+app.use('/api/stocktakes', stocktakesRouter);
+app.use('/api/product-parents', productParentsRouter);
+app.use('/api/images', imagesRouter);
+app.use('/api/replenishment', replenishmentRouter);
+app.use('/api/commissions', commissionsRouter);
 app.use('/api/insights', insightsRouter);
 app.use('/api/customers', customersRouter);
 app.use('/api/suppliers', suppliersRouter);
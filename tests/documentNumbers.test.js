@@ -0,0 +1,123 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import Counter from '../models/Counter.js';
+import StoreConfig from '../models/StoreConfig.js';
+import TicketSale from '../models/TicketSale.js';
+import { DocumentType, SequenceReset } from '../types.js';
+import { nextDocumentNumber } from '../utils/documentNumbers.js';
+import { fakeQuery, duplicateKeyError } from './helpers/fakeQuery.js';
+
+const TENANT = 'tenant-a1b2';
+const DECEMBER = new Date(2025, 11, 10);
+
+describe('nextDocumentNumber', () => {
+  let counters; // `${tenantId}|${key}` -> seq
+  let config;
+  let lastLegacyId;
+
+  beforeEach(() => {
+    counters = new Map();
+    config = null;
+    lastLegacyId = null;
+
+    mock.method(StoreConfig, 'findOne', () => fakeQuery(() => config));
+    mock.method(TicketSale, 'findOne', () =>
+      fakeQuery(() => (lastLegacyId ? { _id: lastLegacyId } : null))
+    );
+    mock.method(Counter, 'findOneAndUpdate', ({ tenantId, key }, update) =>
+      fakeQuery(() => {
+        const id = `${tenantId}|${key}`;
+        if (!counters.has(id)) return null;
+        counters.set(id, counters.get(id) + update.$inc.seq);
+        return { seq: counters.get(id) };
+      })
+    );
+    mock.method(Counter, 'create', async ({ tenantId, key, seq }) => {
+      const id = `${tenantId}|${key}`;
+      if (counters.has(id)) throw duplicateKeyError();
+      counters.set(id, seq);
+    });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('numbers documents in sequence with period and tenant suffix', async () => {
+    const first = await nextDocumentNumber(TENANT, DocumentType.SALE, DECEMBER);
+    const second = await nextDocumentNumber(
+      TENANT,
+      DocumentType.SALE,
+      DECEMBER
+    );
+
+    assert.equal(first, 'TC-202512-0001-a1b2');
+    assert.equal(second, 'TC-202512-0002-a1b2');
+  });
+
+  it('never hands out the same number to parallel requests', async () => {
+    const numbers = await Promise.all(
+      Array.from({ length: 10 }, () =>
+        nextDocumentNumber(TENANT, DocumentType.SALE, DECEMBER)
+      )
+    );
+
+    assert.equal(new Set(numbers).size, 10);
+    assert.equal(counters.get(`${TENANT}|sale:202512`), 10);
+  });
+
+  it('restarts the monthly series in a new month', async () => {
+    await nextDocumentNumber(TENANT, DocumentType.SALE, DECEMBER);
+    const january = await nextDocumentNumber(
+      TENANT,
+      DocumentType.SALE,
+      new Date(2026, 0, 2)
+    );
+
+    assert.equal(january, 'TC-202601-0001-a1b2');
+  });
+
+  it('continues after the highest legacy id of the period', async () => {
+    lastLegacyId = 'TC-202512-0041-a1b2';
+
+    const number = await nextDocumentNumber(
+      TENANT,
+      DocumentType.SALE,
+      DECEMBER
+    );
+
+    assert.equal(number, 'TC-202512-0042-a1b2');
+  });
+
+  it('applies the prefix and reset configured by the store', async () => {
+    config = {
+      documentNumbering: {
+        [DocumentType.SALE]: { prefix: 'nf-e', reset: SequenceReset.NEVER },
+      },
+    };
+
+    const number = await nextDocumentNumber(
+      TENANT,
+      DocumentType.SALE,
+      DECEMBER
+    );
+
+    assert.equal(number, 'NFE-0001-a1b2');
+  });
+
+  it('keeps separate series per tenant', async () => {
+    await nextDocumentNumber(TENANT, DocumentType.SALE, DECEMBER);
+    const other = await nextDocumentNumber(
+      'tenant-c3d4',
+      DocumentType.SALE,
+      DECEMBER
+    );
+
+    assert.equal(other, 'TC-202512-0001-c3d4');
+  });
+
+  it('rejects unknown document types', async () => {
+    await assert.rejects(
+      nextDocumentNumber(TENANT, 'invoice', DECEMBER),
+      /Tipo de documento desconhecido/
+    );
+  });
+});
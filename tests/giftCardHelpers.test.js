@@ -0,0 +1,124 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import GiftCard from '../models/GiftCard.js';
+import { redeemGiftCard } from '../utils/giftCardHelpers.js';
+import { fakeQuery } from './helpers/fakeQuery.js';
+
+const TENANT = 'tenant-a1b2';
+const CODE = 'VP-7K3M-Q9XA-2BHD';
+
+describe('redeemGiftCard (compare-and-set on the balance)', () => {
+  let card;
+  let writes;
+
+  beforeEach(() => {
+    card = {
+      _id: 'card-1',
+      tenantId: TENANT,
+      code: CODE,
+      status: 'active',
+      balance: 100,
+      movements: [],
+    };
+    writes = 0;
+
+    // Reads return a snapshot, like a document loaded from the server
+    mock.method(GiftCard, 'findOne', (filter) =>
+      fakeQuery(() =>
+        filter.tenantId === card.tenantId &&
+        (filter.code === card.code || filter._id === card._id)
+          ? { ...card }
+          : null
+      )
+    );
+    mock.method(GiftCard, 'findOneAndUpdate', (filter, update) =>
+      fakeQuery(() => {
+        writes++;
+        if (filter.balance !== card.balance) return null;
+        card.balance = update.$set.balance;
+        card.movements = [...card.movements, update.$push.movements];
+        return { ...card };
+      })
+    );
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const redeem = (amount, code = CODE) =>
+    redeemGiftCard({
+      tenantId: TENANT,
+      code,
+      amount,
+      documentType: 'sale',
+      documentId: 'TC-202512-0001-a1b2',
+    });
+
+  it('debits the card and records the balance after', async () => {
+    const updated = await redeem(30);
+
+    assert.equal(updated.balance, 70);
+    assert.equal(card.movements[0].balanceAfter, 70);
+  });
+
+  it('accepts the code typed with spaces and lower case', async () => {
+    const updated = await redeem(10, ' vp-7k3m-q9xa-2bhd ');
+
+    assert.equal(updated.balance, 90);
+  });
+
+  it('lets only one of two redemptions take the same balance', async () => {
+    const results = await Promise.allSettled([redeem(60), redeem(60)]);
+
+    const rejected = results.filter((r) => r.status === 'rejected');
+    assert.equal(rejected.length, 1);
+    assert.equal(rejected[0].reason.statusCode, 409);
+    assert.match(rejected[0].reason.message, /Saldo insuficiente/);
+    assert.equal(card.balance, 40);
+    assert.equal(card.movements.length, 1);
+  });
+
+  it('keeps the history exact when redemptions interleave', async () => {
+    await Promise.all([redeem(10), redeem(20), redeem(30)]);
+
+    assert.equal(card.balance, 40);
+    assert.equal(card.movements.length, 3);
+    // Every row continues from the one before it
+    card.movements.reduce((previous, m) => {
+      assert.equal(m.balanceAfter, previous - m.amount);
+      return m.balanceAfter;
+    }, 100);
+  });
+
+  it('gives up with 409 while the balance keeps changing', async () => {
+    GiftCard.findOneAndUpdate.mock.mockImplementation(() =>
+      fakeQuery(() => {
+        writes++;
+        return null; // Another terminal always wins
+      })
+    );
+
+    await assert.rejects(redeem(10), {
+      statusCode: 409,
+      message: /uso simultâneo/,
+    });
+    assert.equal(writes, 5);
+    assert.equal(card.balance, 100);
+  });
+
+  it('refuses blocked and expired cards', async () => {
+    card.status = 'blocked';
+    await assert.rejects(redeem(10), { statusCode: 409, message: /bloqueado/ });
+
+    card.status = 'active';
+    card.expiresAt = new Date(Date.now() - 1000);
+    await assert.rejects(redeem(10), { statusCode: 409, message: /expirado/ });
+    assert.equal(card.balance, 100);
+  });
+
+  it('answers 404 for an unknown code or another tenant', async () => {
+    await assert.rejects(redeem(10, 'VP-0000-0000-0000'), { statusCode: 404 });
+
+    card.tenantId = 'tenant-c3d4';
+    await assert.rejects(redeem(10), { statusCode: 404 });
+  });
+});
@@ -0,0 +1,19 @@
+// Stand-in for a Mongoose query: chainable and awaitable. `resolve` runs
+// when the query is awaited, one tick later, so concurrent callers interleave
+// the way they do against a real server.
+export const fakeQuery = (resolve) => {
+  const query = {
+    select: () => query,
+    sort: () => query,
+    lean: () => query,
+    session: () => query,
+    then: (onFulfilled, onRejected) =>
+      Promise.resolve().then(resolve).then(onFulfilled, onRejected),
+    catch: (onRejected) => query.then(undefined, onRejected),
+  };
+  return query;
+};
+
+// Error thrown by Mongo on a unique index violation
+export const duplicateKeyError = () =>
+  Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
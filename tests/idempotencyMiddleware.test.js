@@ -0,0 +1,151 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import IdempotencyKey from '../models/IdempotencyKey.js';
+import { idempotency } from '../middleware/idempotencyMiddleware.js';
+import { fakeQuery, duplicateKeyError } from './helpers/fakeQuery.js';
+
+const TENANT = 'tenant-a1b2';
+
+const buildRequest = (key, body) => ({
+  method: 'POST',
+  baseUrl: '/api/sales',
+  path: '/',
+  body,
+  tenantId: TENANT,
+  get: (header) => (header === 'Idempotency-Key' ? key : undefined),
+});
+
+// Minimal response: `sent` resolves once a JSON body goes out
+const buildResponse = () => {
+  let markSent;
+  const res = {
+    statusCode: 200,
+    headers: {},
+    sent: new Promise((resolve) => (markSent = resolve)),
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    set(name, value) {
+      res.headers[name] = value;
+      return res;
+    },
+    json(body) {
+      res.body = body;
+      markSent();
+      return res;
+    },
+    on() {},
+  };
+  return res;
+};
+
+describe('idempotency middleware', () => {
+  let records; // `${tenantId}|${key}` -> stored record
+  let handlerCalls;
+
+  beforeEach(() => {
+    records = new Map();
+    handlerCalls = 0;
+    const id = ({ tenantId, key }) => `${tenantId}|${key}`;
+
+    mock.method(IdempotencyKey, 'create', async (doc) => {
+      if (records.has(id(doc))) throw duplicateKeyError();
+      records.set(id(doc), { status: 'processing', ...doc });
+    });
+    mock.method(IdempotencyKey, 'findOne', (filter) =>
+      fakeQuery(() => records.get(id(filter)) || null)
+    );
+    mock.method(IdempotencyKey, 'updateOne', (filter, update) =>
+      fakeQuery(() => Object.assign(records.get(id(filter)), update.$set))
+    );
+    mock.method(IdempotencyKey, 'deleteOne', (filter) =>
+      fakeQuery(() => records.delete(id(filter)))
+    );
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  // Runs the middleware and, when it lets the request through, a handler
+  // answering `status` with `reply`
+  const send = async (key, body, { status = 201, reply } = {}) => {
+    const req = buildRequest(key, body);
+    const res = buildResponse();
+    await idempotency(req, res, () => {
+      handlerCalls++;
+      res.status(status).json(reply ?? { id: `TC-${handlerCalls}` });
+    });
+    await res.sent;
+    return res;
+  };
+
+  it('passes requests without a key straight through', async () => {
+    const res = await send(undefined, { total: 10 });
+
+    assert.equal(res.statusCode, 201);
+    assert.equal(handlerCalls, 1);
+    assert.equal(records.size, 0);
+  });
+
+  it('replays the stored response for the same key and body', async () => {
+    const first = await send('k-1', { total: 10 });
+    const replay = await send('k-1', { total: 10 });
+
+    assert.equal(handlerCalls, 1);
+    assert.equal(replay.statusCode, first.statusCode);
+    assert.deepEqual(replay.body, first.body);
+    assert.equal(replay.headers['Idempotent-Replayed'], 'true');
+  });
+
+  it('refuses the same key with another body', async () => {
+    await send('k-1', { total: 10 });
+    const res = await send('k-1', { total: 99 });
+
+    assert.equal(res.statusCode, 422);
+    assert.equal(handlerCalls, 1);
+  });
+
+  it('answers 409 while the first request is still running', async () => {
+    // First request claimed the key and has not answered yet
+    await idempotency(
+      buildRequest('k-1', { total: 10 }),
+      buildResponse(),
+      () => {}
+    );
+    const res = await send('k-1', { total: 10 });
+
+    assert.equal(res.statusCode, 409);
+    assert.equal(handlerCalls, 0);
+  });
+
+  it('releases the key when the request fails', async () => {
+    const failed = await send(
+      'k-1',
+      { total: 10 },
+      {
+        status: 409,
+        reply: { message: 'Estoque insuficiente.' },
+      }
+    );
+    const retry = await send('k-1', { total: 10 });
+
+    assert.equal(failed.statusCode, 409);
+    assert.equal(retry.statusCode, 201);
+    assert.equal(handlerCalls, 2);
+    assert.equal(records.get(`${TENANT}|k-1`).status, 'completed');
+  });
+
+  it('keeps keys of different tenants apart', async () => {
+    await send('k-1', { total: 10 });
+    const req = { ...buildRequest('k-1', { total: 10 }), tenantId: 'other' };
+    const res = buildResponse();
+    await idempotency(req, res, () => {
+      handlerCalls++;
+      res.status(201).json({ id: 'TC-other' });
+    });
+    await res.sent;
+
+    assert.equal(handlerCalls, 2);
+    assert.deepEqual(res.body, { id: 'TC-other' });
+  });
+});
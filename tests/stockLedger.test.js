@@ -0,0 +1,95 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import Product from '../models/Product.js';
+import StockMovement from '../models/StockMovement.js';
+import { StockMovementReason } from '../types.js';
+import { moveStock } from '../utils/stockLedger.js';
+import { fakeQuery } from './helpers/fakeQuery.js';
+
+const TENANT = 'tenant-a1b2';
+
+// Same filter createSale uses when negative stock is not allowed
+const saleFilter = (quantity) => ({ stock: { $gte: quantity } });
+
+describe('moveStock (conditional decrement)', () => {
+  let products;
+  let movements;
+
+  beforeEach(() => {
+    products = new Map([
+      ['P1', { id: 'P1', name: 'Capa', cost: 10, stock: 1, tenantId: TENANT }],
+    ]);
+    movements = [];
+
+    mock.method(Product, 'findOneAndUpdate', (filter, update) =>
+      fakeQuery(() => {
+        const product = products.get(filter._id);
+        if (!product || product.tenantId !== filter.tenantId) return null;
+        if (filter.stock && !(product.stock >= filter.stock.$gte)) return null;
+        product.stock += update.$inc.stock;
+        Object.assign(product, update.$set);
+        return { ...product };
+      })
+    );
+    mock.method(StockMovement, 'create', async ([row]) => {
+      movements.push(row);
+      return [row];
+    });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const sell = (quantity, filter = saleFilter(quantity)) =>
+    moveStock({
+      tenantId: TENANT,
+      productId: 'P1',
+      quantity: -quantity,
+      filter,
+      reason: StockMovementReason.SALE,
+    });
+
+  it('decrements the stock and writes the Kardex row', async () => {
+    const product = await sell(1);
+
+    assert.equal(product.stock, 0);
+    assert.equal(movements.length, 1);
+    assert.equal(movements[0].quantity, -1);
+    assert.equal(movements[0].balanceAfter, 0);
+  });
+
+  it('sells the last unit only once when two cashiers race for it', async () => {
+    const [first, second] = await Promise.all([sell(1), sell(1)]);
+
+    assert.equal([first, second].filter(Boolean).length, 1);
+    assert.equal(products.get('P1').stock, 0);
+    assert.equal(movements.length, 1);
+  });
+
+  it('leaves stock and Kardex untouched when there is not enough', async () => {
+    const product = await sell(2);
+
+    assert.equal(product, null);
+    assert.equal(products.get('P1').stock, 1);
+    assert.equal(movements.length, 0);
+  });
+
+  it('goes negative without the filter (allowNegativeStock)', async () => {
+    const product = await sell(3, {});
+
+    assert.equal(product.stock, -2);
+    assert.equal(movements[0].balanceAfter, -2);
+  });
+
+  it('never moves the stock of another tenant', async () => {
+    const product = await moveStock({
+      tenantId: 'tenant-c3d4',
+      productId: 'P1',
+      quantity: -1,
+      filter: saleFilter(1),
+      reason: StockMovementReason.SALE,
+    });
+
+    assert.equal(product, null);
+    assert.equal(products.get('P1').stock, 1);
+  });
+});
@@ -40,6 +40,12 @@ export const TransactionCategory = {
   SERVICE_REVENUE: 'Faturamento de Serviço',
   SALES_REVENUE: 'Faturamento de Venda',
   SERVICE_COST: 'Custo de Serviço',
+  SALES_RETURN: 'Devolução de Venda',
+  ACQUIRER_FEE: 'Taxas de Cartão/Pix',
+  LATE_CHARGES: 'Juros e Multas',
+  STORED_VALUE: 'Vale-Presente/Crédito em Loja', // Passivo: emissão (+) e resgate (-)
+  INVENTORY_LOSS: 'Perda de Estoque', // Inventário: contado < sistema
+  INVENTORY_GAIN: 'Sobra de Estoque', // Inventário: contado > sistema
   OTHER: 'Outros',
 };
 
@@ -57,6 +63,20 @@ export const PaymentMethod = {
   CASH: 'Dinheiro',
   DEBIT_CARD: 'Cartão de Débito',
   BANK_SLIP: 'Boleto Bancário',
+  EXCHANGE_CREDIT: 'Crédito de Troca',
+  STORE_INSTALLMENT: 'Crediário',
+  STORED_VALUE: 'Vale-Presente/Crédito',
+};
+
+export const ReturnSettlement = {
+  REFUND: 'refund',
+  STORE_CREDIT: 'store_credit',
+  EXCHANGE: 'exchange',
+};
+
+export const ReturnDestination = {
+  RESTOCK: 'restock',
+  DAMAGED: 'damaged',
 };
 
 export const Bank = {
@@ -65,3 +85,106 @@ export const Bank = {
   CAIXA: 'Caixa',
   OTHER: 'Outros',
 };
+
+export const DocumentType = {
+  SALE: 'sale',
+  SALE_RETURN: 'sale_return',
+  SERVICE_ORDER: 'service_order',
+  ECOMMERCE_ORDER: 'ecommerce_order',
+  PURCHASE: 'purchase',
+  QUOTE: 'quote',
+  STOCKTAKE: 'stocktake',
+};
+
+export const SequenceReset = {
+  MONTHLY: 'monthly',
+  YEARLY: 'yearly',
+  NEVER: 'never',
+};
+
+export const SerialStatus = {
+  IN_STOCK: 'in_stock',
+  SOLD: 'sold',
+  RETURNED: 'returned',
+  IN_REPAIR: 'in_repair',
+};
+
+export const CashRegisterStatus = {
+  OPEN: 'open',
+  CLOSED: 'closed',
+};
+
+export const CashMovementType = {
+  DROP: 'drop', // Sangria
+  ADDITION: 'addition', // Suprimento
+};
+
+export const QuoteStatus = {
+  OPEN: 'open',
+  ACCEPTED: 'accepted',
+  EXPIRED: 'expired',
+  CONVERTED: 'converted',
+};
+
+export const CommissionBase = {
+  REVENUE: 'revenue', // % sobre o valor vendido
+  MARGIN: 'margin', // % sobre a margem (venda - custo)
+};
+
+export const GiftCardType = {
+  GIFT_CARD: 'gift_card', // Vale-presente vendido
+  STORE_CREDIT: 'store_credit', // Crédito em loja (devoluções)
+};
+
+export const GiftCardMovementType = {
+  ISSUE: 'issue',
+  REDEEM: 'redeem',
+  REFUND: 'refund', // Resgate desfeito (venda/pedido excluído)
+};
+
+export const PromotionType = {
+  PERCENTAGE: 'percentage', // % sobre os itens elegíveis
+  FIXED: 'fixed', // Valor fixo (limitado aos itens elegíveis)
+  BUY_X_GET_Y: 'buy_x_get_y', // Leve X, ganhe Y (as unidades mais baratas)
+};
+
+export const PromotionChannel = {
+  POS: 'pos',
+  STOREFRONT: 'storefront',
+};
+
+export const PriceRuleType = {
+  PERCENTAGE: 'percentage', // Reajuste % sobre o preço atual
+  MARKUP: 'markup', // Markup % sobre o custo
+};
+
+export const PriceChangeStatus = {
+  APPLIED: 'applied',
+  ROLLED_BACK: 'rolled_back',
+};
+
+export const WarrantyClaimStatus = {
+  OPEN: 'open', // Aparelho/item recebido para análise
+  RESOLVED: 'resolved', // Reparado ou trocado
+  REJECTED: 'rejected', // Fora da cobertura (mau uso, etc.)
+};
+
+// Kardex: why the stock of a product moved
+export const StockMovementReason = {
+  INITIAL: 'initial', // Cadastro do produto com estoque
+  SALE: 'sale',
+  SALE_CANCELLED: 'sale_cancelled', // Venda excluída
+  RETURN: 'return', // Devolução/troca com retorno ao estoque
+  PURCHASE: 'purchase',
+  PURCHASE_REVERSAL: 'purchase_reversal', // Compra editada/excluída
+  ECOMMERCE_SHIPMENT: 'ecommerce_shipment',
+  ECOMMERCE_REVERSAL: 'ecommerce_reversal',
+  MANUAL_ADJUSTMENT: 'manual_adjustment', // PUT /api/products/:id
+  STOCKTAKE: 'stocktake', // Ajuste aprovado de inventário
+};
+
+export const StocktakeStatus = {
+  OPEN: 'open', // Contagem em andamento
+  APPROVED: 'approved', // Ajustes lançados no estoque
+  CANCELLED: 'cancelled',
+};
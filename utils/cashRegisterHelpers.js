@@ -0,0 +1,127 @@
+import CashRegisterSession from '../models/CashRegisterSession.js';
+import TicketSale from '../models/TicketSale.js';
+import CashTransaction from '../models/CashTransaction.js';
+import {
+  CashRegisterStatus,
+  CashMovementType,
+  PaymentMethod,
+  TransactionType,
+  TransactionCategory,
+} from '../types.js';
+import { httpError } from './httpError.js';
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+export const getOpenRegister = (tenantId, session) =>
+  CashRegisterSession.findOne({
+    tenantId,
+    status: CashRegisterStatus.OPEN,
+  }).session(session || null);
+
+// POS: register the sale belongs to. When the store requires an open register
+// (StoreConfig.requireOpenCashRegister) a closed drawer blocks the sale.
+export const resolveSaleRegister = async (tenantId, required, session) => {
+  const register = await getOpenRegister(tenantId, session);
+  if (!register && required) {
+    throw httpError('Abra o caixa antes de registrar vendas.', 409);
+  }
+  return register;
+};
+
+// Offline sync: register that was open when the sale really happened (none
+// when the POS sold with the drawer closed)
+export const getRegisterAt = (tenantId, date, session) =>
+  CashRegisterSession.findOne({
+    tenantId,
+    openedAt: { $lte: date },
+    $or: [{ status: CashRegisterStatus.OPEN }, { closedAt: { $gt: date } }],
+  })
+    .sort({ openedAt: -1 })
+    .session(session || null);
+
+/**
+ * Expected cash in the drawer:
+ * fundo de troco + vendas em dinheiro + parcelas de crediário
+ * + outras entradas - saídas
+ * + suprimentos - sangrias.
+ * Cash sales come from the TicketSales tagged with the register; other cash
+ * movements (ex: refunds) from the CashTransactions tagged with it.
+ */
+export const computeRegisterSummary = async (register, session) => {
+  const { tenantId } = register;
+  const registerId = register.id;
+
+  // Sequential: operations of one transaction must not run in parallel
+  const sales = await TicketSale.find({
+    tenantId,
+    cashRegisterSessionId: registerId,
+  })
+    .select('payments')
+    .session(session || null)
+    .lean();
+  const transactions = await CashTransaction.find({
+    tenantId,
+    cashRegisterSessionId: registerId,
+    category: { $ne: TransactionCategory.SALES_REVENUE },
+  })
+    .select('type amount')
+    .session(session || null)
+    .lean();
+  const crediarioPlans = await CashTransaction.find({
+    tenantId,
+    'installments.cashRegisterSessionId': registerId,
+  })
+    .select('installments')
+    .session(session || null)
+    .lean();
+
+  // Crediário installments (principal) received in cash during the shift
+  const receivables = crediarioPlans.reduce(
+    (sum, plan) =>
+      sum +
+      plan.installments
+        .filter((i) => i.cashRegisterSessionId === registerId)
+        .reduce((acc, i) => acc + i.amount, 0),
+    0
+  );
+
+  const cashSales = sales.reduce(
+    (sum, sale) =>
+      sum +
+      (sale.payments || [])
+        .filter((p) => p.method === PaymentMethod.CASH)
+        .reduce((acc, p) => acc + p.amount, 0),
+    0
+  );
+  const sumTransactions = (type) =>
+    transactions
+      .filter((t) => t.type === type)
+      .reduce((acc, t) => acc + t.amount, 0);
+  const sumMovements = (type) =>
+    register.movements
+      .filter((m) => m.type === type)
+      .reduce((acc, m) => acc + m.amount, 0);
+
+  const summary = {
+    openingFloat: register.openingFloat,
+    cashSales: round2(cashSales),
+    receivables: round2(receivables),
+    otherIncome: round2(sumTransactions(TransactionType.INCOME)),
+    otherExpense: round2(sumTransactions(TransactionType.EXPENSE)),
+    additions: round2(sumMovements(CashMovementType.ADDITION)),
+    drops: round2(sumMovements(CashMovementType.DROP)),
+    salesCount: sales.length,
+  };
+
+  const expectedCash = round2(
+    summary.openingFloat +
+      summary.cashSales +
+      summary.receivables +
+      summary.otherIncome -
+      summary.otherExpense +
+      summary.additions -
+      summary.drops
+  );
+
+  return { summary, expectedCash };
+};
@@ -0,0 +1,174 @@
+import TicketSale from '../models/TicketSale.js';
+import SaleReturn from '../models/SaleReturn.js';
+import ServiceOrder from '../models/ServiceOrder.js';
+import CommissionRule from '../models/CommissionRule.js';
+import User from '../models/User.js';
+import { CommissionBase, ServiceOrderStatus } from '../types.js';
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const UNASSIGNED = 'sem-vendedor';
+
+const emptySeller = (userId, userName) => ({
+  userId,
+  userName: userName || 'Sem vendedor',
+  product: { revenue: 0, margin: 0 },
+  service: { revenue: 0, margin: 0 },
+  salesCount: 0,
+  serviceOrderCount: 0,
+  returnsCount: 0,
+  returnedRevenue: 0,
+});
+
+// User rule wins over role rule
+const resolveRule = (rules, userId, role) =>
+  rules.find((r) => r.scope === 'user' && r.userId === userId) ||
+  rules.find((r) => r.scope === 'role' && role && r.role === role) ||
+  null;
+
+// Highest tier reached by the period base (rates apply to the whole base)
+const resolveRates = (rule, totalBase) => {
+  const tier = [...(rule.tiers || [])]
+    .sort((a, b) => b.minAmount - a.minAmount)
+    .find((t) => totalBase >= t.minAmount);
+  return {
+    productRate: tier ? tier.productRate : rule.productRate,
+    serviceRate: tier ? tier.serviceRate : rule.serviceRate,
+    tierMinAmount: tier ? tier.minAmount : null,
+  };
+};
+
+/**
+ * Commission of every seller in [periodStart, periodEnd):
+ * - sales (items net of the ticket discount, split by product/service)
+ * - completed service orders (credited to who completed them)
+ * - minus returns registered in the period, charged to the original seller
+ */
+export const computeCommissionReport = async (
+  tenantId,
+  periodStart,
+  periodEnd
+) => {
+  const period = { $gte: periodStart, $lt: periodEnd };
+
+  const [sales, returns, serviceOrders, rules, users] = await Promise.all([
+    TicketSale.find({ tenantId, timestamp: period })
+      .select('items total userId userName')
+      .lean(),
+    SaleReturn.find({ tenantId, timestamp: period })
+      .select('saleId items')
+      .lean(),
+    ServiceOrder.find({
+      tenantId,
+      status: ServiceOrderStatus.COMPLETED,
+      completedAt: period,
+    })
+      .select(
+        'totalPrice finalPrice totalCost otherCosts userId userName completedById completedByName'
+      )
+      .lean(),
+    CommissionRule.find({ tenantId, active: true }),
+    User.find({ tenantId }).select('name role').lean(),
+  ]);
+
+  const sellers = new Map();
+  const getSeller = (userId, userName) => {
+    const key = userId || UNASSIGNED;
+    if (!sellers.has(key)) sellers.set(key, emptySeller(key, userName));
+    return sellers.get(key);
+  };
+
+  for (const sale of sales) {
+    const seller = getSeller(sale.userId, sale.userName);
+    const gross = sale.items.reduce(
+      (sum, i) => sum + i.quantity * i.unitPrice,
+      0
+    );
+    const ratio = gross > 0 ? sale.total / gross : 1;
+    for (const item of sale.items) {
+      const revenue = item.quantity * item.unitPrice * ratio;
+      const bucket = item.type === 'service' ? seller.service : seller.product;
+      bucket.revenue += revenue;
+      bucket.margin += revenue - item.quantity * (item.unitCost || 0);
+    }
+    seller.salesCount += 1;
+  }
+
+  // Returns are charged to the seller of the original ticket
+  const saleIds = [...new Set(returns.map((r) => r.saleId))];
+  const originalSales = await TicketSale.find({
+    tenantId,
+    _id: { $in: saleIds },
+  })
+    .select('userId userName')
+    .lean();
+  const sellerBySale = new Map(originalSales.map((s) => [s._id, s]));
+
+  for (const saleReturn of returns) {
+    const original = sellerBySale.get(saleReturn.saleId);
+    const seller = getSeller(original?.userId, original?.userName);
+    for (const item of saleReturn.items) {
+      const revenue = item.quantity * item.unitPrice;
+      const bucket = item.type === 'service' ? seller.service : seller.product;
+      bucket.revenue -= revenue;
+      bucket.margin -= revenue - item.quantity * (item.unitCost || 0);
+      seller.returnedRevenue += revenue;
+    }
+    seller.returnsCount += 1;
+  }
+
+  for (const order of serviceOrders) {
+    const seller = getSeller(
+      order.completedById || order.userId,
+      order.completedByName || order.userName
+    );
+    const revenue = order.finalPrice ?? order.totalPrice;
+    seller.service.revenue += revenue;
+    seller.service.margin +=
+      revenue - (order.totalCost || 0) - (order.otherCosts || 0);
+    seller.serviceOrderCount += 1;
+  }
+
+  const roleByUser = new Map(users.map((u) => [u._id.toString(), u]));
+  const report = [...sellers.values()].map((seller) => {
+    const user = roleByUser.get(seller.userId);
+    if (user) seller.userName = user.name;
+    ['product', 'service'].forEach((type) => {
+      seller[type].revenue = round2(seller[type].revenue);
+      seller[type].margin = round2(seller[type].margin);
+    });
+    seller.returnedRevenue = round2(seller.returnedRevenue);
+
+    const rule = resolveRule(rules, seller.userId, user?.role);
+    if (!rule) {
+      return { ...seller, rule: null, base: 0, commission: 0 };
+    }
+
+    const field = rule.base === CommissionBase.MARGIN ? 'margin' : 'revenue';
+    const productBase = seller.product[field];
+    const serviceBase = seller.service[field];
+    const base = round2(productBase + serviceBase);
+    const rates = resolveRates(rule, base);
+    const commission = round2(
+      Math.max(
+        0,
+        (productBase * rates.productRate + serviceBase * rates.serviceRate) /
+          100
+      )
+    );
+
+    return {
+      ...seller,
+      rule: { id: rule.id, name: rule.name, base: rule.base, ...rates },
+      base,
+      commission,
+    };
+  });
+
+  return {
+    periodStart,
+    periodEnd,
+    sellers: report.sort((a, b) => b.commission - a.commission),
+    totalCommission: round2(report.reduce((sum, s) => sum + s.commission, 0)),
+  };
+};
@@ -0,0 +1,232 @@
+import CashTransaction from '../models/CashTransaction.js';
+import Customer from '../models/Customer.js';
+import {
+  TransactionType,
+  TransactionCategory,
+  TransactionStatus,
+} from '../types.js';
+import { httpError } from './httpError.js';
+
+// Receivables of the crediário live in their own financial account
+export const CREDIARIO_ACCOUNT = 'crediario';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const addMonths = (date, months) => {
+  const next = new Date(date);
+  next.setMonth(next.getMonth() + months);
+  return next;
+};
+
+// Effective limit: the customer's own limit or the store default
+export const getCreditLimit = (customer, settings) =>
+  customer?.creditLimit ?? settings?.defaultCreditLimit ?? 0;
+
+// Principal still owed by the customer (pending installments)
+export const getCustomerOpenBalance = async (tenantId, customerId, session) => {
+  const plans = await CashTransaction.find({
+    tenantId,
+    customerId,
+    financialAccountId: CREDIARIO_ACCOUNT,
+    status: TransactionStatus.PENDING,
+  })
+    .select('installments')
+    .session(session || null);
+
+  return round2(
+    plans.reduce(
+      (sum, plan) =>
+        sum +
+        plan.installments
+          .filter((i) => i.status !== TransactionStatus.PAID)
+          .reduce((acc, i) => acc + i.amount, 0),
+      0
+    )
+  );
+};
+
+/**
+ * Late charges of an installment on `date`:
+ * fine (multa, once) + interest (juros de mora, pro rata per day).
+ * Nothing is charged when disabled or inside the grace period.
+ */
+export const computeLateCharges = (
+  installment,
+  settings,
+  date = new Date()
+) => {
+  const daysLate = Math.floor(
+    (date.getTime() - new Date(installment.dueDate).getTime()) / DAY_MS
+  );
+  if (
+    !settings?.applyLateCharges ||
+    daysLate <= 0 ||
+    daysLate <= (settings.graceDays || 0)
+  ) {
+    return { daysLate: Math.max(daysLate, 0), fine: 0, interest: 0 };
+  }
+
+  const fine = round2((installment.amount * (settings.finePercent || 0)) / 100);
+  const interest = round2(
+    (installment.amount * (settings.monthlyInterestPercent || 0) * daysLate) /
+      30 /
+      100
+  );
+  return { daysLate, fine, interest };
+};
+
+/**
+ * Creates the receivable schedule of a crediário tender: one parent
+ * INCOME transaction (Pendente) with one monthly installment per parcel.
+ * Refuses the sale when it pushes the customer over the credit limit. Must
+ * run inside the sale transaction: the customer write below makes a
+ * concurrent crediário sale of the same customer conflict and retry, so
+ * both cannot pass the check against the same open balance.
+ */
+export const createInstallmentPlan = async (
+  {
+    tenantId,
+    saleId,
+    customerId,
+    amount,
+    installments,
+    firstDueDate,
+    settings,
+    now,
+  },
+  session
+) => {
+  if (!customerId) {
+    throw httpError('Venda no crediário exige cliente identificado.');
+  }
+  const maxInstallments = settings?.maxInstallments || 12;
+  if (installments > maxInstallments) {
+    throw httpError(`Crediário permite no máximo ${maxInstallments} parcelas.`);
+  }
+
+  const customer = await Customer.findOneAndUpdate(
+    { _id: customerId, tenantId },
+    { $inc: { creditRevision: 1 } },
+    { new: true, session }
+  ).select('name creditLimit');
+  if (!customer) {
+    throw httpError('Cliente do crediário não encontrado.', 404);
+  }
+  const creditLimit = getCreditLimit(customer, settings);
+  const openBalance = await getCustomerOpenBalance(
+    tenantId,
+    customerId,
+    session
+  );
+  if (openBalance + amount > creditLimit + 0.01) {
+    throw httpError(
+      `Limite de crediário excedido para ${
+        customer.name
+      } (limite: R$ ${creditLimit.toFixed(
+        2
+      )}, em aberto: R$ ${openBalance.toFixed(2)}).`,
+      409,
+      {
+        creditLimit,
+        openBalance,
+        available: round2(Math.max(creditLimit - openBalance, 0)),
+      }
+    );
+  }
+
+  const firstDue = firstDueDate ? new Date(firstDueDate) : addMonths(now, 1);
+  if (isNaN(firstDue.getTime())) {
+    throw httpError('Data do primeiro vencimento inválida.');
+  }
+
+  // Cents difference goes to the first installment
+  const baseAmount = Math.floor((amount / installments) * 100) / 100;
+  const firstAmount = round2(amount - baseAmount * (installments - 1));
+  const schedule = [];
+  for (let i = 0; i < installments; i++) {
+    schedule.push({
+      number: i + 1,
+      amount: i === 0 ? firstAmount : baseAmount,
+      dueDate: addMonths(firstDue, i),
+      status: TransactionStatus.PENDING,
+      paymentDate: null,
+      financialAccountId: CREDIARIO_ACCOUNT,
+    });
+  }
+
+  const [plan] = await CashTransaction.create(
+    [
+      {
+        tenantId,
+        description: `Venda #${saleId} - Crediário (${installments}x)`,
+        amount,
+        type: TransactionType.INCOME,
+        category: TransactionCategory.SALES_REVENUE,
+        status: TransactionStatus.PENDING,
+        timestamp: now,
+        dueDate: firstDue,
+        saleId,
+        customerId,
+        financialAccountId: CREDIARIO_ACCOUNT,
+        installments: schedule,
+      },
+    ],
+    { session }
+  );
+  return plan;
+};
+
+/**
+ * Return of a crediário ticket: the returned value first writes off what the
+ * customer still owes on that sale, last installments first. Returns the
+ * amount taken off the receivable; only the rest was actually paid and can
+ * be refunded or credited.
+ */
+export const reduceSaleReceivable = async (
+  { tenantId, saleId, amount },
+  session
+) => {
+  const plans = await CashTransaction.find({
+    tenantId,
+    saleId,
+    financialAccountId: CREDIARIO_ACCOUNT,
+    status: TransactionStatus.PENDING,
+  }).session(session);
+
+  let remaining = round2(amount);
+  for (const plan of plans) {
+    if (remaining <= 0) break;
+    const pending = plan.installments
+      .filter((i) => i.status !== TransactionStatus.PAID)
+      .sort((a, b) => b.number - a.number);
+
+    let reduced = 0;
+    for (const installment of pending) {
+      if (remaining <= 0) break;
+      const cut = round2(Math.min(installment.amount, remaining));
+      installment.amount = round2(installment.amount - cut);
+      remaining = round2(remaining - cut);
+      reduced = round2(reduced + cut);
+    }
+    if (reduced === 0) continue;
+
+    // Installments written off entirely leave nothing to collect
+    plan.installments = plan.installments.filter(
+      (i) => i.status === TransactionStatus.PAID || i.amount > 0
+    );
+    plan.amount = round2(plan.amount - reduced);
+
+    if (plan.installments.length === 0) {
+      await plan.deleteOne({ session });
+      continue;
+    }
+    if (plan.installments.every((i) => i.status === TransactionStatus.PAID)) {
+      plan.status = TransactionStatus.PAID;
+      plan.paymentDate = new Date();
+    }
+    await plan.save({ session });
+  }
+
+  return round2(amount - remaining);
+};
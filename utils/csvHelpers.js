@@ -0,0 +1,96 @@
+// CSV in the format Brazilian spreadsheets open directly:
+// ";" as separator, decimal comma and UTF-8 BOM (Excel accents).
+const CSV_SEPARATOR = ';';
+const UTF8_BOM = '\uFEFF';
+
+const formatCell = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'number') return value.toString().replace('.', ',');
+
+  const text = value.toString();
+  return /[";\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * columns: [{ header, value: (row) => any }]
+ */
+export const toCsv = (columns, rows) => {
+  const lines = [columns.map((c) => formatCell(c.header)).join(CSV_SEPARATOR)];
+  for (const row of rows) {
+    lines.push(
+      columns.map((c) => formatCell(c.value(row))).join(CSV_SEPARATOR)
+    );
+  }
+  return UTF8_BOM + lines.join('\r\n') + '\r\n';
+};
+
+export const sendCsv = (res, filename, csv) => {
+  res.set('Content-Type', 'text/csv; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="${filename}.csv"`);
+  res.send(csv);
+};
+
+/**
+ * Parses a CSV exported by spreadsheets (";" or "," detected from the header
+ * line, quoted cells, BOM). Returns the rows as arrays of strings.
+ */
+export const parseCsv = (text) => {
+  const content = text.replace(/^\uFEFF/, '');
+  const firstLine = content.split(/\r?\n/, 1)[0];
+  const separator =
+    firstLine.split(';').length >= firstLine.split(',').length ? ';' : ',';
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === separator) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Blank lines at the end of the file
+  return rows.filter((r) => r.some((c) => c.trim() !== ''));
+};
+
+// "1.234,56" / "1234.56" / "1.234" / "R$ 10" -> number (NaN when not a number).
+// Without a comma, dots followed by exactly three digits are thousands
+export const parseDecimal = (value) => {
+  if (typeof value === 'number') return value;
+  let text = (value ?? '').toString().replace(/[R$\s]/g, '');
+  if (text === '') return NaN;
+  if (text.includes(',')) {
+    text = text.replace(/\./g, '').replace(',', '.');
+  } else if (/^-?[1-9]\d{0,2}(\.\d{3})+$/.test(text)) {
+    text = text.replace(/\./g, '');
+  }
+  return /^-?\d+(\.\d+)?$/.test(text) ? Number(text) : NaN;
+};
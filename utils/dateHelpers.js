@@ -0,0 +1,14 @@
+import { httpError } from './httpError.js';
+
+// "2025-12-01" (date only) or full ISO. Date-only `to` includes the whole day.
+export const parseDateParam = (value, endOfDay = false) => {
+  if (!value) return null;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw httpError(`Data inválida: ${value}`);
+  }
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCDate(date.getUTCDate() + 1);
+  }
+  return date;
+};
@@ -0,0 +1,195 @@
+import Product from '../models/Product.js';
+import Service from '../models/Service.js';
+import User from '../models/User.js';
+import { httpError } from './httpError.js';
+
+// StoreConfig fields the policy needs (select them when loading the config)
+export const DISCOUNT_POLICY_FIELDS =
+  'minContributionMargin discountSafety discountRisk discountExcess effectiveTaxRate stockThresholds';
+
+export const StockLevel = {
+  OUT: 'ruptura',
+  RISK: 'risco',
+  SAFETY: 'seguranca',
+  EXCESS: 'excesso',
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Stock classification by units on hand (StoreConfig.stockThresholds)
+export const classifyStock = (stock, thresholds = {}) => {
+  const { riskMin = 1, riskMax = 15, safetyMax = 45 } = thresholds;
+  if (stock < riskMin) return StockLevel.OUT;
+  if (stock <= riskMax) return StockLevel.RISK;
+  if (stock <= safetyMax) return StockLevel.SAFETY;
+  return StockLevel.EXCESS;
+};
+
+// Max discount (%) granted by the stock level (incentive to move excess)
+const getStockDiscountCap = (level, config) => {
+  switch (level) {
+    case StockLevel.EXCESS:
+      return config?.discountExcess ?? 15;
+    case StockLevel.RISK:
+      return config?.discountRisk ?? 5;
+    case StockLevel.SAFETY:
+      return config?.discountSafety ?? 0;
+    default:
+      return 0; // Ruptura: last units are not discounted
+  }
+};
+
+/**
+ * Recomputes the discount allowed for every line of a sale.
+ *
+ * Contribution margin = (net price - cost - card/Pix fees - taxes) / net price.
+ * The lowest net price that keeps minContributionMargin is
+ *   cost / (1 - feeRate - taxRate - minMargin)
+ * and the allowed discount is the smaller of that cap and the stock level cap.
+ * Net prices come from the catalog: the whole discount (list total - total)
+ * is spread over the lines in proportion to their list prices, so unit prices
+ * sent by the client cannot move discount from one line to another.
+ * feeAmount: acquirer fees of the tenders (see getAcquirerFeeRate).
+ * promotionDiscount: part of the discount granted by a promotion (computed at
+ * catalog prices). It was approved when the promotion was created, so only
+ * the rest is judged here; it never adds back more than the list total.
+ */
+export const evaluateSaleDiscounts = async (
+  { tenantId, items, total, feeAmount = 0, promotionDiscount = 0, config },
+  session
+) => {
+  const taxRate = (config?.effectiveTaxRate || 0) / 100;
+  const minMargin = config?.minContributionMargin ?? 20;
+  const feeRate = total > 0 ? feeAmount / total : 0;
+
+  const lines = []; // Missing items are reported by createSale
+  for (const saleItem of items) {
+    const Model = saleItem.type === 'product' ? Product : Service;
+    const catalog = await Model.findOne({ _id: saleItem.item.id, tenantId })
+      .select('name price cost stock partCost serviceCost shippingCost')
+      .session(session || null);
+    if (catalog) lines.push({ saleItem, catalog });
+  }
+
+  const listTotal = lines.reduce(
+    (sum, { saleItem, catalog }) =>
+      sum + Number(saleItem.quantity) * (catalog.price || 0),
+    0
+  );
+  const policyTotal =
+    total + Math.min(promotionDiscount, Math.max(0, listTotal - total));
+  const ticketRatio = listTotal > 0 ? policyTotal / listTotal : 1;
+
+  const evaluated = [];
+  let totalCost = 0;
+
+  for (const { saleItem, catalog } of lines) {
+    const cost =
+      saleItem.type === 'product'
+        ? catalog.cost || 0
+        : (catalog.partCost || 0) +
+          (catalog.serviceCost || 0) +
+          (catalog.shippingCost || 0);
+    const quantity = Number(saleItem.quantity);
+    const listPrice = catalog.price;
+    const netUnitPrice = (listPrice || 0) * ticketRatio;
+    totalCost += cost * quantity;
+
+    const marginDivisor = 1 - feeRate - taxRate - minMargin / 100;
+    const minNetPrice =
+      marginDivisor > 0 ? cost / marginDivisor : Number.POSITIVE_INFINITY;
+    const marginCap =
+      listPrice > 0 ? Math.max(0, (1 - minNetPrice / listPrice) * 100) : 0;
+
+    const stockLevel =
+      saleItem.type === 'product'
+        ? classifyStock(catalog.stock, config?.stockThresholds)
+        : null;
+    const allowedDiscountPercent = round2(
+      stockLevel
+        ? Math.min(marginCap, getStockDiscountCap(stockLevel, config))
+        : marginCap
+    );
+    const discountPercent =
+      listPrice > 0 ? round2((1 - netUnitPrice / listPrice) * 100) : 0;
+
+    evaluated.push({
+      id: catalog.id,
+      name: catalog.name,
+      type: saleItem.type,
+      quantity,
+      listPrice,
+      netUnitPrice: round2(netUnitPrice),
+      cost,
+      stockLevel,
+      discountPercent,
+      allowedDiscountPercent,
+    });
+  }
+
+  const marginOf = (amount) =>
+    amount > 0
+      ? round2(
+          ((amount - totalCost - feeAmount - amount * taxRate) / amount) * 100
+        )
+      : 0;
+  const contributionMargin = marginOf(total);
+  const policyMargin = marginOf(policyTotal);
+
+  const violations = evaluated
+    .filter((i) => i.discountPercent > i.allowedDiscountPercent + 0.01)
+    .map(
+      (i) =>
+        `${i.name}: desconto de ${i.discountPercent}% (máximo ${i.allowedDiscountPercent}%)`
+    );
+  if (policyMargin < minMargin) {
+    violations.push(
+      `Margem de contribuição de ${policyMargin}% abaixo do mínimo de ${minMargin}%`
+    );
+  }
+
+  return {
+    items: evaluated,
+    contributionMargin,
+    minContributionMargin: minMargin,
+    violations,
+  };
+};
+
+/**
+ * Manager approval for a sale outside the policy.
+ * override: { reason, approverEmail, approverPassword }. Owners/managers
+ * selling themselves approve with their own session; others need the
+ * credentials of an owner/manager of the same tenant.
+ */
+export const resolveDiscountOverride = async ({ tenantId, user, override }) => {
+  const reason = override?.reason?.toString().trim();
+  if (!reason) {
+    throw httpError('Informe o motivo da liberação do desconto.', 403);
+  }
+
+  if (override.approverEmail) {
+    const approver = await User.findOne({
+      tenantId,
+      email: override.approverEmail.toString().toLowerCase(),
+      role: { $in: ['owner', 'manager'] },
+    });
+    if (
+      !approver ||
+      !(await approver.comparePassword(override.approverPassword || ''))
+    ) {
+      throw httpError('Aprovação do gerente inválida.', 403);
+    }
+    return { reason, approvedById: approver.id, approvedByName: approver.name };
+  }
+
+  if (['owner', 'manager'].includes(user.role)) {
+    return {
+      reason,
+      approvedById: (user._id || user.id)?.toString(),
+      approvedByName: user.name,
+    };
+  }
+
+  throw httpError('Desconto exige aprovação de um gerente.', 403);
+};
@@ -0,0 +1,129 @@
+import mongoose from 'mongoose';
+import Counter from '../models/Counter.js';
+import StoreConfig from '../models/StoreConfig.js';
+import { DocumentType, SequenceReset } from '../types.js';
+
+// Default series per document type. StoreConfig.documentNumbering overrides
+// prefix/reset per tenant. `model` is used to seed a counter from legacy IDs.
+const DEFAULT_SERIES = {
+  [DocumentType.SALE]: {
+    prefix: 'TC',
+    reset: SequenceReset.MONTHLY,
+    model: 'TicketSale',
+  },
+  [DocumentType.SALE_RETURN]: {
+    prefix: 'DV',
+    reset: SequenceReset.MONTHLY,
+    model: 'SaleReturn',
+  },
+  [DocumentType.SERVICE_ORDER]: {
+    prefix: 'OS',
+    reset: SequenceReset.MONTHLY,
+    model: 'ServiceOrder',
+  },
+  [DocumentType.ECOMMERCE_ORDER]: {
+    prefix: 'SC',
+    reset: SequenceReset.MONTHLY,
+    model: 'EcommerceOrder',
+  },
+  [DocumentType.PURCHASE]: {
+    prefix: 'PO',
+    reset: SequenceReset.YEARLY,
+    model: 'PurchaseOrder',
+  },
+  [DocumentType.QUOTE]: {
+    prefix: 'OR',
+    reset: SequenceReset.MONTHLY,
+    model: 'Quote',
+  },
+};
+
+const SEQUENCE_PADDING = 4;
+
+const getPeriod = (reset, now) => {
+  const year = now.getFullYear();
+  const month = (now.getMonth() + 1).toString().padStart(2, '0');
+  if (reset === SequenceReset.YEARLY) return `${year}`;
+  if (reset === SequenceReset.NEVER) return '';
+  return `${year}${month}`;
+};
+
+const resolveSeries = async (tenantId, type) => {
+  const defaults = DEFAULT_SERIES[type];
+  if (!defaults) {
+    throw new Error(`Tipo de documento desconhecido: ${type}`);
+  }
+
+  const config = await StoreConfig.findOne({ tenantId })
+    .select('documentNumbering')
+    .lean();
+  const custom = config?.documentNumbering?.[type] || {};
+
+  const prefix = (custom.prefix || defaults.prefix)
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, '');
+
+  return {
+    prefix: prefix || defaults.prefix,
+    reset: Object.values(SequenceReset).includes(custom.reset)
+      ? custom.reset
+      : defaults.reset,
+    model: defaults.model,
+  };
+};
+
+// Highest sequence already used with this exact base (IDs created before the
+// counter existed), so the first counter of a period never repeats an ID.
+const findLegacySequence = async (tenantId, modelName, base) => {
+  const last = await mongoose
+    .model(modelName)
+    .findOne({ tenantId, _id: new RegExp(`^${base}\\d+`) })
+    .sort({ _id: -1 })
+    .select('_id')
+    .lean();
+  if (!last) return 0;
+
+  const match = last._id.slice(base.length).match(/^\d+/);
+  return match ? parseInt(match[0], 10) : 0;
+};
+
+const incrementCounter = (tenantId, key) =>
+  Counter.findOneAndUpdate(
+    { tenantId, key },
+    { $inc: { seq: 1 } },
+    { new: true }
+  );
+
+/**
+ * Returns the next document number for a tenant, ex: TC-202512-0001-a1b2.
+ *
+ * The counter is incremented atomically ($inc) and OUTSIDE any caller session:
+ * parallel requests never receive the same number and transactions do not
+ * write-conflict on the counter. A number burned by an aborted transaction
+ * leaves a gap, never a duplicate.
+ */
+export const nextDocumentNumber = async (tenantId, type, now = new Date()) => {
+  const { prefix, reset, model } = await resolveSeries(tenantId, type);
+  const period = getPeriod(reset, now);
+  const key = period ? `${type}:${period}` : type;
+  const base = period ? `${prefix}-${period}-` : `${prefix}-`;
+
+  let counter = await incrementCounter(tenantId, key);
+
+  if (!counter) {
+    const seed = await findLegacySequence(tenantId, model, base);
+    try {
+      await Counter.create({ tenantId, key, seq: seed });
+    } catch (err) {
+      // Another request created it first: just use it
+      if (err.code !== 11000) throw err;
+    }
+    counter = await incrementCounter(tenantId, key);
+  }
+
+  // Short tenant hash keeps the _id unique across tenants sharing the collection
+  const tenantSuffix = tenantId.toString().slice(-4);
+  return `${base}${counter.seq
+    .toString()
+    .padStart(SEQUENCE_PADDING, '0')}-${tenantSuffix}`;
+};
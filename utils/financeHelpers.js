@@ -13,7 +13,8 @@ export const syncInvoiceRecord = async (
   tenantId,
   financialAccountId,
   paymentMethodId,
-  dueDate
+  dueDate,
+  session
 ) => {
   try {
     if (financialAccountId !== 'credit-main') return;
@@ -38,7 +39,7 @@ export const syncInvoiceRecord = async (
           categories: { $addToSet: '$category' },
         },
       },
-    ]);
+    ]).session(session || null);
 
     const totalAmount = result.length > 0 ? result[0].total : 0;
     const distinctCategories = result.length > 0 ? result[0].categories : [];
@@ -58,7 +59,9 @@ export const syncInvoiceRecord = async (
     };
 
     let invoiceStatus = 'Open';
-    const config = await StoreConfig.findOne({ tenantId });
+    const config = await StoreConfig.findOne({ tenantId }).session(
+      session || null
+    );
     const closingDay = config?.financialSettings?.cardClosingDay || 1;
     const dueDay = config?.financialSettings?.cardDueDay || 10;
 
@@ -99,10 +102,10 @@ export const syncInvoiceRecord = async (
             paymentDate: null,
           },
         },
-        { upsert: true, new: true }
+        { upsert: true, new: true, session }
       );
     } else {
-      await CashTransaction.findOneAndDelete(invoiceQuery);
+      await CashTransaction.findOneAndDelete(invoiceQuery, { session });
     }
   } catch (error) {
     console.error('Error syncing invoice:', error);
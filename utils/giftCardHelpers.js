@@ -0,0 +1,260 @@
+import crypto from 'crypto';
+import GiftCard from '../models/GiftCard.js';
+import Customer from '../models/Customer.js';
+import CashTransaction from '../models/CashTransaction.js';
+import {
+  GiftCardType,
+  GiftCardMovementType,
+  TransactionCategory,
+  TransactionStatus,
+} from '../types.js';
+import { httpError } from './httpError.js';
+
+// No 0/O/1/I: codes are read aloud and typed at the counter
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+export const normalizeGiftCardCode = (code) =>
+  (code || '').toString().replace(/\s/g, '').toUpperCase();
+
+// Ex: VP-7K3M-Q9XA-2BHD (gift card) / CR-... (store credit)
+export const generateGiftCardCode = (type = GiftCardType.GIFT_CARD) => {
+  const prefix = type === GiftCardType.STORE_CREDIT ? 'CR' : 'VP';
+  const bytes = crypto.randomBytes(12);
+  const chars = [...bytes].map((b) => CODE_ALPHABET[b % CODE_ALPHABET.length]);
+  return `${prefix}-${chars.slice(0, 4).join('')}-${chars
+    .slice(4, 8)
+    .join('')}-${chars.slice(8, 12).join('')}`;
+};
+
+export const isGiftCardExpired = (card, now = new Date()) =>
+  !!card.expiresAt && card.expiresAt <= now;
+
+/**
+ * Liability entry in CashTransaction (category STORED_VALUE):
+ * INCOME when value is issued, EXPENSE when it is consumed.
+ */
+export const bookStoredValueEntry = async (
+  { tenantId, giftCard, type, amount, description, links = {}, now },
+  session
+) => {
+  const [transaction] = await CashTransaction.create(
+    [
+      {
+        tenantId,
+        description,
+        amount: round2(amount),
+        type,
+        category: TransactionCategory.STORED_VALUE,
+        status: TransactionStatus.PAID,
+        timestamp: now,
+        dueDate: now,
+        paymentDate: now,
+        giftCardId: giftCard.id,
+        ...links,
+      },
+    ],
+    { session }
+  );
+  return transaction;
+};
+
+const MAX_BALANCE_RETRIES = 5;
+
+/**
+ * Moves the balance of a card with compare-and-set on the current balance,
+ * so balanceAfter in the history is exact even under concurrent use.
+ * `delta` is negative for redemptions. Returns null when `guard` fails.
+ */
+const applyMovement = async (
+  { tenantId, cardId, delta, movement, guard = () => true },
+  session
+) => {
+  for (let attempt = 0; attempt < MAX_BALANCE_RETRIES; attempt++) {
+    const card = await GiftCard.findOne({ _id: cardId, tenantId }).session(
+      session || null
+    );
+    if (!card || !guard(card)) return null;
+
+    const balanceAfter = round2(card.balance + delta);
+    const updated = await GiftCard.findOneAndUpdate(
+      { _id: card._id, tenantId, balance: card.balance },
+      {
+        $set: { balance: balanceAfter },
+        $push: { movements: { ...movement, balanceAfter } },
+      },
+      { new: true, session }
+    );
+    if (updated) return updated;
+  }
+  throw httpError('Saldo do vale em uso simultâneo. Tente novamente.', 409);
+};
+
+/**
+ * Debits a card (active, not expired, enough balance).
+ * Throws 404/409 explaining why the code cannot be used.
+ */
+export const redeemGiftCard = async (
+  { tenantId, code, amount, documentType, documentId, userName },
+  session
+) => {
+  const normalized = normalizeGiftCardCode(code);
+  const now = new Date();
+
+  const existing = await GiftCard.findOne({ tenantId, code: normalized })
+    .select('_id')
+    .session(session || null);
+  if (!existing) {
+    throw httpError(`Vale/crédito ${normalized} não encontrado.`, 404);
+  }
+
+  let reason = null;
+  const card = await applyMovement(
+    {
+      tenantId,
+      cardId: existing._id,
+      delta: -amount,
+      movement: {
+        type: GiftCardMovementType.REDEEM,
+        amount,
+        documentType,
+        documentId,
+        userName,
+      },
+      guard: (current) => {
+        if (current.status !== 'active') {
+          reason = `Vale/crédito ${normalized} bloqueado.`;
+        } else if (isGiftCardExpired(current, now)) {
+          reason = `Vale/crédito ${normalized} expirado.`;
+        } else if (current.balance + 0.001 < amount) {
+          reason = `Saldo insuficiente no vale ${normalized} (disponível: R$ ${current.balance.toFixed(
+            2
+          )}).`;
+        }
+        return !reason;
+      },
+    },
+    session
+  );
+  if (!card) throw httpError(reason, 409);
+  return card;
+};
+
+// Undoes every redemption made by a document (sale/order deleted)
+export const refundRedemptions = async (
+  { tenantId, documentType, documentId, userName },
+  session
+) => {
+  const cards = await GiftCard.find({
+    tenantId,
+    'movements.documentId': documentId,
+  }).session(session || null);
+
+  for (const card of cards) {
+    const ofDocument = card.movements.filter(
+      (m) => m.documentType === documentType && m.documentId === documentId
+    );
+    const sumOf = (type) =>
+      ofDocument
+        .filter((m) => m.type === type)
+        .reduce((sum, m) => sum + m.amount, 0);
+    const pending = round2(
+      sumOf(GiftCardMovementType.REDEEM) - sumOf(GiftCardMovementType.REFUND)
+    );
+    if (pending <= 0) continue;
+
+    await applyMovement(
+      {
+        tenantId,
+        cardId: card._id,
+        delta: pending,
+        movement: {
+          type: GiftCardMovementType.REFUND,
+          amount: pending,
+          documentType,
+          documentId,
+          userName,
+        },
+      },
+      session
+    );
+  }
+};
+
+/**
+ * Customer store credit account (one per customer), created on first use.
+ * Balances kept in the legacy Customer.storeCredit field move into it.
+ */
+export const getStoreCreditAccount = async (
+  { tenantId, customerId, userName },
+  session
+) => {
+  let account = await GiftCard.findOne({
+    tenantId,
+    customerId,
+    type: GiftCardType.STORE_CREDIT,
+  }).session(session || null);
+  if (account) return account;
+
+  const customer = await Customer.findOne({ _id: customerId, tenantId })
+    .select('name storeCredit')
+    .session(session || null);
+  if (!customer) {
+    throw httpError('Cliente não encontrado.', 404);
+  }
+
+  const legacyBalance = round2(customer.storeCredit || 0);
+  [account] = await GiftCard.create(
+    [
+      {
+        tenantId,
+        code: generateGiftCardCode(GiftCardType.STORE_CREDIT),
+        type: GiftCardType.STORE_CREDIT,
+        customerId,
+        customerName: customer.name,
+        initialBalance: legacyBalance,
+        balance: legacyBalance,
+        movements:
+          legacyBalance > 0
+            ? [
+                {
+                  type: GiftCardMovementType.ISSUE,
+                  amount: legacyBalance,
+                  balanceAfter: legacyBalance,
+                  documentType: 'legacy_store_credit',
+                  userName,
+                },
+              ]
+            : [],
+      },
+    ],
+    { session }
+  );
+  if (legacyBalance > 0) {
+    customer.storeCredit = 0;
+    await customer.save({ session });
+  }
+  return account;
+};
+
+// Adds value to a card (issue / store credit from a return)
+export const creditGiftCard = (
+  { tenantId, giftCard, amount, documentType, documentId, userName },
+  session
+) =>
+  applyMovement(
+    {
+      tenantId,
+      cardId: giftCard._id,
+      delta: amount,
+      movement: {
+        type: GiftCardMovementType.ISSUE,
+        amount,
+        documentType,
+        documentId,
+        userName,
+      },
+    },
+    session
+  );
@@ -0,0 +1,8 @@
+// Builds an Error carrying the HTTP status the route should answer with.
+// `details` is merged into the JSON response body (ex: shortItems).
+export const httpError = (message, statusCode = 400, details) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (details) error.details = details;
+  return error;
+};
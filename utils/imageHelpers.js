@@ -0,0 +1,170 @@
+import crypto from 'crypto';
+import sharp from 'sharp';
+import Product from '../models/Product.js';
+import Service from '../models/Service.js';
+import ProductParent from '../models/ProductParent.js';
+import { getImageStorage } from './imageStorage.js';
+import { httpError } from './httpError.js';
+
+const FULL_SIZE = 1200; // px, maior lado
+const THUMBNAIL_SIZE = 320;
+
+const DATA_URL = /^data:image\/[\w.+-]+;base64,/;
+
+export const isDataUrl = (value) =>
+  typeof value === 'string' && DATA_URL.test(value);
+
+const resize = (buffer, size) =>
+  sharp(buffer)
+    .rotate() // EXIF orientation (photos taken with the phone)
+    .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+    .webp({ quality: 80 })
+    .toBuffer();
+
+const requireStorage = () => {
+  const storage = getImageStorage();
+  if (!storage) {
+    throw httpError(
+      'Armazenamento de imagens não configurado (IMAGE_STORAGE).',
+      503
+    );
+  }
+  return storage;
+};
+
+/**
+ * Saves the image and its thumbnail (WebP) to the configured storage and
+ * confirms both writes. Returns { image, thumbnail } URLs, the same fields
+ * of Product / Service.
+ */
+export const storeImage = async (tenantId, buffer) => {
+  const storage = requireStorage();
+  try {
+    await sharp(buffer).metadata();
+  } catch {
+    throw httpError('Arquivo de imagem inválido.');
+  }
+
+  const name = `${tenantId}/${crypto.randomUUID()}`;
+  const keys = [`${name}.webp`, `${name}_thumb.webp`];
+  const image = await storage.save(
+    keys[0],
+    await resize(buffer, FULL_SIZE),
+    'image/webp'
+  );
+  const thumbnail = await storage.save(
+    keys[1],
+    await resize(buffer, THUMBNAIL_SIZE),
+    'image/webp'
+  );
+
+  for (const key of keys) {
+    if (!(await storage.exists(key))) {
+      await Promise.all(keys.map((k) => storage.remove(k)));
+      throw new Error('Falha ao gravar a imagem no armazenamento.');
+    }
+  }
+  return { image, thumbnail };
+};
+
+// Keys are "<tenant>/<uuid>.webp": a tenant only owns its own prefix
+const ownsKey = (tenantId, key) => key.startsWith(`${tenantId}/`);
+
+/**
+ * Deletes the files of a document image (on replace / delete). Base64, URLs
+ * from elsewhere and files of other tenants (URLs are public and can be
+ * copied into a document) are ignored; a failure only leaves an orphan file.
+ */
+export const removeStoredImages = async (tenantId, doc) => {
+  const storage = getImageStorage();
+  if (!storage || !doc) return;
+  for (const url of [doc.image, doc.thumbnail]) {
+    const key = storage.keyFromUrl(url);
+    if (!key || !ownsKey(tenantId, key)) continue;
+    try {
+      await storage.remove(key);
+    } catch (err) {
+      console.warn(`[Images] Falha ao remover ${key}: ${err.message}`);
+    }
+  }
+};
+
+// Previous files of a document whose image was replaced
+export const removeReplacedImages = async (tenantId, previous, current) => {
+  if (previous && previous.image !== current?.image) {
+    await removeStoredImages(tenantId, previous);
+  }
+};
+
+// Listings: the thumbnail URL, or the full image while it is not migrated
+export const listingImage = ({ image, thumbnail, ...doc }) =>
+  thumbnail ? { ...doc, thumbnail } : { ...doc, image };
+
+const storeDataUrl = (tenantId, dataUrl) =>
+  storeImage(tenantId, Buffer.from(dataUrl.replace(DATA_URL, ''), 'base64'));
+
+/**
+ * Older clients still send `image` as Base64: store it and keep only the URLs.
+ * Without a configured storage the Base64 is kept as before. URLs of the
+ * file store must be under the tenant prefix (400 otherwise).
+ * Returns the data ready to be saved.
+ */
+export const resolveImageInput = async (tenantId, data) => {
+  const storage = getImageStorage();
+  if (!storage) return data;
+
+  for (const url of [data.image, data.thumbnail]) {
+    const key = storage.keyFromUrl(url);
+    if (key && !ownsKey(tenantId, key)) {
+      throw httpError('Imagem pertence a outra empresa.');
+    }
+  }
+
+  if (!isDataUrl(data.image)) return data;
+  return { ...data, ...(await storeDataUrl(tenantId, data.image)) };
+};
+
+/**
+ * Moves Base64 images still inside the documents to the file store, in
+ * batches of `limit` per collection. The Base64 is only replaced after the
+ * files are confirmed in the storage. Call again while something is
+ * migrated; documents in `failed` (corrupt images) stay in `remaining`.
+ */
+export const migrateBase64Images = async (tenantId, { limit = 50 } = {}) => {
+  requireStorage();
+  const collections = {
+    products: Product,
+    services: Service,
+    parents: ProductParent,
+  };
+  const migrated = {};
+  const failed = [];
+  let remaining = 0;
+
+  for (const [label, Model] of Object.entries(collections)) {
+    const query = { tenantId, image: { $regex: '^data:image/' } };
+    const docs = await Model.find(query).select('image').limit(limit).lean();
+    migrated[label] = 0;
+
+    for (const doc of docs) {
+      try {
+        const urls = await storeDataUrl(tenantId, doc.image);
+        // Same Base64 as read: an image replaced meanwhile is left alone
+        const result = await Model.updateOne(
+          { _id: doc._id, tenantId, image: doc.image },
+          { $set: urls }
+        );
+        if (result.modifiedCount === 1) {
+          migrated[label] += 1;
+        } else {
+          await removeStoredImages(tenantId, urls);
+        }
+      } catch (err) {
+        failed.push({ collection: label, id: doc._id, message: err.message });
+      }
+    }
+    remaining += await Model.countDocuments(query);
+  }
+
+  return { migrated, failed, remaining };
+};
@@ -0,0 +1,70 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Storage backends for uploaded images. A backend implements
+ *   save(key, buffer, contentType) -> public URL
+ *   exists(key) -> boolean (confirms a write before the source is dropped)
+ *   remove(key)
+ *   keyFromUrl(url) -> key, or null when the URL is not from this backend
+ * IMAGE_STORAGE selects it. There is no default: images only leave the
+ * documents once a durable store is configured (a local disk must be a
+ * persistent volume, set in UPLOAD_DIR). An S3-compatible backend only needs
+ * to be registered here with the same interface.
+ */
+const backends = {
+  local: () => {
+    if (!process.env.UPLOAD_DIR) {
+      throw new Error(
+        'IMAGE_STORAGE=local exige UPLOAD_DIR em um disco persistente.'
+      );
+    }
+    const root = path.resolve(process.env.UPLOAD_DIR);
+    const baseUrl = `${(process.env.PUBLIC_URL || '').replace(
+      /\/$/,
+      ''
+    )}/uploads/`;
+
+    return {
+      root,
+      async save(key, buffer) {
+        const file = path.join(root, key);
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.writeFile(file, buffer);
+        return `${baseUrl}${key}`;
+      },
+      async exists(key) {
+        try {
+          return (await fs.stat(path.join(root, key))).size > 0;
+        } catch {
+          return false;
+        }
+      },
+      async remove(key) {
+        await fs.rm(path.join(root, key), { force: true });
+      },
+      keyFromUrl(url) {
+        if (typeof url !== 'string' || !url.startsWith(baseUrl)) return null;
+        const key = url.slice(baseUrl.length);
+        // Keys are "<tenant>/<uuid>.webp": never a path outside the root
+        return key.includes('..') ? null : key;
+      },
+    };
+  },
+};
+
+let storage;
+
+// Configured backend, or null when images are still kept in the documents
+export const getImageStorage = () => {
+  const name = process.env.IMAGE_STORAGE;
+  if (!name) return null;
+  if (!storage) {
+    if (!backends[name]) {
+      throw new Error(`Armazenamento de imagens desconhecido: ${name}`);
+    }
+    storage = backends[name]();
+    storage.name = name;
+  }
+  return storage;
+};
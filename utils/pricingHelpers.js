@@ -0,0 +1,157 @@
+import Product from '../models/Product.js';
+import Service from '../models/Service.js';
+import Supplier from '../models/Supplier.js';
+import PurchaseOrder from '../models/PurchaseOrder.js';
+import { PriceRuleType } from '../types.js';
+import { httpError } from './httpError.js';
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const toList = (value) =>
+  (Array.isArray(value) ? value : value ? [value] : [])
+    .map((v) => v.toString().trim())
+    .filter(Boolean);
+
+const digitsOnly = (value) => (value || '').toString().replace(/\D/g, '');
+
+export const getItemModel = (itemType) =>
+  itemType === 'service' ? Service : Product;
+
+// Service cost is the sum of its parts (same as the discount policy)
+export const getItemCost = (itemType, item) =>
+  itemType === 'service'
+    ? (item.partCost || 0) + (item.serviceCost || 0) + (item.shippingCost || 0)
+    : item.cost || 0;
+
+// Validated { itemType, filters, rule } from the request body
+export const parsePricingRequest = (body) => {
+  const itemType = body.itemType || 'product';
+  if (!['product', 'service'].includes(itemType)) {
+    throw httpError('Tipo de item inválido (product ou service).');
+  }
+
+  const filters = {
+    categories: toList(body.filters?.categories),
+    brands: toList(body.filters?.brands),
+    supplierId: body.filters?.supplierId?.toString() || undefined,
+    itemIds: toList(body.filters?.itemIds),
+  };
+  if (
+    itemType === 'service' &&
+    (filters.categories.length > 0 || filters.supplierId)
+  ) {
+    throw httpError('Serviços podem ser filtrados apenas por marca ou item.');
+  }
+
+  const { type } = body.rule || {};
+  const value = Number(body.rule?.value);
+  if (!Object.values(PriceRuleType).includes(type)) {
+    throw httpError('Regra de preço inválida (percentage ou markup).');
+  }
+  if (isNaN(value) || (type === PriceRuleType.PERCENTAGE && value <= -100)) {
+    throw httpError('Percentual da regra inválido.');
+  }
+  if (type === PriceRuleType.MARKUP && value < 0) {
+    throw httpError('O markup não pode ser negativo.');
+  }
+
+  let roundingEnding;
+  if (
+    body.rule.roundingEnding !== undefined &&
+    body.rule.roundingEnding !== null
+  ) {
+    roundingEnding = Number(body.rule.roundingEnding);
+    if (isNaN(roundingEnding) || roundingEnding < 0 || roundingEnding >= 1) {
+      throw httpError('Final de arredondamento inválido (ex: 0.90).');
+    }
+  }
+
+  return { itemType, filters, rule: { type, value, roundingEnding } };
+};
+
+// Products bought from the supplier (suppliers are not linked on the product)
+const getSupplierProductIds = async (tenantId, supplierId) => {
+  const supplier = await Supplier.findOne({ _id: supplierId, tenantId });
+  if (!supplier) {
+    throw httpError('Fornecedor não encontrado.', 404);
+  }
+  const document = digitsOnly(supplier.cnpjCpf);
+  const purchases = await PurchaseOrder.find({
+    tenantId,
+    'supplierInfo.cnpjCpf': { $exists: true },
+  }).select('supplierInfo.cnpjCpf items.productId');
+
+  const ids = new Set();
+  purchases
+    .filter((p) => digitsOnly(p.supplierInfo.cnpjCpf) === document)
+    .forEach((p) => p.items.forEach((i) => ids.add(i.productId)));
+  return [...ids];
+};
+
+export const findPricingTargets = async (tenantId, itemType, filters) => {
+  const query = { tenantId };
+  if (filters.categories.length) query.category = { $in: filters.categories };
+  if (filters.brands.length) query.brand = { $in: filters.brands };
+
+  let ids = filters.itemIds.length ? filters.itemIds : null;
+  if (filters.supplierId) {
+    const supplierIds = await getSupplierProductIds(
+      tenantId,
+      filters.supplierId
+    );
+    ids = ids ? ids.filter((id) => supplierIds.includes(id)) : supplierIds;
+  }
+  if (ids) query._id = { $in: ids };
+
+  return getItemModel(itemType)
+    .find(query)
+    .select('name price cost partCost serviceCost shippingCost')
+    .sort({ name: 1 });
+};
+
+/**
+ * Price ending in the given cents, never below the computed price
+ * (a markup must not be eaten by the rounding). Ex: 37.23 -> 37.90.
+ */
+export const applyPriceEnding = (price, ending) => {
+  if (ending === undefined || ending === null) return round2(price);
+  let rounded = Math.floor(price) + ending;
+  if (rounded < price - 0.001) rounded += 1;
+  return round2(rounded);
+};
+
+export const computeNewPrice = (itemType, item, rule) => {
+  const base =
+    rule.type === PriceRuleType.MARKUP
+      ? getItemCost(itemType, item) * (1 + rule.value / 100)
+      : item.price * (1 + rule.value / 100);
+  return applyPriceEnding(base, rule.roundingEnding);
+};
+
+// Old and new price of every matched item (dry run and apply share it)
+export const buildPricePreview = async (
+  tenantId,
+  { itemType, filters, rule }
+) => {
+  const targets = await findPricingTargets(tenantId, itemType, filters);
+
+  const items = targets.map((item) => {
+    const cost = getItemCost(itemType, item);
+    const newPrice = computeNewPrice(itemType, item, rule);
+    return {
+      itemId: item.id,
+      name: item.name,
+      cost,
+      oldPrice: item.price,
+      newPrice,
+      belowCost: newPrice < cost,
+    };
+  });
+
+  return {
+    items,
+    matched: items.length,
+    changed: items.filter((i) => Math.abs(i.newPrice - i.oldPrice) > 0.001)
+      .length,
+  };
+};
@@ -0,0 +1,297 @@
+import Product from '../models/Product.js';
+import { StockMovementReason } from '../types.js';
+import { parseDecimal } from './csvHelpers.js';
+import { httpError } from './httpError.js';
+import { recordStockMovement } from './stockLedger.js';
+
+const MAX_IMPORT_ROWS = 5000;
+
+/**
+ * Catalogue columns shared by the export and the import: an exported file
+ * imports back without any column mapping.
+ */
+export const PRODUCT_COLUMNS = [
+  { field: 'barcode', header: 'Código de Barras', required: true },
+  { field: 'name', header: 'Nome', required: true },
+  { field: 'brand', header: 'Marca', required: true },
+  { field: 'model', header: 'Modelo', required: true },
+  { field: 'category', header: 'Categoria', required: true },
+  { field: 'price', header: 'Preço', type: 'number', required: true },
+  { field: 'cost', header: 'Custo', type: 'number' },
+  { field: 'stock', header: 'Estoque', type: 'number' },
+  { field: 'location', header: 'Localização' },
+  { field: 'warrantyDays', header: 'Garantia (dias)', type: 'number' },
+  {
+    field: 'requiresUniqueIdentifier',
+    header: 'Exige IMEI/Serial',
+    type: 'boolean',
+  },
+  { field: 'publishToWeb', header: 'Publicar na Loja', type: 'boolean' },
+  {
+    field: 'ecommerceDetails.priceSold',
+    header: 'Loja - Preço Parcelado',
+    type: 'number',
+  },
+  {
+    field: 'ecommerceDetails.priceCash',
+    header: 'Loja - Preço à Vista',
+    type: 'number',
+  },
+  {
+    field: 'ecommerceDetails.installmentCount',
+    header: 'Loja - Parcelas',
+    type: 'number',
+  },
+];
+
+const getPath = (doc, field) =>
+  field.split('.').reduce((value, key) => value?.[key], doc);
+
+// Column definitions in the format of toCsv / toXlsx
+export const productExportColumns = () =>
+  PRODUCT_COLUMNS.map(({ field, header, type }) => ({
+    header,
+    value: (p) => {
+      const value = getPath(p, field);
+      if (type === 'boolean') return value ? 'Sim' : 'Não';
+      return value;
+    },
+  }));
+
+const normalizeHeader = (value) =>
+  (value ?? '')
+    .toString()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '') // Acentos
+    .trim()
+    .toLowerCase();
+
+/**
+ * Column index of each field. `mapping` ({ field: 'Header in the file' })
+ * overrides the default match by our header or the field name.
+ */
+export const resolveColumnMapping = (headerRow, mapping = {}) => {
+  const headers = headerRow.map(normalizeHeader);
+  const columns = {};
+
+  for (const column of PRODUCT_COLUMNS) {
+    const candidates = mapping[column.field]
+      ? [mapping[column.field]]
+      : [column.header, column.field];
+    const index = candidates
+      .map((c) => headers.indexOf(normalizeHeader(c)))
+      .find((i) => i !== -1);
+
+    if (index !== undefined) {
+      columns[column.field] = index;
+    } else if (mapping[column.field]) {
+      throw httpError(
+        `Coluna "${mapping[column.field]}" não encontrada na planilha.`
+      );
+    }
+  }
+
+  if (columns.barcode === undefined) {
+    throw httpError('A planilha precisa de uma coluna de código de barras.');
+  }
+  return columns;
+};
+
+const parseBoolean = (value) => {
+  const text = normalizeHeader(value);
+  if (['sim', 's', 'true', '1', 'x', 'yes'].includes(text)) return true;
+  if (['nao', 'n', 'false', '0', 'no'].includes(text)) return false;
+  return undefined;
+};
+
+// Cell values of one line: empty cells are "not informed"
+const parseRow = (cells, columns) => {
+  const values = {};
+  const errors = [];
+
+  for (const column of PRODUCT_COLUMNS) {
+    const index = columns[column.field];
+    if (index === undefined) continue;
+    const raw = cells[index];
+    if (raw === undefined || raw === null || raw.toString().trim() === '') {
+      continue;
+    }
+
+    if (column.type === 'number') {
+      const number = parseDecimal(raw);
+      if (Number.isNaN(number)) {
+        errors.push(`${column.header}: valor numérico inválido (${raw}).`);
+      } else if (number < 0) {
+        errors.push(`${column.header}: não pode ser negativo.`);
+      } else {
+        values[column.field] = number;
+      }
+    } else if (column.type === 'boolean') {
+      const flag = parseBoolean(raw);
+      if (flag === undefined) {
+        errors.push(`${column.header}: use Sim ou Não (${raw}).`);
+      } else {
+        values[column.field] = flag;
+      }
+    } else {
+      values[column.field] = raw.toString().trim();
+    }
+  }
+
+  return { values, errors };
+};
+
+const hasEcommerceValues = (values) =>
+  Object.keys(values).some((field) => field.startsWith('ecommerceDetails.'));
+
+/**
+ * Validates every line against the file and the tenant catalogue. Existing
+ * barcodes are updates (only the informed columns change); new ones need
+ * all required columns.
+ * Returns { rows: [{ row, barcode, action, values, errors }], summary }.
+ */
+export const validateProductImport = async (tenantId, table, mapping) => {
+  const [headerRow, ...lines] = table;
+  if (!headerRow || lines.length === 0) {
+    throw httpError('A planilha está vazia.');
+  }
+  if (lines.length > MAX_IMPORT_ROWS) {
+    throw httpError(
+      `Limite de ${MAX_IMPORT_ROWS} linhas por importação. Divida a planilha.`
+    );
+  }
+
+  const columns = resolveColumnMapping(headerRow, mapping);
+  const parsed = lines.map((cells, i) => ({
+    row: i + 2, // Line in the spreadsheet (1 = header)
+    ...parseRow(cells, columns),
+  }));
+
+  const barcodes = parsed.map((p) => p.values.barcode).filter(Boolean);
+  const existing = await Product.find({
+    tenantId,
+    barcode: { $in: barcodes },
+  }).select('barcode ecommerceDetails');
+  const existingByBarcode = new Map(existing.map((p) => [p.barcode, p]));
+
+  const firstLine = new Map();
+  const rows = parsed.map(({ row, values, errors }) => {
+    const barcode = values.barcode;
+    const current = existingByBarcode.get(barcode);
+    const action = current ? 'update' : 'create';
+
+    if (barcode) {
+      if (firstLine.has(barcode)) {
+        errors.push(
+          `Código de barras repetido na planilha (linha ${firstLine.get(
+            barcode
+          )}).`
+        );
+      } else {
+        firstLine.set(barcode, row);
+      }
+    }
+
+    if (action === 'create') {
+      for (const column of PRODUCT_COLUMNS) {
+        if (column.required && values[column.field] === undefined) {
+          errors.push(`${column.header} é obrigatório.`);
+        }
+      }
+    }
+    if (values.price === 0) {
+      errors.push('Preço deve ser maior que zero.');
+    }
+    // ecommerceDetails requires both prices when it is created
+    if (
+      hasEcommerceValues(values) &&
+      !current?.ecommerceDetails &&
+      (values['ecommerceDetails.priceSold'] === undefined ||
+        values['ecommerceDetails.priceCash'] === undefined)
+    ) {
+      errors.push('Informe os preços à vista e parcelado da loja online.');
+    }
+
+    return { row, barcode, action, values, errors };
+  });
+
+  const valid = rows.filter((r) => r.errors.length === 0);
+  return {
+    rows,
+    summary: {
+      total: rows.length,
+      valid: valid.length,
+      invalid: rows.length - valid.length,
+      create: valid.filter((r) => r.action === 'create').length,
+      update: valid.filter((r) => r.action === 'update').length,
+    },
+  };
+};
+
+// { 'ecommerceDetails.priceSold': 10 } -> { ecommerceDetails: { priceSold: 10 } }
+const toDocument = (values) => {
+  const doc = {};
+  for (const [field, value] of Object.entries(values)) {
+    const keys = field.split('.');
+    const last = keys.pop();
+    const target = keys.reduce((obj, key) => (obj[key] ??= {}), doc);
+    target[last] = value;
+  }
+  return doc;
+};
+
+/**
+ * Writes the valid lines. Stock set by the spreadsheet goes to the Kardex
+ * like the product form: opening balance on create, adjustment on update.
+ */
+export const applyProductImport = async ({ tenantId, rows, user }, session) => {
+  for (const { action, values } of rows) {
+    if (action === 'create') {
+      const [product] = await Product.create(
+        [
+          {
+            ...toDocument(values),
+            _id: values.barcode,
+            tenantId,
+          },
+        ],
+        { session }
+      );
+      await recordStockMovement(
+        {
+          tenantId,
+          product,
+          quantity: product.stock,
+          reason: StockMovementReason.INITIAL,
+          user,
+        },
+        session
+      );
+      continue;
+    }
+
+    const previous = await Product.findOneAndUpdate(
+      { tenantId, barcode: values.barcode },
+      { $set: values },
+      { new: false, session }
+    );
+    // Delta from the pre-image and the stock of the spreadsheet
+    if (values.stock !== undefined && values.stock !== previous.stock) {
+      await recordStockMovement(
+        {
+          tenantId,
+          product: {
+            id: previous.id,
+            name: values.name ?? previous.name,
+            cost: values.cost ?? previous.cost,
+            stock: values.stock,
+          },
+          quantity: values.stock - previous.stock,
+          reason: StockMovementReason.MANUAL_ADJUSTMENT,
+          user,
+        },
+        session
+      );
+    }
+  }
+};
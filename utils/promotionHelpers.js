@@ -0,0 +1,276 @@
+import Promotion from '../models/Promotion.js';
+import PromotionUsage from '../models/PromotionUsage.js';
+import Product from '../models/Product.js';
+import Service from '../models/Service.js';
+import { PromotionType } from '../types.js';
+import { httpError } from './httpError.js';
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+export const normalizeCouponCode = (code) =>
+  (code || '').toString().replace(/\s/g, '').toUpperCase();
+
+// Price, category and brand of every cart line, straight from the catalog:
+// prices sent by the client never size a discount or a minimum cart
+const loadCartLines = async (tenantId, lines, session) => {
+  const ids = (type) => lines.filter((l) => l.type === type).map((l) => l.id);
+  // Sequential: operations of one transaction must not run in parallel
+  const products = await Product.find({
+    tenantId,
+    _id: { $in: ids('product') },
+  })
+    .select('price category brand')
+    .session(session || null);
+  const services = await Service.find({
+    tenantId,
+    _id: { $in: ids('service') },
+  })
+    .select('price brand')
+    .session(session || null);
+  const catalog = new Map(
+    [...products, ...services].map((doc) => [doc.id, doc])
+  );
+
+  return lines.map((line) => ({
+    ...line,
+    quantity: Number(line.quantity),
+    unitPrice: catalog.get(line.id)?.price || 0,
+    category: catalog.get(line.id)?.category,
+    brand: catalog.get(line.id)?.brand,
+  }));
+};
+
+const matchesTarget = (line, target = {}) => {
+  const { categories = [], brands = [], itemIds = [] } = target;
+  if (!categories.length && !brands.length && !itemIds.length) return true;
+  return (
+    itemIds.includes(line.id) ||
+    (!!line.category && categories.includes(line.category)) ||
+    (!!line.brand && brands.includes(line.brand))
+  );
+};
+
+// Discount of one promotion over the cart (0 when it does not apply)
+const computeDiscount = (promotion, lines) => {
+  const eligible = lines.filter((l) => matchesTarget(l, promotion.target));
+  const eligibleTotal = eligible.reduce(
+    (sum, l) => sum + l.quantity * l.unitPrice,
+    0
+  );
+  if (eligibleTotal <= 0) return 0;
+
+  switch (promotion.type) {
+    case PromotionType.PERCENTAGE:
+      return round2((eligibleTotal * Math.min(promotion.value, 100)) / 100);
+    case PromotionType.FIXED:
+      return round2(Math.min(promotion.value, eligibleTotal));
+    case PromotionType.BUY_X_GET_Y: {
+      const groupSize = promotion.buyQuantity + promotion.getQuantity;
+      if (!(groupSize > 0)) return 0;
+      // Every full group of X + Y units gets its Y cheapest units off
+      const unitPrices = eligible
+        .flatMap((l) => Array(Math.floor(l.quantity)).fill(l.unitPrice))
+        .sort((a, b) => a - b);
+      const freeUnits =
+        Math.floor(unitPrices.length / groupSize) * promotion.getQuantity;
+      const freeValue = unitPrices
+        .slice(0, freeUnits)
+        .reduce((sum, price) => sum + price, 0);
+      const percentOff = promotion.value > 0 ? promotion.value : 100;
+      return round2((freeValue * Math.min(percentOff, 100)) / 100);
+    }
+    default:
+      return 0;
+  }
+};
+
+// Uses of the promotion by this customer (registered id or phone)
+const countCustomerUsage = (tenantId, promotion, customer, session) => {
+  const or = [];
+  if (customer.customerId) or.push({ customerId: customer.customerId });
+  if (customer.customerPhone)
+    or.push({ customerPhone: customer.customerPhone });
+  if (or.length === 0) return 0;
+  return PromotionUsage.countDocuments({
+    tenantId,
+    promotionId: promotion.id,
+    $or: or,
+  }).session(session || null);
+};
+
+// Reason why a promotion cannot be used now, or null
+const checkAvailability = async (
+  { tenantId, promotion, subtotal, customer },
+  session
+) => {
+  if (
+    promotion.usageLimit > 0 &&
+    promotion.usageCount >= promotion.usageLimit
+  ) {
+    return 'limite de usos atingido';
+  }
+  if (subtotal + 0.001 < (promotion.minCartValue || 0)) {
+    return `valor mínimo de R$ ${promotion.minCartValue.toFixed(2)}`;
+  }
+  if (promotion.usageLimitPerCustomer > 0) {
+    if (!customer.customerId && !customer.customerPhone) {
+      return 'identifique o cliente para usar este cupom';
+    }
+    const used = await countCustomerUsage(
+      tenantId,
+      promotion,
+      customer,
+      session
+    );
+    if (used >= promotion.usageLimitPerCustomer) {
+      return 'limite de usos por cliente atingido';
+    }
+  }
+  return null;
+};
+
+/**
+ * Promotion the cart gets: the informed coupon or, without one, the best
+ * automatic promotion (no code) of the channel. One promotion per document.
+ * lines: [{ id, type, quantity }], priced from the catalog. An unusable
+ * coupon is a 409. Returns { subtotal, discount, promotion } at catalog
+ * prices (promotion null when none applies).
+ */
+export const evaluatePromotions = async (
+  {
+    tenantId,
+    lines,
+    channel,
+    couponCode,
+    customerId,
+    customerPhone,
+    now = new Date(),
+  },
+  session
+) => {
+  const cart = await loadCartLines(tenantId, lines, session);
+  const subtotal = round2(
+    cart.reduce((sum, l) => sum + l.quantity * l.unitPrice, 0)
+  );
+  const customer = {
+    customerId,
+    customerPhone: customerPhone
+      ? customerPhone.toString().replace(/\D/g, '')
+      : undefined,
+  };
+  const code = normalizeCouponCode(couponCode);
+
+  const query = {
+    tenantId,
+    code: code || null, // null: automatic promotions only
+    active: true,
+    channels: channel,
+    $and: [
+      { $or: [{ startsAt: null }, { startsAt: { $lte: now } }] },
+      { $or: [{ endsAt: null }, { endsAt: { $gte: now } }] },
+    ],
+  };
+  const promotions = await Promotion.find(query).session(session || null);
+
+  if (code && promotions.length === 0) {
+    throw httpError(`Cupom ${code} inválido ou fora da validade.`, 409);
+  }
+
+  let best = null;
+  for (const promotion of promotions) {
+    const reason = await checkAvailability(
+      { tenantId, promotion, subtotal, customer },
+      session
+    );
+    const discount = reason ? 0 : computeDiscount(promotion, cart);
+    if (code) {
+      if (reason) throw httpError(`Cupom ${code}: ${reason}.`, 409);
+      if (discount <= 0) {
+        throw httpError(`Cupom ${code} não se aplica aos itens.`, 409);
+      }
+    }
+    if (discount > 0 && (!best || discount > best.discount)) {
+      best = {
+        promotionId: promotion.id,
+        name: promotion.name,
+        code: promotion.code,
+        type: promotion.type,
+        discount,
+      };
+    }
+  }
+
+  return { subtotal, discount: best?.discount || 0, promotion: best };
+};
+
+/**
+ * Books the use of the applied promotion by a document. The total cap is
+ * enforced atomically (two carts cannot take the last use).
+ */
+export const recordPromotionUsage = async (
+  { tenantId, promotion, customerId, customerPhone, documentType, documentId },
+  session
+) => {
+  const claimed = await Promotion.findOneAndUpdate(
+    {
+      _id: promotion.promotionId,
+      tenantId,
+      $expr: {
+        $or: [
+          { $lte: [{ $ifNull: ['$usageLimit', 0] }, 0] },
+          { $lt: ['$usageCount', '$usageLimit'] },
+        ],
+      },
+    },
+    { $inc: { usageCount: 1 } },
+    { new: true, session }
+  );
+  if (!claimed) {
+    throw httpError(
+      `Promoção ${promotion.name}: limite de usos atingido.`,
+      409
+    );
+  }
+
+  await PromotionUsage.create(
+    [
+      {
+        tenantId,
+        promotionId: promotion.promotionId,
+        customerId,
+        customerPhone: customerPhone
+          ? customerPhone.toString().replace(/\D/g, '')
+          : undefined,
+        documentType,
+        documentId,
+        discount: promotion.discount,
+      },
+    ],
+    { session }
+  );
+};
+
+// Gives the use back when the sale/order is deleted
+export const releasePromotionUsage = async (
+  { tenantId, documentType, documentId },
+  session
+) => {
+  const usages = await PromotionUsage.find({
+    tenantId,
+    documentType,
+    documentId,
+  }).session(session || null);
+
+  for (const usage of usages) {
+    await Promotion.updateOne(
+      { _id: usage.promotionId, tenantId, usageCount: { $gt: 0 } },
+      { $inc: { usageCount: -1 } },
+      { session }
+    );
+  }
+  await PromotionUsage.deleteMany({
+    tenantId,
+    documentType,
+    documentId,
+  }).session(session || null);
+};
@@ -0,0 +1,317 @@
+// Non-fiscal receipt (cupom não fiscal) rendering for thermal printers.
+// A receipt is a list of fixed-width lines built once and rendered as
+// ESC/POS bytes, plain text or a single-page PDF (monospaced, same layout).
+
+export const RECEIPT_WIDTHS = {
+  58: { columns: 32, points: 164 }, // 58mm paper, Font A
+  80: { columns: 48, points: 227 }, // 80mm paper, Font A
+};
+
+const DEFAULT_WIDTH = 80;
+
+export const resolveReceiptWidth = (value) =>
+  RECEIPT_WIDTHS[value] ? Number(value) : DEFAULT_WIDTH;
+
+// Thermal printers and the PDF standard fonts only cover Latin-1 (WinAnsi)
+const toLatin1 = (value) =>
+  (value ?? '')
+    .toString()
+    .replace(/[–—]/g, '-')
+    .replace(/[‘’]/g, "'")
+    .replace(/[“”]/g, '"')
+    .replace(/[^\x0A\x20-\x7E\xA0-\xFF]/g, '?');
+
+export const formatMoney = (value) =>
+  `R$ ${(Number(value) || 0).toFixed(2).replace('.', ',')}`;
+
+export const formatDateTime = (date) =>
+  new Date(date).toLocaleString('pt-BR', {
+    timeZone: 'America/Sao_Paulo',
+    day: '2-digit',
+    month: '2-digit',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+
+// Word wrap (long words are hard-split)
+const wrap = (text, columns) => {
+  const lines = [];
+  for (const paragraph of toLatin1(text).split('\n')) {
+    let current = '';
+    for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+      let chunk = word;
+      while (chunk.length > columns) {
+        if (current) {
+          lines.push(current);
+          current = '';
+        }
+        lines.push(chunk.slice(0, columns));
+        chunk = chunk.slice(columns);
+      }
+      if (!current) current = chunk;
+      else if (current.length + 1 + chunk.length <= columns) {
+        current += ` ${chunk}`;
+      } else {
+        lines.push(current);
+        current = chunk;
+      }
+    }
+    lines.push(current);
+  }
+  return lines;
+};
+
+/**
+ * Small line builder shared by the receipts (sales, quotes...).
+ * Each entry is { text, bold } with text already padded to `columns`.
+ */
+export const createReceiptLayout = (columns) => {
+  const lines = [];
+
+  const push = (text, bold = false) =>
+    lines.push({ text: toLatin1(text).slice(0, columns), bold });
+
+  const layout = {
+    columns,
+    lines,
+    blank: () => push(''),
+    separator: (char = '-') => push(char.repeat(columns)),
+    text: (text, bold) => wrap(text, columns).forEach((l) => push(l, bold)),
+    center: (text, bold) =>
+      wrap(text, columns).forEach((l) =>
+        push(' '.repeat(Math.floor((columns - l.length) / 2)) + l, bold)
+      ),
+    // Label on the left, value aligned to the right margin
+    pair: (label, value, bold) => {
+      const right = toLatin1(value);
+      const space = columns - right.length - 1;
+      const left = wrap(label, Math.max(space, 1));
+      left.slice(0, -1).forEach((l) => push(l, bold));
+      const last = left[left.length - 1];
+      push(last.padEnd(columns - right.length) + right, bold);
+    },
+  };
+  return layout;
+};
+
+// Company header from StoreConfig.companyInfo
+export const addCompanyHeader = (layout, companyInfo = {}) => {
+  const address = companyInfo.address || {};
+  const street = [address.street, address.number].filter(Boolean).join(', ');
+  const streetLine = [street, address.neighborhood].filter(Boolean).join(' - ');
+  const cityLine = [address.city, address.state].filter(Boolean).join('/');
+
+  if (companyInfo.name) layout.center(companyInfo.name, true);
+  if (companyInfo.cnpjCpf) layout.center(`CNPJ/CPF: ${companyInfo.cnpjCpf}`);
+  if (streetLine) layout.center(streetLine);
+  if (cityLine || companyInfo.phone) {
+    layout.center([cityLine, companyInfo.phone].filter(Boolean).join(' - '));
+  }
+  layout.separator('=');
+};
+
+// Item lines: name, IMEI/Série and "qty x unit .... total"
+export const addReceiptItems = (layout, items = []) => {
+  for (const saleItem of items) {
+    const name = saleItem.item?.name || saleItem.item?.id || 'Item';
+    layout.text(name);
+    if (saleItem.uniqueIdentifier) {
+      layout.text(`IMEI/Série: ${saleItem.uniqueIdentifier}`);
+    }
+    layout.pair(
+      `${saleItem.quantity} x ${formatMoney(saleItem.unitPrice)}`,
+      formatMoney(saleItem.quantity * saleItem.unitPrice)
+    );
+  }
+};
+
+export const addReceiptFooter = (layout, footer) => {
+  if (footer) {
+    layout.separator();
+    layout.center(footer);
+  }
+  layout.blank();
+};
+
+// --- Renderers ---
+
+const ESC = '\x1b';
+const GS = '\x1d';
+
+// ESC @ (init), ESC t 16 (WPC1252), ESC E n (bold), GS V 66 n (feed + cut)
+export const renderEscPos = (lines, { cut = true } = {}) => {
+  let out = `${ESC}@${ESC}t\x10`;
+  for (const line of lines) {
+    out += line.bold
+      ? `${ESC}E\x01${line.text}${ESC}E\x00\n`
+      : `${line.text}\n`;
+  }
+  out += cut ? `${GS}V\x42\x03` : '\n\n\n';
+  return Buffer.from(out, 'latin1');
+};
+
+export const renderPlainText = (lines) =>
+  lines.map((line) => line.text).join('\n') + '\n';
+
+const escapePdfText = (text) => text.replace(/([\\()])/g, '\\$1');
+
+/**
+ * Single-page PDF sized to the paper roll, using the standard Courier fonts
+ * (no embedding needed, WinAnsi covers Portuguese accents).
+ */
+export const renderPdf = (lines, width = DEFAULT_WIDTH) => {
+  const { columns, points } = RECEIPT_WIDTHS[resolveReceiptWidth(width)];
+  const margin = 8;
+  // Courier glyphs are 0.6em wide
+  const fontSize =
+    Math.floor(((points - margin * 2) / (columns * 0.6)) * 100) / 100;
+  const leading = Math.round(fontSize * 1.25 * 100) / 100;
+  const height = Math.ceil(margin * 2 + leading * (lines.length + 1));
+
+  let content = `BT\n${leading} TL\n${margin} ${
+    height - margin - fontSize
+  } Td\n`;
+  let currentFont = null;
+  for (const line of lines) {
+    const font = line.bold ? 'F2' : 'F1';
+    if (font !== currentFont) {
+      content += `/${font} ${fontSize} Tf\n`;
+      currentFont = font;
+    }
+    content += `(${escapePdfText(line.text)}) Tj T*\n`;
+  }
+  content += 'ET\n';
+  const stream = Buffer.from(content, 'latin1');
+
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${points} ${height}] /Resources << /Font << /F1 4 0 R /F2 5 0 R >> >> /Contents 6 0 R >>`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Courier-Bold /Encoding /WinAnsiEncoding >>',
+    `<< /Length ${stream.length} >>\nstream\n${stream.toString(
+      'latin1'
+    )}endstream`,
+  ];
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = [];
+  objects.forEach((body, index) => {
+    offsets.push(Buffer.byteLength(pdf, 'latin1'));
+    pdf += `${index + 1} 0 obj\n${body}\nendobj\n`;
+  });
+
+  const xrefOffset = Buffer.byteLength(pdf, 'latin1');
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  offsets.forEach((offset) => {
+    pdf += `${offset.toString().padStart(10, '0')} 00000 n \n`;
+  });
+  pdf += `trailer\n<< /Size ${
+    objects.length + 1
+  } /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(pdf, 'latin1');
+};
+
+// Sends the receipt in the requested format (pdf | escpos | text)
+export const sendReceipt = (res, lines, { format, width, filename }) => {
+  if (format === 'escpos') {
+    res.set('Content-Type', 'application/octet-stream');
+    res.set('Content-Disposition', `attachment; filename="${filename}.bin"`);
+    return res.send(renderEscPos(lines));
+  }
+  if (format === 'text') {
+    res.set('Content-Type', 'text/plain; charset=utf-8');
+    return res.send(renderPlainText(lines));
+  }
+  res.set('Content-Type', 'application/pdf');
+  res.set('Content-Disposition', `inline; filename="${filename}.pdf"`);
+  return res.send(renderPdf(lines, width));
+};
+
+// Cupom não fiscal of a TicketSale
+export const buildSaleReceipt = ({ sale, config, customer, width }) => {
+  const layout = createReceiptLayout(
+    RECEIPT_WIDTHS[resolveReceiptWidth(width)].columns
+  );
+  addCompanyHeader(layout, config?.companyInfo);
+
+  layout.center('CUPOM NÃO FISCAL', true);
+  layout.pair('Venda:', sale.id);
+  layout.pair('Data:', formatDateTime(sale.timestamp));
+  layout.separator();
+
+  addReceiptItems(layout, sale.items);
+  layout.separator();
+
+  const subtotal = sale.items.reduce(
+    (sum, i) => sum + i.quantity * i.unitPrice,
+    0
+  );
+  const discount = Math.round((subtotal - sale.total) * 100) / 100;
+  layout.pair('Subtotal', formatMoney(subtotal));
+  if (discount > 0) layout.pair('Desconto', `-${formatMoney(discount)}`);
+  layout.pair('TOTAL', formatMoney(sale.total), true);
+  layout.separator();
+
+  layout.text('Pagamento:');
+  if (sale.payments?.length) {
+    for (const payment of sale.payments) {
+      const installments =
+        payment.installments > 1 ? ` (${payment.installments}x)` : '';
+      layout.pair(
+        `${payment.method}${installments}`,
+        formatMoney(payment.amount)
+      );
+    }
+  } else {
+    // Legacy tickets only carry the summary label
+    layout.pair(sale.paymentMethod || '-', formatMoney(sale.total));
+  }
+  layout.separator();
+
+  if (sale.customerName) layout.text(`Cliente: ${sale.customerName}`);
+  if (customer?.cnpjCpf) layout.text(`CPF/CNPJ: ${customer.cnpjCpf}`);
+  layout.text(`Operador: ${sale.userName}`);
+
+  addReceiptFooter(layout, config?.receiptSettings?.footer);
+  return layout.lines;
+};
+
+// Printable quote (orçamento): same layout, with validity instead of payments
+export const buildQuoteReceipt = ({ quote, config, width }) => {
+  const layout = createReceiptLayout(
+    RECEIPT_WIDTHS[resolveReceiptWidth(width)].columns
+  );
+  addCompanyHeader(layout, config?.companyInfo);
+
+  layout.center('ORÇAMENTO', true);
+  layout.pair('Número:', quote.id);
+  layout.pair('Data:', formatDateTime(quote.timestamp));
+  layout.pair('Válido até:', formatDateTime(quote.validUntil));
+  layout.separator();
+
+  addReceiptItems(layout, quote.items);
+  layout.separator();
+
+  layout.pair('Subtotal', formatMoney(quote.subtotal));
+  if (quote.discount > 0) {
+    layout.pair('Desconto', `-${formatMoney(quote.discount)}`);
+  }
+  layout.pair('TOTAL', formatMoney(quote.total), true);
+  layout.separator();
+
+  if (quote.customerName) layout.text(`Cliente: ${quote.customerName}`);
+  if (quote.customerCnpjCpf) layout.text(`CPF/CNPJ: ${quote.customerCnpjCpf}`);
+  layout.text(`Vendedor: ${quote.userName}`);
+  if (quote.notes) {
+    layout.blank();
+    layout.text(quote.notes);
+  }
+
+  layout.blank();
+  layout.center('Este documento não é válido como recibo.');
+  addReceiptFooter(layout, config?.receiptSettings?.footer);
+  return layout.lines;
+};
@@ -0,0 +1,157 @@
+import Product from '../models/Product.js';
+import TicketSale from '../models/TicketSale.js';
+import PurchaseOrder from '../models/PurchaseOrder.js';
+import StoreConfig from '../models/StoreConfig.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// "Mensal (30 dias)" -> 30
+export const parseTurnoverDays = (turnoverPeriod) => {
+  const match = /(\d+)\s*dias?/i.exec(turnoverPeriod || '');
+  return match ? Number(match[1]) : 30;
+};
+
+/**
+ * Cover zones of StoreConfig.stockThresholds (days of cover):
+ * below riskMin = critical, below riskMax = risk, up to safetyMax = safe,
+ * above = excess (same zones used by the discount incentives).
+ */
+export const classifyCover = (daysOfCover, thresholds) => {
+  if (daysOfCover === null) return 'no_sales';
+  if (daysOfCover < thresholds.riskMin) return 'critical';
+  if (daysOfCover < thresholds.riskMax) return 'risk';
+  if (daysOfCover <= thresholds.safetyMax) return 'safe';
+  return 'excess';
+};
+
+// Net units sold per product in the period (returns deducted)
+const getUnitsSold = async (tenantId, since) => {
+  const sold = await TicketSale.aggregate([
+    { $match: { tenantId, timestamp: { $gte: since } } },
+    { $unwind: '$items' },
+    { $match: { 'items.type': 'product' } },
+    {
+      $group: {
+        _id: '$items.item.id',
+        units: {
+          $sum: {
+            $subtract: [
+              '$items.quantity',
+              { $ifNull: ['$items.returnedQuantity', 0] },
+            ],
+          },
+        },
+      },
+    },
+  ]);
+  return new Map(sold.map((s) => [s._id, s.units]));
+};
+
+// Supplier and unit cost of the latest (confirmed) purchase of each product
+const getLastPurchases = async (tenantId) => {
+  const purchases = await PurchaseOrder.aggregate([
+    { $match: { tenantId, draft: { $ne: true } } },
+    // Confirmed drafts keep the draft date in createdAt
+    {
+      $addFields: { purchasedAt: { $ifNull: ['$confirmedAt', '$createdAt'] } },
+    },
+    { $sort: { purchasedAt: -1 } },
+    { $unwind: '$items' },
+    {
+      $group: {
+        _id: '$items.productId',
+        supplierInfo: { $first: '$supplierInfo' },
+        unitCost: { $first: '$items.unitCost' },
+        purchasedAt: { $first: '$purchasedAt' },
+      },
+    },
+  ]);
+  return new Map(purchases.map((p) => [p._id, p]));
+};
+
+export const supplierKeyOf = (supplierInfo) =>
+  supplierInfo?.cnpjCpf?.replace(/\D/g, '') || supplierInfo?.name || null;
+
+/**
+ * Purchase suggestions: average daily sales over the turnover period, days
+ * of cover of the current stock and the quantity that brings the cover back
+ * to safetyMax for products below riskMax. Grouped by last supplier.
+ */
+export const buildReplenishmentSuggestions = async (
+  tenantId,
+  { days, category, now = new Date() } = {}
+) => {
+  const config = await StoreConfig.findOne({ tenantId })
+    .select('turnoverPeriod stockThresholds')
+    .lean();
+  const thresholds = {
+    riskMin: config?.stockThresholds?.riskMin ?? 1,
+    riskMax: config?.stockThresholds?.riskMax ?? 15,
+    safetyMax: config?.stockThresholds?.safetyMax ?? 45,
+  };
+  const periodDays = days || parseTurnoverDays(config?.turnoverPeriod);
+  const since = new Date(now.getTime() - periodDays * DAY_MS);
+
+  const productQuery = { tenantId };
+  if (category) productQuery.category = category;
+  const products = await Product.find(productQuery)
+    .select('name barcode category brand stock cost')
+    .lean();
+  const unitsSold = await getUnitsSold(tenantId, since);
+  const lastPurchases = await getLastPurchases(tenantId);
+
+  const groups = new Map();
+  for (const product of products) {
+    const units = Math.max(unitsSold.get(product._id) || 0, 0);
+    const averageDailySales = units / periodDays;
+    const stock = Math.max(product.stock, 0);
+    const daysOfCover =
+      averageDailySales > 0 ? round2(stock / averageDailySales) : null;
+    const status = classifyCover(daysOfCover, thresholds);
+    if (status !== 'critical' && status !== 'risk') continue;
+
+    const suggestedQuantity = Math.ceil(
+      averageDailySales * thresholds.safetyMax - stock
+    );
+    if (suggestedQuantity <= 0) continue;
+
+    const lastPurchase = lastPurchases.get(product._id);
+    const supplierKey = supplierKeyOf(lastPurchase?.supplierInfo);
+    if (!groups.has(supplierKey)) {
+      groups.set(supplierKey, {
+        supplierKey,
+        supplierInfo: lastPurchase?.supplierInfo || null,
+        items: [],
+        totalCost: 0,
+      });
+    }
+
+    const group = groups.get(supplierKey);
+    const unitCost = lastPurchase?.unitCost ?? product.cost ?? 0;
+    group.items.push({
+      productId: product._id,
+      productName: product.name,
+      category: product.category,
+      stock: product.stock,
+      unitsSold: units,
+      averageDailySales: round2(averageDailySales),
+      daysOfCover,
+      status,
+      suggestedQuantity,
+      unitCost,
+      lastPurchaseAt: lastPurchase?.purchasedAt || null,
+    });
+    group.totalCost = round2(group.totalCost + suggestedQuantity * unitCost);
+  }
+
+  const suppliers = [...groups.values()]
+    .map((g) => ({
+      ...g,
+      items: g.items.sort((a, b) => a.daysOfCover - b.daysOfCover),
+    }))
+    // Products never bought last (no supplier to send the order to)
+    .sort((a, b) => (a.supplierKey === null) - (b.supplierKey === null));
+
+  return { periodDays, since, thresholds, suppliers };
+};
@@ -0,0 +1,583 @@
+import TicketSale from '../models/TicketSale.js';
+import Product from '../models/Product.js';
+import Service from '../models/Service.js';
+import CashTransaction from '../models/CashTransaction.js';
+import Customer from '../models/Customer.js';
+import StoreConfig from '../models/StoreConfig.js';
+import {
+  TransactionType,
+  TransactionCategory,
+  TransactionStatus,
+  PaymentMethod,
+  DocumentType,
+  PromotionChannel,
+  StockMovementReason,
+} from '../types.js';
+import { nextDocumentNumber } from './documentNumbers.js';
+import { httpError } from './httpError.js';
+import { sellSerial, normalizeSerial } from './serialHelpers.js';
+import { resolveSaleRegister, getRegisterAt } from './cashRegisterHelpers.js';
+import { createInstallmentPlan } from './crediarioHelpers.js';
+import { redeemGiftCard, bookStoredValueEntry } from './giftCardHelpers.js';
+import {
+  evaluatePromotions,
+  recordPromotionUsage,
+} from './promotionHelpers.js';
+import { createSaleWarranties } from './warrantyHelpers.js';
+import { moveStock } from './stockLedger.js';
+import {
+  DISCOUNT_POLICY_FIELDS,
+  evaluateSaleDiscounts,
+  resolveDiscountOverride,
+} from './discountPolicy.js';
+
+// Tenders that settle a ticket without money coming in (no CashTransaction)
+const NON_CASH_TENDERS = [PaymentMethod.EXCHANGE_CREDIT];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Acquirer fee rate (%) for a tender, from the StoreConfig fee settings
+export const getAcquirerFeeRate = (config, payment) => {
+  if (!config) return 0;
+
+  switch (payment.method) {
+    case PaymentMethod.PIX:
+      return config.feePix || 0;
+    case PaymentMethod.DEBIT_CARD:
+      return config.feeDebit || 0;
+    case PaymentMethod.CREDIT_CARD_SIGHT:
+      return config.feeCreditSight || 0;
+    case PaymentMethod.CREDIT_CARD_INSTALLMENT:
+      return config.feeCreditInstallment || 0;
+    case PaymentMethod.CREDIT_CARD:
+      return (
+        (payment.installments > 1
+          ? config.feeCreditInstallment
+          : config.feeCreditSight) || 0
+      );
+    default:
+      return 0;
+  }
+};
+
+// Normalizes the tenders of a sale. Accepts the new `payments` array or the
+// legacy single `paymentMethod` string (whole total in one method).
+export const normalizePayments = (payments, paymentMethod, total) => {
+  if (Array.isArray(payments) && payments.length > 0) {
+    return payments.map((p) => ({
+      method: p.method,
+      amount: Number(p.amount),
+      installments:
+        p.installments && p.installments > 0 ? parseInt(p.installments) : 1,
+      firstDueDate: p.firstDueDate, // Crediário only
+      giftCardCode: p.giftCardCode, // Vale-presente / crédito em loja only
+    }));
+  }
+  return [{ method: paymentMethod, amount: Number(total), installments: 1 }];
+};
+
+export const validatePayments = (payments, total) => {
+  for (const p of payments) {
+    if (!p.method) return 'Forma de pagamento não informada.';
+    if (isNaN(p.amount) || p.amount <= 0)
+      return `Valor inválido para o pagamento em ${p.method}.`;
+  }
+  const sum = payments.reduce((acc, p) => acc + p.amount, 0);
+  if (Math.abs(sum - Number(total)) > 0.01) {
+    return `A soma dos pagamentos (R$ ${sum.toFixed(
+      2
+    )}) não confere com o total da venda (R$ ${Number(total).toFixed(2)}).`;
+  }
+  return null;
+};
+
+// Upserts the customer by phone (Scoped by Tenant). Returns the customer id or null.
+export const upsertSaleCustomer = async (
+  tenantId,
+  { customerName, customerWhatsapp, customerCnpjCpf },
+  session
+) => {
+  if (!customerWhatsapp || !customerName) return null;
+
+  const cleanedPhone = customerWhatsapp.replace(/\D/g, '');
+  const cleanedDoc = customerCnpjCpf
+    ? customerCnpjCpf.replace(/\D/g, '')
+    : null;
+
+  // SERVER-SIDE HARD STOP: Validation for CPF/CNPJ hijacking
+  if (cleanedDoc && cleanedDoc.length >= 11) {
+    // Support legacy formatted data lookup
+    const queries = [cleanedDoc];
+    if (cleanedDoc.length === 11)
+      queries.push(
+        cleanedDoc.replace(/(\d{3})(\d{3})(\d{3})(\d{2})/, '$1.$2.$3-$4')
+      );
+    if (cleanedDoc.length === 14)
+      queries.push(
+        cleanedDoc.replace(
+          /(\d{2})(\d{3})(\d{3})(\d{4})(\d{2})/,
+          '$1.$2.$3/$4-$5'
+        )
+      );
+
+    // Find ANY customer with this document (raw or formatted) in this tenant
+    const existingDocs = await Customer.find({
+      tenantId,
+      cnpjCpf: { $in: queries },
+    }).session(session);
+
+    for (const docCustomer of existingDocs) {
+      const existingPhoneClean = docCustomer.phone.replace(/\D/g, '');
+
+      // If we found a customer with this DOC, check if the phone is different
+      // If phone is different, it means we are trying to assign an existing CPF to a new/different person.
+      if (existingPhoneClean !== cleanedPhone) {
+        throw httpError(
+          `BLOQUEIO DE SEGURANÇA: O CPF/CNPJ informado já pertence ao cliente "${docCustomer.name}" (Tel: ${docCustomer.phone}). Não é possível usar o mesmo documento para números diferentes.`
+        );
+      }
+    }
+  }
+
+  // Safe to proceed with Upsert based on Phone
+  const customer = await Customer.findOneAndUpdate(
+    { tenantId, phone: cleanedPhone }, // Search by Tenant AND Phone
+    {
+      tenantId,
+      phone: cleanedPhone,
+      name: customerName,
+      cnpjCpf: cleanedDoc, // Update doc if provided (and valid). Saves as cleaned.
+    },
+    { new: true, upsert: true, setDefaultsOnInsert: true, session }
+  );
+  return customer.id;
+};
+
+// Full POS sale: customer upsert, stock, finance (one entry per tender) and ticket.
+// Shared by POST /api/sales and the exchange flow of /api/sale-returns.
+// Run it inside a transaction: a 409 (short stock) must roll back the
+// decrements already applied to the previous items.
+export const createSale = async (
+  {
+    tenantId,
+    user,
+    items,
+    total,
+    payments,
+    paymentMethod,
+    discountApplied,
+    customerName,
+    customerWhatsapp,
+    customerCnpjCpf,
+    customerId: presetCustomerId,
+    discountOverride,
+    couponCode,
+    timestamp, // Offline sync: when the sale really happened
+    offline = false,
+    extra = {},
+  },
+  { session } = {}
+) => {
+  // Use user data from JWT or fallback object created in middleware
+  const userId = user._id || user.id;
+  const userName = user.name || 'Usuário SaaS';
+  const now = timestamp ? new Date(timestamp) : new Date();
+  if (isNaN(now.getTime())) {
+    throw httpError('Data da venda inválida.');
+  }
+
+  if (
+    !Array.isArray(items) ||
+    items.length === 0 ||
+    total === undefined ||
+    isNaN(total)
+  ) {
+    throw httpError('Dados da venda incompletos.');
+  }
+  if (items.some((i) => !i?.item?.id)) {
+    throw httpError('Item sem identificação na venda.');
+  }
+  if (
+    items.some(
+      (i) => !Number.isInteger(Number(i.quantity)) || Number(i.quantity) <= 0
+    )
+  ) {
+    throw httpError('Quantidade inválida em um dos itens da venda.');
+  }
+  // Stock guard, ledger and ticket work on numbers, not on what the POS sent
+  items = items.map((i) => ({ ...i, quantity: Number(i.quantity) }));
+
+  const salePayments = normalizePayments(payments, paymentMethod, total);
+  const paymentError = validatePayments(salePayments, total);
+  if (paymentError) {
+    throw httpError(paymentError);
+  }
+  const paymentLabel = salePayments.map((p) => p.method).join(' + ');
+
+  // 1. Upsert customer logic (Scoped by Tenant). Skipped when the caller
+  // already resolved the customer (ex: exchange of a previous ticket).
+  const customerId =
+    presetCustomerId ||
+    (await upsertSaleCustomer(
+      tenantId,
+      { customerName, customerWhatsapp, customerCnpjCpf },
+      session
+    ));
+
+  // 2. Generate new Ticket ID (Scoped by Tenant)
+  const newTicketId = await nextDocumentNumber(
+    tenantId,
+    DocumentType.SALE,
+    now
+  );
+
+  // Promotions are evaluated by the server, never taken from the client:
+  // the total must give the customer at least the promotion discount
+  const promotionResult = await evaluatePromotions(
+    {
+      tenantId,
+      lines: items.map((i) => ({
+        id: i.item.id,
+        type: i.type,
+        quantity: i.quantity,
+      })),
+      channel: PromotionChannel.POS,
+      couponCode,
+      customerId,
+      customerPhone: customerWhatsapp,
+      now,
+    },
+    session
+  );
+  const { promotion } = promotionResult;
+  if (promotion) {
+    const expectedTotal = round2(
+      promotionResult.subtotal - promotionResult.discount
+    );
+    if (Number(total) > expectedTotal + 0.01) {
+      throw httpError(
+        `O total não considera a promoção ${
+          promotion.name
+        } (desconto de R$ ${promotion.discount.toFixed(2)}).`,
+        409,
+        { promotion, expectedTotal }
+      );
+    }
+    await recordPromotionUsage(
+      {
+        tenantId,
+        promotion,
+        customerId,
+        customerPhone: customerWhatsapp,
+        documentType: DocumentType.SALE,
+        documentId: newTicketId,
+      },
+      session
+    );
+  }
+
+  // 3. Update product stock AND Calculate Total Cost
+  const config = await StoreConfig.findOne({ tenantId })
+    .select(
+      `allowNegativeStock requireOpenCashRegister crediarioSettings feePix feeDebit feeCreditSight feeCreditInstallment ${DISCOUNT_POLICY_FIELDS}`
+    )
+    .session(session);
+  const allowNegativeStock = !!config?.allowNegativeStock;
+
+  // Shift (caixa) the ticket belongs to. Offline sales already happened: they
+  // go to the register open at that time (if any) and are never blocked.
+  const register = offline
+    ? await getRegisterAt(tenantId, now, session)
+    : await resolveSaleRegister(
+        tenantId,
+        config?.requireOpenCashRegister,
+        session
+      );
+  const cashRegisterSessionId = register?.id;
+
+  // Discount policy: prices and total sent by the POS are checked against
+  // cost, fees, taxes and stock level. Outside the policy only with approval.
+  const policy = await evaluateSaleDiscounts(
+    {
+      tenantId,
+      items,
+      total: Number(total),
+      feeAmount: salePayments.reduce(
+        (sum, p) => sum + (p.amount * getAcquirerFeeRate(config, p)) / 100,
+        0
+      ),
+      promotionDiscount: promotion?.discount || 0,
+      config,
+    },
+    session
+  );
+  let overrideRecord;
+  if (policy.violations.length > 0) {
+    if (!discountOverride) {
+      throw httpError(
+        `Venda fora da política de descontos: ${policy.violations.join('; ')}.`,
+        403,
+        {
+          requiresApproval: true,
+          violations: policy.violations,
+          contributionMargin: policy.contributionMargin,
+          items: policy.items,
+        }
+      );
+    }
+    overrideRecord = {
+      ...(await resolveDiscountOverride({
+        tenantId,
+        user,
+        override: discountOverride,
+      })),
+      approvedAt: now,
+      violations: policy.violations,
+    };
+  }
+
+  let saleTotalCost = 0;
+  const updatedItems = [];
+  const shortItems = [];
+
+  for (const saleItem of items) {
+    let itemCost = 0;
+
+    if (saleItem.type === 'product') {
+      // Conditional atomic decrement: only matches when there is enough stock,
+      // so two cashiers selling the last unit cannot both succeed.
+      const product = await moveStock(
+        {
+          tenantId,
+          productId: saleItem.item.id,
+          quantity: -saleItem.quantity,
+          filter: allowNegativeStock
+            ? {}
+            : { stock: { $gte: saleItem.quantity } },
+          set: { lastSold: now },
+          reason: StockMovementReason.SALE,
+          documentType: DocumentType.SALE,
+          documentId: newTicketId,
+          user,
+          date: now,
+        },
+        session
+      );
+
+      if (product) {
+        itemCost = product.cost;
+
+        // IMEI/Serial: the ticket must pick a unit that is really on the shelf
+        if (product.requiresUniqueIdentifier) {
+          if (!saleItem.uniqueIdentifier || Number(saleItem.quantity) !== 1) {
+            throw httpError(
+              `Informe o IMEI/Série de ${product.name} (uma linha por unidade).`
+            );
+          }
+          const serialDoc = await sellSerial(
+            {
+              tenantId,
+              serial: saleItem.uniqueIdentifier,
+              productId: product.id,
+              saleId: newTicketId,
+              customerId,
+              customerName,
+              userName,
+            },
+            session
+          );
+          if (!serialDoc) {
+            throw httpError(
+              `IMEI/Série ${saleItem.uniqueIdentifier} não está disponível em estoque para ${product.name}.`,
+              409
+            );
+          }
+          saleItem.uniqueIdentifier = normalizeSerial(
+            saleItem.uniqueIdentifier
+          );
+        }
+      } else {
+        // Find product within Tenant (Isolation check) to explain the failure
+        const existing = await Product.findOne({
+          _id: saleItem.item.id,
+          tenantId,
+        }).session(session);
+        if (!existing) {
+          throw httpError(
+            `Produto ${
+              saleItem.item.name || saleItem.item.id
+            } não encontrado no cadastro.`,
+            404
+          );
+        }
+        shortItems.push({
+          id: existing.id,
+          name: existing.name,
+          requested: saleItem.quantity,
+          available: existing.stock,
+        });
+      }
+    } else if (saleItem.type === 'service') {
+      // Find service within Tenant (Isolation check)
+      const service = await Service.findOne({
+        _id: saleItem.item.id,
+        tenantId,
+      }).session(session);
+      if (service) {
+        itemCost =
+          service.partCost + service.serviceCost + service.shippingCost;
+      }
+    }
+
+    saleTotalCost += itemCost * saleItem.quantity;
+
+    updatedItems.push({
+      ...saleItem,
+      unitCost: itemCost,
+    });
+  }
+
+  if (shortItems.length > 0) {
+    throw httpError(
+      `Estoque insuficiente: ${shortItems
+        .map(
+          (i) =>
+            `${i.name} (Disponível: ${i.available}, Necessário: ${i.requested})`
+        )
+        .join('; ')}.`,
+      409,
+      { shortItems }
+    );
+  }
+
+  // 4. Create one financial transaction per tender (+ acquirer fee expense)
+  let feeTotal = 0;
+
+  for (const payment of salePayments) {
+    if (NON_CASH_TENDERS.includes(payment.method)) continue;
+
+    // Crediário: receivable schedule instead of a paid income
+    if (payment.method === PaymentMethod.STORE_INSTALLMENT) {
+      await createInstallmentPlan(
+        {
+          tenantId,
+          saleId: newTicketId,
+          customerId,
+          amount: payment.amount,
+          installments: payment.installments,
+          firstDueDate: payment.firstDueDate,
+          settings: config?.crediarioSettings,
+          now,
+        },
+        session
+      );
+      continue;
+    }
+
+    // Stored value: debit the card (revenue is booked below as usual and the
+    // liability is consumed by a matching STORED_VALUE expense)
+    if (payment.method === PaymentMethod.STORED_VALUE) {
+      if (!payment.giftCardCode) {
+        throw httpError('Informe o código do vale-presente/crédito.');
+      }
+      const giftCard = await redeemGiftCard(
+        {
+          tenantId,
+          code: payment.giftCardCode,
+          amount: payment.amount,
+          documentType: DocumentType.SALE,
+          documentId: newTicketId,
+          userName,
+        },
+        session
+      );
+      payment.giftCardCode = giftCard.code;
+      await bookStoredValueEntry(
+        {
+          tenantId,
+          giftCard,
+          type: TransactionType.EXPENSE,
+          amount: payment.amount,
+          description: `Resgate ${giftCard.code} - Venda #${newTicketId}`,
+          links: { saleId: newTicketId, customerId: giftCard.customerId },
+          now,
+        },
+        session
+      );
+    }
+
+    const installmentLabel =
+      payment.installments > 1 ? ` (${payment.installments}x)` : '';
+
+    const newTransaction = new CashTransaction({
+      tenantId,
+      description: `Venda #${newTicketId} - ${payment.method}${installmentLabel}`,
+      amount: payment.amount,
+      type: TransactionType.INCOME,
+      category: TransactionCategory.SALES_REVENUE,
+      status: TransactionStatus.PAID,
+      timestamp: now,
+      dueDate: now,
+      saleId: newTicketId,
+      // Only physical cash goes through the drawer
+      cashRegisterSessionId:
+        payment.method === PaymentMethod.CASH
+          ? cashRegisterSessionId
+          : undefined,
+    });
+    await newTransaction.save({ session });
+
+    // Card/Pix fee booked as expense linked to the ticket, so deleting the
+    // sale (deleteMany by saleId) also removes it
+    const feeAmount = round2(
+      (payment.amount * getAcquirerFeeRate(config, payment)) / 100
+    );
+    if (feeAmount > 0) {
+      feeTotal += feeAmount;
+      const feeTransaction = new CashTransaction({
+        tenantId,
+        description: `Taxa ${payment.method}${installmentLabel} - Venda #${newTicketId}`,
+        amount: feeAmount,
+        type: TransactionType.EXPENSE,
+        category: TransactionCategory.ACQUIRER_FEE,
+        status: TransactionStatus.PAID,
+        timestamp: now,
+        dueDate: now,
+        paymentDate: now,
+        saleId: newTicketId,
+      });
+      await feeTransaction.save({ session });
+    }
+  }
+
+  // 5. Create and save the new sale
+  const newSale = new TicketSale({
+    ...extra,
+    tenantId,
+    _id: newTicketId,
+    items: updatedItems,
+    total,
+    totalCost: saleTotalCost,
+    feeTotal: round2(feeTotal),
+    discount: Math.max(Number(discountApplied) || 0, promotion?.discount || 0),
+    paymentMethod: paymentLabel,
+    payments: salePayments,
+    cashRegisterSessionId,
+    contributionMargin: policy.contributionMargin,
+    discountOverride: overrideRecord,
+    promotion: promotion || undefined,
+    customerName,
+    customerWhatsapp,
+    customerId,
+    userId,
+    userName,
+    timestamp: now,
+    saleHour: now.getHours(),
+  });
+  await newSale.save({ session });
+
+  // 6. Warranty of every sold line (IMEI lines are covered by serial)
+  await createSaleWarranties({ tenantId, sale: newSale }, session);
+
+  return newSale;
+};
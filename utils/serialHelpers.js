@@ -0,0 +1,313 @@
+import SerialNumber from '../models/SerialNumber.js';
+import Product from '../models/Product.js';
+import { SerialStatus, ReturnDestination } from '../types.js';
+import { httpError } from './httpError.js';
+
+// IMEIs are stored without spaces/dashes so lookups match any typing style
+export const normalizeSerial = (value) =>
+  (value || '')
+    .toString()
+    .replace(/[\s.-]/g, '')
+    .toUpperCase();
+
+// Collects { serial -> item } from the items of a PurchaseOrder
+const collectPurchaseSerials = (purchaseOrder) => {
+  const serials = new Map();
+  if (!purchaseOrder) return serials;
+
+  for (const item of purchaseOrder.items) {
+    for (const raw of item.serials || []) {
+      const serial = normalizeSerial(raw);
+      if (!serial) continue;
+      if (serials.has(serial)) {
+        throw httpError(`IMEI/Série ${serial} informado mais de uma vez.`);
+      }
+      serials.set(serial, item);
+    }
+  }
+  return serials;
+};
+
+// Every product flagged requiresUniqueIdentifier needs one serial per unit
+const validatePurchaseSerials = async (purchaseOrder, session) => {
+  for (const item of purchaseOrder.items) {
+    const product = await Product.findOne({
+      _id: item.productId,
+      tenantId: purchaseOrder.tenantId,
+    })
+      .select('requiresUniqueIdentifier')
+      .session(session);
+    if (!product || !product.requiresUniqueIdentifier) continue;
+
+    const count = (item.serials || []).filter((s) => normalizeSerial(s)).length;
+    if (count !== item.quantity) {
+      throw httpError(
+        `Informe ${item.quantity} IMEI/Série para ${item.productName} (recebidos: ${count}).`
+      );
+    }
+  }
+};
+
+/**
+ * Keeps the registry in line with a PurchaseOrder.
+ * previousPO = null on create, nextPO = null on delete, both on update.
+ * Validation runs before any write so the caller can apply stock afterwards;
+ * pass the session of the purchase so registry and stock commit together.
+ */
+export const syncPurchaseSerials = async (
+  tenantId,
+  previousPO,
+  nextPO,
+  session
+) => {
+  const before = collectPurchaseSerials(previousPO);
+  const after = collectPurchaseSerials(nextPO);
+  if (nextPO) await validatePurchaseSerials(nextPO, session);
+
+  const removed = [...before.keys()].filter((s) => !after.has(s));
+  const added = [...after.keys()].filter((s) => !before.has(s));
+
+  // 1. Removed serials must still be on the shelf
+  const removedDocs = await SerialNumber.find({
+    tenantId,
+    serial: { $in: removed },
+  }).session(session);
+  const moved = removedDocs.find((d) => d.status !== SerialStatus.IN_STOCK);
+  if (moved) {
+    throw httpError(
+      `IMEI/Série ${moved.serial} já saiu do estoque e não pode ser removido da compra.`,
+      409
+    );
+  }
+
+  // 2. Added serials cannot already be in stock or under repair
+  const addedDocs = await SerialNumber.find({
+    tenantId,
+    serial: { $in: added },
+  }).session(session);
+  const busy = addedDocs.find(
+    (d) =>
+      d.status === SerialStatus.IN_STOCK || d.status === SerialStatus.IN_REPAIR
+  );
+  if (busy) {
+    throw httpError(
+      `IMEI/Série ${busy.serial} já está registrado em estoque.`,
+      409
+    );
+  }
+
+  // 3. Apply: removal restores the previous life of re-received devices
+  for (const doc of removedDocs) {
+    const previousEvent = doc.history[doc.history.length - 2];
+    if (!previousEvent) {
+      await doc.deleteOne({ session });
+      continue;
+    }
+    doc.status = previousEvent.status;
+    doc.purchaseId = undefined;
+    doc.history.push({
+      status: previousEvent.status,
+      documentType: 'purchase',
+      documentId: previousPO.id,
+    });
+    await doc.save({ session });
+  }
+
+  for (const serial of added) {
+    const item = after.get(serial);
+    const update = {
+      productId: item.productId,
+      productName: item.productName,
+      status: SerialStatus.IN_STOCK,
+      purchaseId: nextPO.id,
+      supplierName: nextPO.supplierInfo?.name,
+      // Digits only, like Supplier.cnpjCpf
+      supplierCnpjCpf: nextPO.supplierInfo?.cnpjCpf?.replace(/\D/g, ''),
+      unitCost: item.unitCost,
+      receivedAt: new Date(),
+    };
+
+    // Trade-in / re-purchase of a device sold before keeps its history
+    await SerialNumber.findOneAndUpdate(
+      { tenantId, serial },
+      {
+        $set: update,
+        $unset: { saleId: 1, customerId: 1, customerName: 1, soldAt: 1 },
+        $push: {
+          history: {
+            status: SerialStatus.IN_STOCK,
+            documentType: 'purchase',
+            documentId: nextPO.id,
+          },
+        },
+      },
+      { upsert: true, setDefaultsOnInsert: true, session }
+    );
+  }
+};
+
+/**
+ * Backfill: units of requiresUniqueIdentifier products that were in stock
+ * before the registry existed have no SerialNumber and the POS refuses them.
+ * Registers them as in stock, up to the units the product has on hand.
+ */
+export const registerStockSerials = async (
+  { tenantId, productId, serials, userName },
+  session
+) => {
+  const product = await Product.findOne({ _id: productId, tenantId })
+    .select('name stock cost requiresUniqueIdentifier')
+    .session(session);
+  if (!product) throw httpError('Produto não encontrado.', 404);
+  if (!product.requiresUniqueIdentifier) {
+    throw httpError(`${product.name} não exige IMEI/Série.`);
+  }
+
+  const normalized = (serials || []).map(normalizeSerial).filter(Boolean);
+  if (normalized.length === 0) throw httpError('Informe os IMEI/Série.');
+  if (new Set(normalized).size !== normalized.length) {
+    throw httpError('IMEI/Série informado mais de uma vez.');
+  }
+
+  const inStock = await SerialNumber.countDocuments({
+    tenantId,
+    productId,
+    status: SerialStatus.IN_STOCK,
+  }).session(session);
+  if (inStock + normalized.length > product.stock) {
+    throw httpError(
+      `${product.name} tem ${product.stock} unidade(s) em estoque e ${inStock} IMEI/Série já registrado(s).`
+    );
+  }
+
+  const existing = await SerialNumber.findOne({
+    tenantId,
+    serial: { $in: normalized },
+  }).session(session);
+  if (existing) {
+    throw httpError(`IMEI/Série ${existing.serial} já está registrado.`, 409);
+  }
+
+  return SerialNumber.create(
+    normalized.map((serial) => ({
+      tenantId,
+      serial,
+      productId,
+      productName: product.name,
+      status: SerialStatus.IN_STOCK,
+      unitCost: product.cost,
+      history: [
+        {
+          status: SerialStatus.IN_STOCK,
+          documentType: 'registration',
+          userName,
+        },
+      ],
+    })),
+    { session, ordered: true }
+  );
+};
+
+// POS: moves an in-stock serial of the product to "sold". Returns null when
+// the serial is not available (unknown, other product, already sold...).
+export const sellSerial = (
+  { tenantId, serial, productId, saleId, customerId, customerName, userName },
+  session
+) =>
+  SerialNumber.findOneAndUpdate(
+    {
+      tenantId,
+      serial: normalizeSerial(serial),
+      productId,
+      status: SerialStatus.IN_STOCK,
+    },
+    {
+      $set: {
+        status: SerialStatus.SOLD,
+        saleId,
+        customerId,
+        customerName,
+        soldAt: new Date(),
+      },
+      $push: {
+        history: {
+          status: SerialStatus.SOLD,
+          documentType: 'sale',
+          documentId: saleId,
+          userName,
+        },
+      },
+    },
+    { new: true, session }
+  );
+
+// Sale deletion: serials sold in the ticket go back to the shelf
+export const revertSaleSerials = (tenantId, saleId, session) =>
+  SerialNumber.updateMany(
+    { tenantId, saleId, status: SerialStatus.SOLD },
+    {
+      $set: { status: SerialStatus.IN_STOCK },
+      $unset: { saleId: 1, customerId: 1, customerName: 1, soldAt: 1 },
+      $push: {
+        history: {
+          status: SerialStatus.IN_STOCK,
+          documentType: 'sale',
+          documentId: saleId,
+        },
+      },
+    },
+    { session }
+  );
+
+// Returns: sellable units go back in stock, damaged ones are parked as returned
+export const returnSerial = (
+  { tenantId, serial, returnId, destination, userName },
+  session
+) => {
+  const status =
+    destination === ReturnDestination.DAMAGED
+      ? SerialStatus.RETURNED
+      : SerialStatus.IN_STOCK;
+
+  return SerialNumber.findOneAndUpdate(
+    { tenantId, serial: normalizeSerial(serial), status: SerialStatus.SOLD },
+    {
+      $set: { status, returnId },
+      $push: {
+        history: {
+          status,
+          documentType: 'sale_return',
+          documentId: returnId,
+          userName,
+        },
+      },
+    },
+    { new: true, session }
+  );
+};
+
+// Service orders: a sold device entering/leaving the repair bench
+export const setSerialRepairStatus = (
+  { tenantId, serial, serviceOrderId, inRepair },
+  session
+) => {
+  if (!serial) return null;
+
+  const from = inRepair ? SerialStatus.SOLD : SerialStatus.IN_REPAIR;
+  const to = inRepair ? SerialStatus.IN_REPAIR : SerialStatus.SOLD;
+
+  return SerialNumber.findOneAndUpdate(
+    { tenantId, serial: normalizeSerial(serial), status: from },
+    {
+      $set: { status: to },
+      $push: {
+        history: {
+          status: to,
+          documentType: 'service_order',
+          documentId: serviceOrderId,
+        },
+      },
+    },
+    { new: true, session }
+  );
+};
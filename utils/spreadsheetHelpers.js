@@ -0,0 +1,71 @@
+import ExcelJS from 'exceljs';
+import { parseCsv } from './csvHelpers.js';
+import { httpError } from './httpError.js';
+
+const XLSX_MIME =
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+const isXlsx = (file) =>
+  file.mimetype === XLSX_MIME || /\.xlsx$/i.test(file.originalname || '');
+
+// Formula, rich text and hyperlink cells -> plain value
+const cellValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') {
+    if ('result' in value) return cellValue(value.result);
+    if ('richText' in value) return value.richText.map((t) => t.text).join('');
+    if ('text' in value) return cellValue(value.text);
+    return '';
+  }
+  return value;
+};
+
+/**
+ * Uploaded spreadsheet (multer file, CSV or XLSX first sheet) as rows of
+ * cells. The first row is the header.
+ */
+export const readSpreadsheet = async (file) => {
+  if (!isXlsx(file)) {
+    return parseCsv(file.buffer.toString('utf8'));
+  }
+
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(file.buffer);
+  } catch {
+    throw httpError('Planilha XLSX inválida.');
+  }
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+
+  const rows = [];
+  sheet.eachRow((row) => {
+    // Cells are 1-based; columnCount keeps empty cells in place
+    const cells = [];
+    for (let col = 1; col <= sheet.columnCount; col++) {
+      cells.push(cellValue(row.getCell(col).value));
+    }
+    rows.push(cells);
+  });
+  return rows;
+};
+
+/**
+ * Same column definitions of toCsv: [{ header, value: (row) => any }]
+ */
+export const toXlsx = async (columns, rows, sheetName = 'Dados') => {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet(sheetName);
+  sheet.addRow(columns.map((c) => c.header)).font = { bold: true };
+  for (const row of rows) {
+    sheet.addRow(columns.map((c) => c.value(row) ?? null));
+  }
+  return workbook.xlsx.writeBuffer();
+};
+
+export const sendXlsx = (res, filename, buffer) => {
+  res.set('Content-Type', XLSX_MIME);
+  res.set('Content-Disposition', `attachment; filename="${filename}.xlsx"`);
+  res.send(Buffer.from(buffer));
+};
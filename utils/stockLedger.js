@@ -0,0 +1,125 @@
+import StockMovement from '../models/StockMovement.js';
+import Product from '../models/Product.js';
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Who moved the stock, from req.user (or a sale's user)
+export const movementUser = (user) => ({
+  userId: (user?._id || user?.id)?.toString(),
+  userName: user?.name,
+});
+
+/**
+ * Writes a Kardex row for a product whose stock was already changed.
+ * `product` is the document AFTER the change (balanceAfter = product.stock).
+ */
+export const recordStockMovement = async (
+  {
+    tenantId,
+    product,
+    quantity,
+    reason,
+    documentType,
+    documentId,
+    unitCost,
+    user,
+    date,
+  },
+  session
+) => {
+  if (!product || !quantity) return null;
+
+  const [movement] = await StockMovement.create(
+    [
+      {
+        tenantId,
+        productId: product.id,
+        productName: product.name,
+        quantity,
+        balanceAfter: product.stock,
+        unitCost: unitCost ?? product.cost ?? 0,
+        reason,
+        documentType,
+        documentId,
+        ...movementUser(user),
+        date: date || new Date(),
+      },
+    ],
+    { session }
+  );
+  return movement;
+};
+
+/**
+ * Atomic $inc of the stock plus its Kardex row. `filter` narrows the update
+ * (ex: stock >= quantity for sales). Returns the updated product or null.
+ */
+export const moveStock = async (
+  { tenantId, productId, quantity, filter = {}, set, ...movement },
+  session
+) => {
+  const update = { $inc: { stock: quantity } };
+  if (set) update.$set = set;
+
+  const product = await Product.findOneAndUpdate(
+    { _id: productId, tenantId, ...filter },
+    update,
+    { new: true, session }
+  );
+  if (product) {
+    await recordStockMovement(
+      { tenantId, product, quantity, ...movement },
+      session
+    );
+  }
+  return product;
+};
+
+/**
+ * Rebuilds the stock from the Kardex and compares it with Product.stock.
+ * `movements` must be in insertion order (_id), not by date: balanceAfter
+ * follows the order the rows were written.
+ * The opening balance is the stock before the first recorded movement
+ * (products created before the ledger existed). A gap is a movement whose
+ * previous balance does not match the row before it: some change between
+ * them was not recorded.
+ */
+export const rebuildStockFromLedger = (product, movements) => {
+  if (movements.length === 0) {
+    return {
+      openingBalance: product.stock,
+      rebuiltStock: product.stock,
+      currentStock: product.stock,
+      drift: 0,
+      gaps: [],
+    };
+  }
+
+  const openingBalance = round2(
+    movements[0].balanceAfter - movements[0].quantity
+  );
+  let running = openingBalance;
+  const gaps = [];
+
+  for (const movement of movements) {
+    const expectedBefore = round2(movement.balanceAfter - movement.quantity);
+    if (Math.abs(expectedBefore - running) > 0.001) {
+      gaps.push({
+        movementId: movement.id,
+        date: movement.date,
+        expectedBalance: running,
+        recordedBalance: expectedBefore,
+        difference: round2(expectedBefore - running),
+      });
+    }
+    running = round2(running + movement.quantity);
+  }
+
+  return {
+    openingBalance,
+    rebuiltStock: running,
+    currentStock: product.stock,
+    drift: round2(product.stock - running),
+    gaps,
+  };
+};
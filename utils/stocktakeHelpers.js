@@ -0,0 +1,127 @@
+import Product from '../models/Product.js';
+import Stocktake from '../models/Stocktake.js';
+import { StocktakeStatus } from '../types.js';
+import { httpError } from './httpError.js';
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Snapshot of the products in scope (all, or by category / location).
+ * A product can only be in one open stocktake: approving two overlapping
+ * sessions would post the same variance twice.
+ */
+export const buildStocktakeItems = async (tenantId, filters) => {
+  const query = { tenantId };
+  if (filters.category) query.category = filters.category;
+  if (filters.location) query.location = filters.location;
+
+  const products = await Product.find(query)
+    .select('barcode name cost stock')
+    .sort({ name: 1 });
+  if (products.length === 0) {
+    throw httpError('Nenhum produto encontrado para este inventário.');
+  }
+
+  const overlapping = await Stocktake.findOne({
+    tenantId,
+    status: StocktakeStatus.OPEN,
+    'items.productId': { $in: products.map((p) => p.id) },
+  }).select('name');
+  if (overlapping) {
+    throw httpError(
+      `Já existe um inventário em aberto com estes produtos (${
+        overlapping.name || overlapping.id
+      }).`,
+      409
+    );
+  }
+
+  return products.map((p) => ({
+    productId: p.id,
+    barcode: p.barcode,
+    name: p.name,
+    cost: p.cost || 0,
+    systemQuantity: p.stock,
+  }));
+};
+
+// Item of the session by product id or scanned barcode
+export const findStocktakeItem = (stocktake, { productId, barcode }) => {
+  const code = (barcode || productId)?.toString().trim();
+  if (!code) return null;
+  return stocktake.items.find(
+    (i) => i.productId === code || i.barcode === code
+  );
+};
+
+// Current stock of the items of the session ({ productId -> stock })
+export const getCurrentStock = async (stocktake, session) => {
+  const products = await Product.find({
+    tenantId: stocktake.tenantId,
+    _id: { $in: stocktake.items.map((i) => i.productId) },
+  })
+    .select('stock')
+    .session(session || null);
+  return new Map(products.map((p) => [p.id, p.stock]));
+};
+
+/**
+ * Counted vs system quantity per item, valued at cost. The system quantity
+ * is the stock when the item was last counted, so movements after the
+ * opening are not counted twice; the difference is posted as a delta over
+ * the current stock. Uncounted items are left out of the adjustments unless
+ * `zeroUncounted` (item not found = 0, against `currentStock`).
+ */
+export const buildVarianceReport = (
+  stocktake,
+  { zeroUncounted = false, currentStock = new Map() } = {}
+) => {
+  let lossValue = 0;
+  let gainValue = 0;
+  let countedItems = 0;
+
+  const items = stocktake.items.map((item) => {
+    const counted = item.countedQuantity !== undefined;
+    if (counted) countedItems += 1;
+
+    const countedQuantity = counted
+      ? item.countedQuantity
+      : zeroUncounted
+      ? 0
+      : null;
+    const expectedQuantity = counted
+      ? item.expectedQuantity ?? item.systemQuantity
+      : currentStock.get(item.productId) ?? item.systemQuantity;
+    const difference =
+      countedQuantity === null ? 0 : countedQuantity - expectedQuantity;
+    const value = round2(difference * item.cost);
+    if (value < 0) lossValue += -value;
+    if (value > 0) gainValue += value;
+
+    return {
+      productId: item.productId,
+      barcode: item.barcode,
+      name: item.name,
+      cost: item.cost,
+      systemQuantity: item.systemQuantity,
+      expectedQuantity,
+      countedQuantity,
+      counted,
+      difference,
+      value,
+    };
+  });
+
+  return {
+    items,
+    totals: {
+      items: items.length,
+      countedItems,
+      uncountedItems: items.length - countedItems,
+      itemsWithDifference: items.filter((i) => i.difference !== 0).length,
+      lossValue: round2(lossValue),
+      gainValue: round2(gainValue),
+      netValue: round2(gainValue - lossValue),
+    },
+  };
+};
@@ -0,0 +1,165 @@
+import mongoose from 'mongoose';
+import Product from '../models/Product.js';
+import ProductParent from '../models/ProductParent.js';
+import { httpError } from './httpError.js';
+
+/**
+ * Variant attributes in the order of the parent axes. Accepts
+ * { Cor: 'Azul', Armazenamento: '128GB' } or [{ name, value }].
+ */
+export const normalizeVariantAttributes = (parent, input) => {
+  const entries = Array.isArray(input)
+    ? input.map((a) => [a?.name, a?.value])
+    : Object.entries(input || {});
+  const values = new Map(
+    entries.map(([name, value]) => [
+      name?.toString().trim(),
+      value?.toString().trim(),
+    ])
+  );
+
+  const unknown = [...values.keys()].filter(
+    (name) => !parent.attributes.includes(name)
+  );
+  if (unknown.length > 0) {
+    throw httpError(`Atributo não definido no produto: ${unknown.join(', ')}.`);
+  }
+
+  return parent.attributes.map((name) => {
+    const value = values.get(name);
+    if (!value) {
+      throw httpError(`Informe o valor de "${name}" para a variante.`);
+    }
+    return { name, value };
+  });
+};
+
+const variantKey = (attributes) =>
+  attributes.map((a) => `${a.name}=${a.value.toLowerCase()}`).join('|');
+
+// Two variants of the same parent cannot have the same combination
+export const assertUniqueVariant = async (
+  tenantId,
+  parent,
+  attributes,
+  exceptProductId
+) => {
+  const siblings = await Product.find({
+    tenantId,
+    parentId: parent.id,
+    _id: { $ne: exceptProductId },
+  }).select('name variantAttributes');
+
+  const key = variantKey(attributes);
+  const duplicate = siblings.find(
+    (s) => variantKey(s.variantAttributes) === key
+  );
+  if (duplicate) {
+    throw httpError(
+      `Já existe a variante ${attributes.map((a) => a.value).join(' / ')} (${
+        duplicate.name
+      }).`,
+      409
+    );
+  }
+};
+
+/**
+ * Storefront entry of a parent: one product with selectable options.
+ * `variants` are lean Products (only the ones available online).
+ */
+export const buildVariantListing = (parent, variants) => {
+  const sorted = [...variants].sort((a, b) => a.price - b.price);
+  const cheapest = sorted[0];
+
+  const options = (parent.attributes || []).map((name) => ({
+    name,
+    values: [
+      ...new Set(
+        sorted
+          .map((v) => v.variantAttributes?.find((a) => a.name === name)?.value)
+          .filter(Boolean)
+      ),
+    ],
+  }));
+
+  return {
+    _id: parent._id,
+    id: parent._id,
+    type: 'product',
+    hasVariants: true,
+    name: parent.name,
+    category: parent.category,
+    brand: parent.brand,
+    model: parent.model,
+    description: parent.description,
+    image: parent.image || cheapest.image,
+    thumbnail: parent.thumbnail || cheapest.thumbnail,
+    price: cheapest.price, // "A partir de"
+    ecommerceDetails: cheapest.ecommerceDetails,
+    stock: sorted.reduce((sum, v) => sum + (v.stock || 0), 0),
+    options,
+    variants: sorted.map((v) => ({
+      _id: v._id,
+      id: v._id,
+      name: v.name,
+      price: v.price,
+      stock: v.stock,
+      image: v.image,
+      thumbnail: v.thumbnail,
+      ecommerceDetails: v.ecommerceDetails,
+      attributes: v.variantAttributes,
+    })),
+  };
+};
+
+// Product form / import: parentId must point to a parent of the tenant
+// (invalid ids would reach ProductParent queries as a CastError)
+export const assertParentExists = async (tenantId, parentId) => {
+  if (!parentId) return;
+  const exists =
+    mongoose.isValidObjectId(parentId) &&
+    (await ProductParent.exists({ _id: parentId, tenantId }));
+  if (!exists) {
+    throw httpError('Produto pai não encontrado.');
+  }
+};
+
+// Collapses the variants of a storefront product list into their parents
+export const groupVariants = async (tenantId, products) => {
+  const parentIds = [
+    ...new Set(
+      products
+        .map((p) => p.parentId)
+        .filter((id) => id && mongoose.isValidObjectId(id))
+    ),
+  ];
+  if (parentIds.length === 0) return products;
+
+  const parents = await ProductParent.find({
+    _id: { $in: parentIds },
+    tenantId,
+  }).lean();
+  const parentsById = new Map(parents.map((p) => [p._id.toString(), p]));
+
+  const standalone = [];
+  const variantsByParent = new Map();
+  for (const product of products) {
+    const parent = product.parentId && parentsById.get(product.parentId);
+    if (!parent) {
+      standalone.push(product);
+      continue;
+    }
+    if (!variantsByParent.has(product.parentId)) {
+      variantsByParent.set(product.parentId, []);
+    }
+    variantsByParent.get(product.parentId).push(product);
+  }
+
+  return [
+    ...standalone,
+    ...[...variantsByParent].map(([parentId, variants]) =>
+      buildVariantListing(parentsById.get(parentId), variants)
+    ),
+  ];
+};
@@ -0,0 +1,173 @@
+import Warranty from '../models/Warranty.js';
+import Product from '../models/Product.js';
+import Service from '../models/Service.js';
+import StoreConfig from '../models/StoreConfig.js';
+import { DocumentType, WarrantyClaimStatus } from '../types.js';
+import { httpError } from './httpError.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const digitsOnly = (value) => (value || '').toString().replace(/\D/g, '');
+
+/**
+ * Warranty days of an item: own warrantyDays, then the product category
+ * (StoreConfig.warrantySettings.categoryDays), then the store default.
+ */
+export const resolveWarrantyDays = (settings, itemType, catalog) => {
+  if (catalog?.warrantyDays !== undefined && catalog?.warrantyDays !== null) {
+    return catalog.warrantyDays;
+  }
+  if (itemType === 'service') return settings?.serviceDays ?? 90;
+
+  const byCategory = settings?.categoryDays?.find(
+    (c) => c.category === catalog?.category
+  );
+  return byCategory ? byCategory.days : settings?.productDays ?? 365;
+};
+
+export const isWarrantyCovered = (warranty, now = new Date()) =>
+  !warranty.voidedAt && warranty.startsAt <= now && warranty.expiresAt >= now;
+
+// Warranty plus coverage status for lookups
+export const describeWarranty = (warranty, now = new Date()) => {
+  const covered = isWarrantyCovered(warranty, now);
+  return {
+    ...warranty.toJSON(),
+    covered,
+    daysLeft: covered
+      ? Math.ceil((warranty.expiresAt.getTime() - now.getTime()) / DAY_MS)
+      : 0,
+  };
+};
+
+const getWarrantySettings = async (tenantId, session) => {
+  const config = await StoreConfig.findOne({ tenantId })
+    .select('warrantySettings')
+    .session(session || null);
+  return config?.warrantySettings;
+};
+
+// One warranty per line of a saved TicketSale (0 days = no warranty)
+export const createSaleWarranties = async ({ tenantId, sale }, session) => {
+  const settings = await getWarrantySettings(tenantId, session);
+  const startsAt = sale.timestamp || new Date();
+  const records = [];
+
+  for (const line of sale.items) {
+    const Model = line.type === 'service' ? Service : Product;
+    const catalog = await Model.findOne({ _id: line.item.id, tenantId })
+      .select('category warrantyDays')
+      .session(session || null);
+    const days = resolveWarrantyDays(settings, line.type, catalog);
+    if (!(days > 0)) continue;
+
+    records.push({
+      tenantId,
+      documentType: DocumentType.SALE,
+      documentId: sale.id,
+      itemId: line.item.id,
+      itemType: line.type,
+      itemName: line.item.name,
+      quantity: line.quantity,
+      serial: line.uniqueIdentifier,
+      customerId: sale.customerId,
+      customerName: sale.customerName,
+      customerPhone: digitsOnly(sale.customerWhatsapp) || undefined,
+      days,
+      startsAt,
+      expiresAt: new Date(startsAt.getTime() + days * DAY_MS),
+    });
+  }
+
+  if (records.length > 0) {
+    await Warranty.insertMany(records, { session });
+  }
+};
+
+// Repair warranty of a completed ServiceOrder (covers the device serial)
+export const createServiceOrderWarranty = async (
+  { tenantId, order },
+  session
+) => {
+  const settings = await getWarrantySettings(tenantId, session);
+  const service = await Service.findOne({ _id: order.serviceId, tenantId })
+    .select('warrantyDays')
+    .session(session || null);
+  const days = resolveWarrantyDays(settings, 'service', service);
+  if (!(days > 0)) return null;
+
+  const startsAt = order.completedAt || new Date();
+  const [warranty] = await Warranty.create(
+    [
+      {
+        tenantId,
+        documentType: DocumentType.SERVICE_ORDER,
+        documentId: order.id,
+        itemId: order.serviceId?.toString(),
+        itemType: 'service',
+        itemName: order.serviceDescription,
+        serial: order.deviceSerial,
+        customerId: order.customerId,
+        customerName: order.customerName,
+        customerPhone: digitsOnly(order.customerWhatsapp) || undefined,
+        days,
+        startsAt,
+        expiresAt: new Date(startsAt.getTime() + days * DAY_MS),
+      },
+    ],
+    { session }
+  );
+  return warranty;
+};
+
+/**
+ * Removes the warranties of a deleted sale / reopened service order.
+ * Warranties already claimed are evidence of service given: the document
+ * cannot be undone while they exist (409).
+ */
+export const removeDocumentWarranties = async (
+  { tenantId, documentType, documentId },
+  session
+) => {
+  const filter = { tenantId, documentType, documentId };
+  const claimed = await Warranty.exists({
+    ...filter,
+    'claims.0': { $exists: true },
+  }).session(session || null);
+  if (claimed) {
+    throw httpError(
+      'Existe acionamento de garantia vinculado a este documento.',
+      409
+    );
+  }
+  await Warranty.deleteMany(filter).session(session || null);
+};
+
+/**
+ * Sale return: the returned units leave the warranty of their ticket line
+ * (matched by item and IMEI/serial). A line returned entirely is voided.
+ */
+export const reduceReturnedWarranty = async (
+  { tenantId, saleId, itemId, serial, quantity },
+  session
+) => {
+  const warranty = await Warranty.findOne({
+    tenantId,
+    documentType: DocumentType.SALE,
+    documentId: saleId,
+    itemId,
+    serial: serial || { $in: [null, ''] },
+    voidedAt: { $exists: false },
+  }).session(session || null);
+  if (!warranty) return null;
+
+  const returned = Math.min(quantity, warranty.quantity);
+  warranty.quantity -= returned;
+  warranty.returnedQuantity = (warranty.returnedQuantity || 0) + returned;
+  if (warranty.quantity <= 0) warranty.voidedAt = new Date();
+  return warranty.save({ session });
+};
+
+// Claims still open block a new one on the same warranty
+export const hasOpenClaim = (warranty) =>
+  warranty.claims.some((c) => c.status === WarrantyClaimStatus.OPEN);